@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { copyWithDynamicsHosts } from './dynamics-hosts.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -9,6 +10,8 @@ const __dirname = path.dirname(__filename);
 // Define paths
 const srcPath = path.join(__dirname, 'src', 'contentScript.js');
 const distPath = path.join(__dirname, 'dist', 'contentScript.js');
+const srcXrmBridgePath = path.join(__dirname, 'src', 'xrmBridge.js');
+const distXrmBridgePath = path.join(__dirname, 'dist', 'xrmBridge.js');
 
 // Make sure the dist directory exists
 if (!fs.existsSync(path.join(__dirname, 'dist'))) {
@@ -17,9 +20,18 @@ if (!fs.existsSync(path.join(__dirname, 'dist'))) {
 
 // Copy the content script to the dist folder
 try {
-  fs.copyFileSync(srcPath, distPath);
+  copyWithDynamicsHosts(srcPath, distPath);
   console.log('Content script copied to dist folder successfully');
 } catch (error) {
   console.error('Error copying content script:', error);
   process.exit(1);
-}
\ No newline at end of file
+}
+
+// Copy the Xrm bridge that runs next to the content script in the page's main world
+try {
+  copyWithDynamicsHosts(srcXrmBridgePath, distXrmBridgePath);
+  console.log('Xrm bridge copied to dist folder successfully');
+} catch (error) {
+  console.error('Error copying Xrm bridge:', error);
+  process.exit(1);
+}
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { withDynamicsHosts } from './dynamics-hosts.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -23,7 +24,7 @@ const buildManifest = {
     type: manifest.background.type
   },
   permissions: manifest.permissions,
-  host_permissions: manifest.host_permissions
+  host_permissions: withDynamicsHosts(manifest).host_permissions
 };
 
 // Write the temporary build manifest
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import { DYNAMICS_CLOUDS, DYNAMICS_MATCH_PATTERNS } from './src/utils/environment.js';
+
+// Writes the Dynamics hosts from src/utils/environment.js into the files that
+// can't import it: the manifest and the plain scripts copied to dist.
+
+const HOST_PATTERNS_BLOCK = /^([ \t]*)\/\/ <dynamics-host-patterns>\n[\s\S]*?\/\/ <\/dynamics-host-patterns>$/m;
+
+// Registrable domains of the clouds (dynamics.com, microsoftdynamics.us, ...)
+const CLOUD_BASE_DOMAINS = [...new Set(DYNAMICS_CLOUDS
+  .flatMap(cloud => cloud.domains)
+  .map(domain => domain.split('.').slice(-2).join('.')))];
+
+// Whether a manifest match pattern points at a Dynamics cloud
+const isDynamicsMatchPattern = (pattern) => {
+  const host = (pattern.match(/^https:\/\/([^/]+)\//) || [])[1] || '';
+  return CLOUD_BASE_DOMAINS.some(base => host === base || host.endsWith(`.${base}`));
+};
+
+// Swap the Dynamics entries of a pattern list for the generated ones
+const replaceDynamicsPatterns = (patterns = []) => {
+  if (!patterns.some(isDynamicsMatchPattern)) return patterns;
+  return [...DYNAMICS_MATCH_PATTERNS, ...patterns.filter(pattern => !isDynamicsMatchPattern(pattern))];
+};
+
+/**
+ * Point a manifest's host permissions and content scripts at the known Dynamics hosts
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {Object} Manifest with generated Dynamics match patterns
+ */
+export const withDynamicsHosts = (manifest) => ({
+  ...manifest,
+  host_permissions: replaceDynamicsPatterns(manifest.host_permissions),
+  ...(manifest.content_scripts && {
+    content_scripts: manifest.content_scripts.map(script => ({
+      ...script,
+      matches: replaceDynamicsPatterns(script.matches)
+    }))
+  })
+});
+
+/**
+ * Copy a plain script, writing the generated DYNAMICS_HOST_PATTERNS into its marked block
+ * @param {string} srcPath - Script in the source tree
+ * @param {string} distPath - Destination in dist
+ */
+export const copyWithDynamicsHosts = (srcPath, distPath) => {
+  const source = fs.readFileSync(srcPath, 'utf8');
+  if (!HOST_PATTERNS_BLOCK.test(source)) {
+    throw new Error(`${srcPath} has no <dynamics-host-patterns> block`);
+  }
+
+  const script = source.replace(HOST_PATTERNS_BLOCK, (block, indent) => {
+    const itemIndent = indent + (indent || '  ');
+    const items = DYNAMICS_CLOUDS
+      .map(cloud => `${itemIndent}${cloud.pattern}, // ${cloud.name}`)
+      .join('\n');
+
+    return [
+      `${indent}// <dynamics-host-patterns>`,
+      `${indent}const DYNAMICS_HOST_PATTERNS = [`,
+      items,
+      `${indent}];`,
+      `${indent}// </dynamics-host-patterns>`
+    ].join('\n');
+  });
+
+  fs.writeFileSync(distPath, script);
+};
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { withDynamicsHosts, copyWithDynamicsHosts } from './dynamics-hosts.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -15,16 +16,25 @@ if (!fs.existsSync(path.join(__dirname, 'dist'))) {
 try {
   const srcContentScriptPath = path.join(__dirname, 'src', 'contentScript.js');
   const distContentScriptPath = path.join(__dirname, 'dist', 'contentScript.js');
-  fs.copyFileSync(srcContentScriptPath, distContentScriptPath);
+  copyWithDynamicsHosts(srcContentScriptPath, distContentScriptPath);
 } catch (error) {
   console.error('Error copying content script:', error);
 }
 
+// Copy the Xrm bridge, which runs in the page's main world next to the content script
+try {
+  const srcXrmBridgePath = path.join(__dirname, 'src', 'xrmBridge.js');
+  const distXrmBridgePath = path.join(__dirname, 'dist', 'xrmBridge.js');
+  copyWithDynamicsHosts(srcXrmBridgePath, distXrmBridgePath);
+} catch (error) {
+  console.error('Error copying Xrm bridge:', error);
+}
+
 // Copy service-worker.js
 try {
   const serviceWorkerPath = path.join(__dirname, 'service-worker.js');
   const distServiceWorkerPath = path.join(__dirname, 'dist', 'service-worker.js');
-  fs.copyFileSync(serviceWorkerPath, distServiceWorkerPath);
+  copyWithDynamicsHosts(serviceWorkerPath, distServiceWorkerPath);
 } catch (error) {
   console.error('Error copying service worker:', error);
 }
@@ -148,10 +158,10 @@ try {
   const originalManifestPath = path.join(__dirname, 'manifest.json');
   const originalManifest = JSON.parse(fs.readFileSync(originalManifestPath, 'utf8'));
   
-  // Write the full manifest to the dist folder
+  // Write the full manifest to the dist folder, with the Dynamics hosts from environment.js
   fs.writeFileSync(
     path.join(__dirname, 'dist', 'manifest.json'), 
-    JSON.stringify(originalManifest, null, 2)
+    JSON.stringify(withDynamicsHosts(originalManifest), null, 2)
   );
 } catch (error) {
   console.error('Error creating manifest.json:', error);
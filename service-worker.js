@@ -10,21 +10,69 @@ const contentScriptInjected = {};
 // Track CRM tabs
 const crmTabs = new Set();
 
-// Helper function to extract organization ID from URL
+// Known Dynamics 365 host patterns, rewritten from src/utils/environment.js by the build
+// <dynamics-host-patterns>
+const DYNAMICS_HOST_PATTERNS = [
+  /^[a-z0-9-]+\.crm([2-9]|1\d|2[01])?\.dynamics\.com$/i, // Commercial regions and GCC
+  /^[a-z0-9-]+\.crm\.microsoftdynamics\.us$/i, // GCC High
+  /^[a-z0-9-]+\.crm\.appsplatform\.us$/i, // DoD
+  /^[a-z0-9-]+\.crm\.dynamics\.cn$/i, // China (operated by 21Vianet)
+];
+// </dynamics-host-patterns>
+
+// Model-driven app IDs are GUIDs (keep in sync with src/utils/appModule.js)
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Hosts the user added as custom Dynamics domains
+let customDynamicsHosts = [];
+
+chrome.storage.local.get(['customDynamicsHosts'], (result) => {
+  customDynamicsHosts = Array.isArray(result.customDynamicsHosts) ? result.customDynamicsHosts : [];
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.customDynamicsHosts) {
+    const hosts = changes.customDynamicsHosts.newValue;
+    customDynamicsHosts = Array.isArray(hosts) ? hosts : [];
+  }
+});
+
+// Helper function to extract organization ID (the instance host) from URL
 function extractOrgIdFromUrl(url) {
-  const orgPattern = /https:\/\/([^.]+)\.crm\.dynamics\.com/i;
-  const matches = url.match(orgPattern);
-  
-  if (matches && matches.length > 1) {
-    return matches[1];
+  if (!url) return null;
+
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:') return null;
+
+    const host = hostname.toLowerCase();
+    if (DYNAMICS_HOST_PATTERNS.some(pattern => pattern.test(host)) || customDynamicsHosts.includes(host)) {
+      return host;
+    }
+  } catch (error) {
+    // Not a valid URL
   }
-  
+
   return null;
 }
 
 // Helper function to check if a URL is a Dynamics CRM URL
 function isDynamicsCrmUrl(url) {
-  return url && url.includes('crm.dynamics.com');
+  return !!extractOrgIdFromUrl(url);
+}
+
+// Helper function to get the model-driven app ID from the tab URL, or the one remembered for the org
+async function getAppIdForTab(url, orgId) {
+  try {
+    const appId = new URL(url).searchParams.get('appid');
+    if (appId && GUID_PATTERN.test(appId)) return appId.toLowerCase();
+  } catch (error) {
+    // Not a valid URL
+  }
+
+  const { appIdsByOrg = {} } = await chrome.storage.local.get(['appIdsByOrg']);
+  const storedAppId = appIdsByOrg[orgId];
+  return typeof storedAppId === 'string' && GUID_PATTERN.test(storedAppId) ? storedAppId.toLowerCase() : null;
 }
 
 // Helper function to update CRM status and notify popup
@@ -96,17 +144,11 @@ async function navigateToOpportunity(tabId, opportunityId) {
       return false;
     }
     
-    // Extract the base URL from the tab
-    const match = tab.url.match(/(https:\/\/[^\/]+)/);
-    if (!match) {
-      console.warn("Could not extract base URL from tab");
-      return false;
-    }
-    
-    const baseUrl = match[1];
-    
-    // Construct the opportunity URL
-    const opportunityUrl = `${baseUrl}/main.aspx?etn=opportunity&pagetype=entityrecord&id=${opportunityId}`;
+    // Construct the opportunity URL on the tab's own host, in the app the user works in
+    const host = extractOrgIdFromUrl(tab.url);
+    const appId = await getAppIdForTab(tab.url, host);
+    const appParam = appId ? `appid=${appId}&` : '';
+    const opportunityUrl = `https://${host}/main.aspx?${appParam}etn=opportunity&pagetype=entityrecord&id=${opportunityId}`;
     
     // Navigate the tab to the opportunity
     await chrome.tabs.update(tabId, { url: opportunityUrl });
@@ -164,6 +206,26 @@ async function ensureContentScriptInjected(tabId) {
         files: ["contentScript.js"]
       });
       
+      // The Xrm bridge reads the form context in the page's own world, in every frame.
+      // It only runs on known Dynamics hosts unless the tab's host is allowed first,
+      // which covers custom domains.
+      const tabHost = extractOrgIdFromUrl(tab.url);
+      await chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        func: (host) => {
+          if (window.location.hostname.toLowerCase() === host) window.__lensAllowedXrmBridgeHost = host;
+        },
+        args: [tabHost],
+        world: "MAIN"
+      }).then(() => chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        files: ["xrmBridge.js"],
+        world: "MAIN"
+      })).catch((error) => {
+        // Detection falls back to the URL without it
+        if (DEBUG) console.warn("Could not inject Xrm bridge:", error);
+      });
+      
       contentScriptInjected[tabId] = true;
       
       // Give the content script a moment to initialize
@@ -230,17 +292,34 @@ async function pollForOpportunityChanges(tabId) {
         currentOpportunityId: response.opportunityId,
         lastUpdated: Date.now(),
       });
+      chrome.storage.local.remove(['currentRecord']);
       
       chrome.runtime.sendMessage({
         type: "OPPORTUNITY_DETECTED",
         opportunityId: response.opportunityId,
         organizationId: response.organizationId || orgId,
+        form: response.form || null,
         timestamp: Date.now()
       }).catch(() => {
         // Popup not open, that's fine
       });
-    } else {
+    } else if (response && response.record) {
+      // Another record type's form (e.g. an account); the panel decides whether it has a view for it
+      chrome.storage.local.set({ currentRecord: response.record });
       chrome.storage.local.remove(['currentOpportunityId', 'lastUpdated']);
+      
+      chrome.runtime.sendMessage({
+        type: "RECORD_DETECTED",
+        entityType: response.record.entityType,
+        recordId: response.record.id,
+        organizationId: response.organizationId || orgId,
+        form: response.form || null,
+        timestamp: Date.now()
+      }).catch(() => {
+        // Popup not open, that's fine
+      });
+    } else {
+      chrome.storage.local.remove(['currentOpportunityId', 'lastUpdated', 'currentRecord']);
       chrome.runtime.sendMessage({ type: "OPPORTUNITY_CLEARED" }).catch(() => {
         // Popup not open, that's fine
       });
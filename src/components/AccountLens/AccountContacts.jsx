@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+
+// Contacts shown before "Show all"
+const INITIAL_CONTACT_COUNT = 5;
+
+/**
+ * List of an account's contacts, primary contact first
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.contacts - Contacts with an isPrimary flag
+ * @returns {JSX.Element} Account contacts component
+ */
+const AccountContacts = ({ contacts = [] }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  if (contacts.length === 0) {
+    return <p style={{ fontSize: "12px", color: "#666" }}>No active contacts on this account.</p>;
+  }
+
+  const visibleContacts = showAll ? contacts : contacts.slice(0, INITIAL_CONTACT_COUNT);
+
+  return (
+    <div>
+      {visibleContacts.map(contact => (
+        <div
+          key={contact.contactid}
+          style={{ padding: "8px 0", borderBottom: "1px solid #eee", fontSize: "12px" }}
+        >
+          <div style={{ display: "flex", alignItems: "center", gap: "6px", fontWeight: "600", color: "#1f2223" }}>
+            {contact.fullname}
+            {contact.isPrimary && (
+              <span style={{
+                fontSize: "10px",
+                fontWeight: "500",
+                padding: "1px 6px",
+                borderRadius: "10px",
+                backgroundColor: "#e3f2fd",
+                color: "#0078d4"
+              }}>
+                Primary
+              </span>
+            )}
+          </div>
+          {contact.jobtitle && <div style={{ color: "#666" }}>{contact.jobtitle}</div>}
+          <div style={{ display: "flex", gap: "12px", flexWrap: "wrap", color: "#5f646a" }}>
+            {contact.emailaddress1 && <a href={`mailto:${contact.emailaddress1}`} style={{ color: "#0078d4" }}>{contact.emailaddress1}</a>}
+            {contact.telephone1 && <span>{contact.telephone1}</span>}
+          </div>
+        </div>
+      ))}
+
+      {contacts.length > INITIAL_CONTACT_COUNT && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          style={{
+            marginTop: "8px",
+            background: "none",
+            border: "none",
+            padding: 0,
+            fontSize: "12px",
+            color: "#0078d4",
+            cursor: "pointer"
+          }}
+        >
+          {showAll ? "Show fewer" : `Show all ${contacts.length} contacts`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AccountContacts;
@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import Header from '../Header';
+import Statistics from '../OpportunityDetail/statistics';
+import Calendar from '../OpportunityDetail/Calendar';
+import WinRate from '../OpportunityList/WinRate';
+import OpportunityCard from '../OpportunityList/OpportunityCard';
+import AccountContacts from './AccountContacts';
+import AccordionSection from '../common/AccordionSection';
+import CurrencyDisplaySelect from '../common/CurrencyDisplaySelect';
+import { summarizeAccount } from '../../utils/accountUtils';
+import { getOwnerName } from '../../utils/teamScope';
+import { getOpportunityStatusLabel } from '../../utils/metadata';
+import { formatBaseMoney, formatRecordAmount } from '../../utils/currencyUtils';
+import { calculateDaysSinceLastContact, getActivityLabel } from '../../utils/activityUtils';
+
+/**
+ * Account lens shown when the user is on an account form
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.accountData - Account data ({ account, openOpportunities, closedOpportunities, activities, contacts })
+ * @param {boolean} props.loading - Whether the account is loading
+ * @param {Function} props.onBackClick - Function to call when back button is clicked
+ * @param {Function} props.onOpportunitySelect - Function to call with an opportunity ID to open it
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {Function} props.onCurrencyDisplayChange - Function to call when the currency display changes
+ * @param {Object} props.choices - Opportunity choice labels
+ * @param {Array<number>} props.winRateExclusions - Status reasons left out of the win rate
+ * @param {number} props.lastSyncedAt - Timestamp of the last successful data sync
+ * @param {boolean} props.isSyncing - Whether a background sync is in progress
+ * @returns {JSX.Element} Account lens component
+ */
+const AccountLens = ({
+  accountData,
+  loading,
+  onBackClick,
+  onLogout,
+  isLoggingOut,
+  onOpportunitySelect,
+  currency,
+  onCurrencyDisplayChange,
+  choices,
+  winRateExclusions,
+  subscription,
+  lastSyncedAt,
+  isSyncing
+}) => {
+  const [accordionState, setAccordionState] = useState({
+    statistics: true,
+    winRate: true,
+    openOpportunities: true,
+    closedOpportunities: false,
+    contacts: true,
+    entries: false
+  });
+
+  const toggleAccordion = (section) => {
+    setAccordionState({
+      ...accordionState,
+      [section]: !accordionState[section]
+    });
+  };
+
+  const {
+    account = null,
+    openOpportunities = [],
+    closedOpportunities = [],
+    activities = [],
+    contacts = []
+  } = accountData || {};
+
+  const summary = summarizeAccount(openOpportunities, closedOpportunities);
+  const lastTouch = calculateDaysSinceLastContact(activities);
+
+  const header = (
+    <Header
+      title="Lens"
+      showBackButton={true}
+      onBackClick={onBackClick}
+      onLogout={onLogout}
+      isLoggingOut={isLoggingOut}
+      subscription={subscription}
+      lastSyncedAt={lastSyncedAt}
+      isSyncing={isSyncing}
+    />
+  );
+
+  if (!account) {
+    return (
+      <div style={{ flex: 1, display: "flex", flexDirection: "column", width: "100%", backgroundColor: "#ededed" }}>
+        {header}
+        <div style={{ textAlign: "center", padding: "20px" }}>
+          <p>{loading ? "Loading account..." : "Account not available."}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ flex: 1, display: "flex", flexDirection: "column", width: "100%", overflow: "auto", backgroundColor: "#ededed" }}>
+      {header}
+
+      {/* Account Name */}
+      <div>
+        <h4 style={{
+          padding: "0px 16px 0px 16px",
+          display: "flex",
+          color: "#1f2223",
+          fontSize: "14px",
+          marginBottom: "2px"
+        }}>{account.name}</h4>
+
+        <div style={{
+          marginBottom: "8px",
+          padding: "2px 16px",
+          fontWeight: "500",
+          color: "#5f646a",
+          fontSize: "12px"
+        }}>
+          {[account.address1_city, account.telephone1].filter(Boolean).join(' · ')}
+          <div>
+            Last touch: {lastTouch
+              ? `${lastTouch.date.toLocaleDateString()} (${getActivityLabel(lastTouch.activity.activitytypecode)}, ${lastTouch.days} days ago)`
+              : "No activities yet"}
+          </div>
+        </div>
+      </div>
+
+      {/* Main Content Area - Scrollable */}
+      <div style={{ flex: 1, overflow: "auto", padding: "0 16px 16px 16px" }}>
+
+        {/* Statistics Section */}
+        <Statistics
+          activities={activities}
+          closedOpportunities={closedOpportunities}
+          account={{
+            accountid: account.accountid,
+            createdon: account.createdon,
+            openCount: summary.openCount,
+            wonRevenueLabel: formatBaseMoney(summary.wonRevenue, currency?.settings, { compact: true })
+          }}
+          isOpen={accordionState.statistics}
+          onToggle={() => toggleAccordion('statistics')}
+        />
+
+        {/* Win Rate Section */}
+        <AccordionSection
+          title="Account Win Rate"
+          isOpen={accordionState.winRate}
+          onToggle={() => toggleAccordion('winRate')}
+        >
+          <WinRate closedOpportunities={closedOpportunities} excludedReasons={winRateExclusions} />
+        </AccordionSection>
+
+        {/* Open Opportunities Section */}
+        <AccordionSection
+          title={`Open Opportunities (${summary.openCount})`}
+          isOpen={accordionState.openOpportunities}
+          onToggle={() => toggleAccordion('openOpportunities')}
+          rightElement={
+            <span style={{ fontSize: "12px", color: "#666" }}>
+              {formatBaseMoney(summary.pipeline, currency?.settings, { compact: true })}
+            </span>
+          }
+        >
+          {openOpportunities.length === 0 ? (
+            <p style={{ fontSize: "12px", color: "#666" }}>No open opportunities.</p>
+          ) : (
+            openOpportunities.map(opportunity => (
+              <OpportunityCard
+                key={opportunity.opportunityid}
+                opportunity={opportunity}
+                onClick={() => onOpportunitySelect(opportunity.opportunityid)}
+                currency={currency}
+                choices={choices}
+                ownerName={getOwnerName(opportunity)}
+              />
+            ))
+          )}
+        </AccordionSection>
+
+        {/* Closed Opportunities Section */}
+        <AccordionSection
+          title={`Closed Opportunities (${summary.closedCount})`}
+          isOpen={accordionState.closedOpportunities}
+          onToggle={() => toggleAccordion('closedOpportunities')}
+        >
+          {closedOpportunities.length === 0 ? (
+            <p style={{ fontSize: "12px", color: "#666" }}>No closed opportunities.</p>
+          ) : (
+            closedOpportunities.map(opportunity => (
+              <div
+                key={opportunity.opportunityid}
+                onClick={() => onOpportunitySelect(opportunity.opportunityid)}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  gap: "8px",
+                  padding: "8px 0",
+                  borderBottom: "1px solid #eee",
+                  fontSize: "12px",
+                  cursor: "pointer"
+                }}
+              >
+                <div>
+                  <div style={{ fontWeight: "600", color: "#1f2223" }}>{opportunity.name}</div>
+                  <div style={{ color: "#666" }}>
+                    {getOpportunityStatusLabel(opportunity, choices)} · {new Date(opportunity.actualclosedate).toLocaleDateString()} · {getOwnerName(opportunity)}
+                  </div>
+                </div>
+                <div style={{ whiteSpace: "nowrap", color: Number(opportunity.statecode) === 1 ? "#4caf50" : "#5f646a" }}>
+                  {opportunity.totalamount ? formatRecordAmount(opportunity, 'totalamount', currency) : "—"}
+                </div>
+              </div>
+            ))
+          )}
+        </AccordionSection>
+
+        {/* Contacts Section */}
+        <AccordionSection
+          title={`Contacts (${contacts.length})`}
+          isOpen={accordionState.contacts}
+          onToggle={() => toggleAccordion('contacts')}
+        >
+          <AccountContacts contacts={contacts} />
+        </AccordionSection>
+
+        {/* Calendar Section */}
+        <Calendar
+          activities={activities}
+          isOpen={accordionState.entries}
+          onToggle={() => toggleAccordion('entries')}
+        />
+      </div>
+
+      <div style={{
+        padding: "12px 16px",
+        fontSize: "13px",
+        borderTop: "1px solid #e0e0e0",
+        backgroundColor: "white"
+      }}>
+        <CurrencyDisplaySelect value={currency?.display} onChange={onCurrencyDisplayChange} />
+      </div>
+    </div>
+  );
+};
+
+export default AccountLens;
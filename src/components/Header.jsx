@@ -3,6 +3,8 @@ import { PiGear, PiList, PiX, PiArrowsClockwise, PiUser, PiChartBar, PiHouse, Pi
 import DebugButton from './DebugButton';
 import SubscriptionStatus from './SubscriptionStatus';
 import SubscriptionDebugPanel from './SubscriptionDebugPanel';
+import { formatRelativeTime } from '../utils/dateUtils';
+import { getTrackingStatus, subscribeToTrackingStatus, describeTrackingStatus } from '../utils/deltaSync';
 
 
 /**
@@ -17,6 +19,8 @@ import SubscriptionDebugPanel from './SubscriptionDebugPanel';
  * @param {Function} options.onFetchMyOpenOpportunities - Function to fetch user's open opportunities
  * @param {Function} options.onLogout - Function to handle logout
  * @param {boolean} options.isLoggingOut - Whether logout is in progress
+ * @param {number} options.lastSyncedAt - Timestamp of the last successful data sync
+ * @param {boolean} options.isSyncing - Whether a background sync is in progress
  * @returns {JSX.Element} The header element
  */
 
@@ -29,9 +33,23 @@ const Header = ({
   onFetchMyOpenOpportunities = () => {},
   onLogout = () => {},
   isLoggingOut = false,
-  subscription = {}
+  subscription = {},
+  lastSyncedAt = null,
+  isSyncing = false
 }) => {
   const [showSidebar, setShowSidebar] = useState(false);
+  const [, setNow] = useState(Date.now());
+  const [trackingStatus, setTrackingStatus] = useState(getTrackingStatus());
+  
+  // Re-render every minute so the "last synced" label stays current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+  
+  // Say when syncs can't use change tracking, or are still getting it ready
+  useEffect(() => subscribeToTrackingStatus(setTrackingStatus), []);
+  const trackingNote = describeTrackingStatus(trackingStatus);
   
   const toggleSidebar = () => {
     setShowSidebar(!showSidebar);
@@ -94,6 +112,18 @@ const Header = ({
             <h2 style={{ fontSize: "16px", fontWeight: "600", fontFamily: "'Parkinsans', sans-serif" }}>
               {title}
             </h2>
+            {(isSyncing || lastSyncedAt) && (
+              <span
+                title={[
+                  lastSyncedAt && `Last synced ${new Date(lastSyncedAt).toLocaleString()}`,
+                  trackingNote?.title
+                ].filter(Boolean).join('\n') || undefined}
+                style={{ fontSize: "10px", color: "#888" }}
+              >
+                {isSyncing ? "Syncing..." : `Synced ${formatRelativeTime(lastSyncedAt)}`}
+                {trackingNote && ` · ${trackingNote.label}`}
+              </span>
+            )}
           </div>
           <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
             <SubscriptionStatus subscription={subscription} />
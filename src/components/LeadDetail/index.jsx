@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import Header from '../Header';
+import Calendar from '../OpportunityDetail/Calendar';
+import TimelineLog from '../OpportunityDetail/TimelineLog';
+import { getLeadName, getLeadSourceLabel } from '../../utils/leadUtils';
+import { calculateDaysBetween } from '../../utils/dateUtils';
+import { calculateDaysSinceLastContact, getActivityLabel } from '../../utils/activityUtils';
+
+/**
+ * Lead detail view shown when the user is on a lead form
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.leadData - Lead data ({ lead, activities, notes })
+ * @param {boolean} props.loading - Whether the lead is loading
+ * @param {Function} props.onBackClick - Function to call when back button is clicked
+ * @param {string} props.accessToken - Access token for loading activity details
+ * @param {number} props.lastSyncedAt - Timestamp of the last successful data sync
+ * @param {boolean} props.isSyncing - Whether a background sync is in progress
+ * @returns {JSX.Element} Lead detail component
+ */
+const LeadDetail = ({
+  leadData,
+  loading,
+  onBackClick,
+  onLogout,
+  isLoggingOut,
+  accessToken,
+  subscription,
+  lastSyncedAt,
+  isSyncing
+}) => {
+  const [accordionState, setAccordionState] = useState({
+    entries: false,
+    timeline: true
+  });
+
+  const toggleAccordion = (section) => {
+    setAccordionState({
+      ...accordionState,
+      [section]: !accordionState[section]
+    });
+  };
+
+  const { lead = null, activities = [], notes = [] } = leadData || {};
+
+  const header = (
+    <Header
+      title="Lens"
+      showBackButton={true}
+      onBackClick={onBackClick}
+      onLogout={onLogout}
+      isLoggingOut={isLoggingOut}
+      subscription={subscription}
+      lastSyncedAt={lastSyncedAt}
+      isSyncing={isSyncing}
+    />
+  );
+
+  if (!lead) {
+    return (
+      <div style={{ flex: 1, display: "flex", flexDirection: "column", width: "100%", backgroundColor: "#ededed" }}>
+        {header}
+        <div style={{ textAlign: "center", padding: "20px" }}>
+          <p>{loading ? "Loading lead..." : "Lead not available."}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const lastTouch = calculateDaysSinceLastContact(activities);
+  const daysOpen = calculateDaysBetween(lead.createdon, null);
+  const statusLabel = lead['statuscode@OData.Community.Display.V1.FormattedValue'];
+  const qualityLabel = lead['leadqualitycode@OData.Community.Display.V1.FormattedValue'];
+
+  const infoRows = [
+    { label: "Company", value: [lead.companyname, lead.jobtitle].filter(Boolean).join(' · ') },
+    { label: "Source", value: getLeadSourceLabel(lead) },
+    { label: "Rating", value: qualityLabel },
+    { label: "Email", value: lead.emailaddress1 },
+    { label: "Phone", value: lead.telephone1 },
+    { label: "Owner", value: lead['_ownerid_value@OData.Community.Display.V1.FormattedValue'] }
+  ].filter(row => row.value);
+
+  return (
+    <div style={{ flex: 1, display: "flex", flexDirection: "column", width: "100%", overflow: "auto", backgroundColor: "#ededed" }}>
+      {header}
+
+      {/* Lead Name */}
+      <div>
+        <h4 style={{
+          padding: "0px 16px 0px 16px",
+          display: "flex",
+          color: "#1f2223",
+          fontSize: "14px",
+          marginBottom: "2px"
+        }}>{getLeadName(lead)}</h4>
+
+        <div style={{
+          marginBottom: "8px",
+          padding: "2px 16px",
+          fontWeight: "500",
+          color: "#5f646a",
+          fontSize: "12px"
+        }}>
+          {[statusLabel, lead.statecode === 0 ? `Open ${daysOpen} ${daysOpen === 1 ? "day" : "days"}` : null].filter(Boolean).join(' · ')}
+          <div>
+            Last touch: {lastTouch
+              ? `${lastTouch.date.toLocaleDateString()} (${getActivityLabel(lastTouch.activity.activitytypecode)}, ${lastTouch.days} days ago)`
+              : "No activities yet"}
+          </div>
+        </div>
+      </div>
+
+      {/* Main Content Area - Scrollable */}
+      <div style={{ flex: 1, overflow: "auto", padding: "0 16px 16px 16px" }}>
+
+        {/* Lead Info */}
+        <div style={{
+          padding: "12px 16px",
+          marginBottom: "12px",
+          backgroundColor: "white",
+          borderRadius: "8px",
+          boxShadow: "0 1px 3px rgba(0,0,0,0.1)",
+          fontSize: "12px"
+        }}>
+          {infoRows.map(row => (
+            <div key={row.label} style={{ display: "flex", justifyContent: "space-between", gap: "8px", padding: "4px 0" }}>
+              <span style={{ color: "#666" }}>{row.label}</span>
+              <span style={{ color: "#1f2223", fontWeight: "500", textAlign: "right", wordBreak: "break-word" }}>{row.value}</span>
+            </div>
+          ))}
+        </div>
+
+        {/* Calendar Section */}
+        <Calendar
+          activities={activities}
+          isOpen={accordionState.entries}
+          onToggle={() => toggleAccordion('entries')}
+        />
+
+        {/* Timeline Section */}
+        <TimelineLog
+          activities={activities}
+          notes={notes}
+          accessToken={accessToken}
+          isOpen={accordionState.timeline}
+          onToggle={() => toggleAccordion('timeline')}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default LeadDetail;
@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import { PiX, PiPaperclip } from "react-icons/pi";
+import { getActivityLabel, getIconForActivity } from '../../utils/activityUtils';
+import { fetchActivityDetails, getFormattedValue } from '../../utils/activityDetails';
+import { sanitizeHtml } from '../../utils/sanitizeHtml';
+
+const HTML_TAG_PATTERN = /<[a-z][\s\S]*>/i;
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : null);
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Get the type-specific fields to show for an activity
+ * @param {string} typeCode - Activity type code
+ * @param {Object} record - Full activity record
+ * @returns {Array<{label: string, value: string}>} Fields with a value
+ */
+const getDetailFields = (typeCode, record) => {
+  const fieldsByType = {
+    email: [
+      ['From', getFormattedValue(record, 'sender')],
+      ['To', getFormattedValue(record, 'torecipients')],
+      ['Direction', getFormattedValue(record, 'directioncode')],
+      ['Sent', formatDateTime(record.actualend)],
+      ['Status', getFormattedValue(record, 'statuscode')]
+    ],
+    phonecall: [
+      ['Direction', getFormattedValue(record, 'directioncode')],
+      ['Phone number', record.phonenumber],
+      ['Duration', record.actualdurationminutes ? `${record.actualdurationminutes} min` : null],
+      ['Due', formatDateTime(record.scheduledend)],
+      ['Status', getFormattedValue(record, 'statuscode')]
+    ],
+    task: [
+      ['Due', formatDateTime(record.scheduledend)],
+      ['Status', getFormattedValue(record, 'statuscode')],
+      ['Priority', getFormattedValue(record, 'prioritycode')],
+      ['Complete', record.percentcomplete !== undefined && record.percentcomplete !== null ? `${record.percentcomplete}%` : null]
+    ],
+    appointment: [
+      ['Location', record.location],
+      ['Starts', formatDateTime(record.scheduledstart)],
+      ['Ends', formatDateTime(record.scheduledend)],
+      ['All day', record.isalldayevent ? 'Yes' : null],
+      ['Status', getFormattedValue(record, 'statuscode')]
+    ],
+    note: [
+      ['Created by', getFormattedValue(record, '_createdby_value')],
+      ['Created', formatDateTime(record.createdon)],
+      ['Attachment', record.isdocument ? `${record.filename} ${formatFileSize(record.filesize)}`.trim() : null]
+    ]
+  };
+
+  const fields = fieldsByType[typeCode?.toLowerCase()] || [
+    ['Starts', formatDateTime(record.scheduledstart)],
+    ['Due', formatDateTime(record.scheduledend)],
+    ['Status', getFormattedValue(record, 'statuscode')]
+  ];
+
+  return fields
+    .filter(([, value]) => value)
+    .map(([label, value]) => ({ label, value }));
+};
+
+/**
+ * Drawer showing the full record and notes of a timeline activity
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.activity - Activity selected in the timeline
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {Function} props.onClose - Function to call when the drawer is closed
+ * @returns {JSX.Element|null} Activity drawer component
+ */
+const ActivityDrawer = ({ activity, accessToken, onClose }) => {
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Lazily load the full record when an activity is opened
+  useEffect(() => {
+    if (!activity) return;
+
+    let cancelled = false;
+
+    const loadDetails = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setDetails(null);
+
+        const result = await fetchActivityDetails(accessToken, activity);
+        if (!cancelled) setDetails(result);
+      } catch (err) {
+        console.error("[ActivityDrawer] Error loading activity:", err);
+        if (!cancelled) setError("Could not load this activity.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadDetails();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activity?.activityid, accessToken]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  if (!activity) return null;
+
+  const activityLabel = getActivityLabel(activity.activitytypecode);
+  const record = details?.record;
+  const description = record?.description;
+
+  const renderDescription = () => {
+    if (!description) return null;
+
+    const sectionStyle = {
+      marginTop: "12px",
+      paddingTop: "12px",
+      borderTop: "1px solid #eee",
+      fontSize: "12px",
+      color: "#444",
+      overflowWrap: "anywhere"
+    };
+
+    // Email bodies (and some synced appointments) are HTML
+    if (HTML_TAG_PATTERN.test(description)) {
+      return (
+        <div
+          style={sectionStyle}
+          dangerouslySetInnerHTML={{ __html: sanitizeHtml(description) }}
+        />
+      );
+    }
+
+    return <div style={{ ...sectionStyle, whiteSpace: "pre-wrap" }}>{description}</div>;
+  };
+
+  const renderNotes = () => {
+    const notes = details?.notes || [];
+    if (notes.length === 0) return null;
+
+    return (
+      <div style={{ marginTop: "16px" }}>
+        <div style={{ fontSize: "13px", fontWeight: "600", marginBottom: "8px" }}>
+          Notes ({notes.length})
+        </div>
+        {notes.map(note => (
+          <div
+            key={note.annotationid}
+            style={{
+              backgroundColor: "#f9f9f9",
+              borderRadius: "4px",
+              padding: "8px 12px",
+              marginBottom: "8px",
+              fontSize: "12px"
+            }}
+          >
+            {note.subject && <div style={{ fontWeight: "500", marginBottom: "4px" }}>{note.subject}</div>}
+            {note.notetext && <div style={{ whiteSpace: "pre-wrap", color: "#444" }}>{note.notetext}</div>}
+            {note.isdocument && note.filename && (
+              <div style={{ display: "flex", alignItems: "center", gap: "4px", marginTop: "4px", color: "#0078d4" }}>
+                <PiPaperclip size={12} />
+                {note.filename}
+                <span style={{ color: "#888" }}>{formatFileSize(note.filesize)}</span>
+              </div>
+            )}
+            <div style={{ marginTop: "4px", fontSize: "10px", color: "#888" }}>
+              {getFormattedValue(note, '_createdby_value')} · {formatDateTime(note.createdon)}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.3)",
+        zIndex: 1000,
+        display: "flex",
+        alignItems: "flex-end"
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "100%",
+          maxHeight: "85%",
+          overflowY: "auto",
+          backgroundColor: "white",
+          borderRadius: "12px 12px 0 0",
+          boxShadow: "0 -2px 10px rgba(0,0,0,0.15)",
+          padding: "16px"
+        }}
+      >
+        {/* Header */}
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: "8px" }}>
+          <div>
+            <div style={{ fontSize: "14px", fontWeight: "600", color: "#1f2223", marginBottom: "4px" }}>
+              {activity.subject || activityLabel}
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "12px", color: "#666" }}>
+              {getIconForActivity(activityLabel)}
+              {activityLabel}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            title="Close"
+            style={{
+              background: "none",
+              border: "none",
+              cursor: "pointer",
+              padding: "4px",
+              color: "#666"
+            }}
+          >
+            <PiX size={16} />
+          </button>
+        </div>
+
+        {/* Participants */}
+        {activity.participants?.length > 0 && (
+          <div style={{ fontSize: "12px", color: "#444", marginBottom: "8px" }}>
+            {activity.participants.map(participant => (
+              <div key={participant.key}>
+                <span style={{ color: "#888" }}>{participant.roles.join(', ')}:</span> {participant.name}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {loading && <p style={{ fontSize: "12px", color: "#666" }}>Loading activity...</p>}
+        {error && <p style={{ fontSize: "12px", color: "#d32f2f" }}>{error}</p>}
+
+        {record && (
+          <>
+            {/* Type-specific fields */}
+            <div style={{ fontSize: "12px" }}>
+              {getDetailFields(activity.activitytypecode, record).map(field => (
+                <div key={field.label} style={{ display: "flex", gap: "8px", marginBottom: "4px" }}>
+                  <span style={{ color: "#888", minWidth: "90px" }}>{field.label}</span>
+                  <span style={{ color: "#1f2223" }}>{field.value}</span>
+                </div>
+              ))}
+            </div>
+
+            {renderDescription()}
+            {renderNotes()}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActivityDrawer;
@@ -3,6 +3,8 @@ import { calculateDaysSinceLastContact } from '../../utils/activityUtils';
 import { calculateDaysBetween } from '../../utils/dateUtils';
 import AccordionSection from '../common/AccordionSection';
 import { getOpportunityUrl } from '../../utils/opportunityUtils';
+import { formatDealValue } from '../../utils/currencyUtils';
+import { getOpportunityStatusLabel } from '../../utils/metadata';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -33,9 +35,11 @@ ChartJS.register(
  * @param {Object} props.opportunity - Current opportunity data
  * @param {boolean} props.isOpen - Whether section is expanded
  * @param {Function} props.onToggle - Function to call when toggling section
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {Object} props.choices - Opportunity choice labels
  * @returns {JSX.Element} Analytics component
  */
-const Analytics = ({ activities = [], closedOpportunities = [], opportunity, isOpen, onToggle }) => {
+const Analytics = ({ activities = [], closedOpportunities = [], opportunity, isOpen, onToggle, currency, choices }) => {
   const [averageClosingTime, setAverageClosingTime] = useState(0);
   const [chartData, setChartData] = useState({ labels: [], datasets: [] });
   const [currentOpportunityDays, setCurrentOpportunityDays] = useState(0);
@@ -75,8 +79,8 @@ const Analytics = ({ activities = [], closedOpportunities = [], opportunity, isO
           return {
             name: opp.name || 'Unnamed Opportunity',
             description: opp.description || '',
-            value: opp.estimatedvalue || opp.totalamount || 0,
-            status: opp.statecode === 0 ? 'Open' : opp.statecode === 1 ? 'Won' : 'Lost',
+            value: formatDealValue(opp, currency),
+            status: getOpportunityStatusLabel(opp, choices),
             daysOpen: Math.floor((new Date(opp.actualclosedate) - new Date(opp.createdon)) / (1000 * 60 * 60 * 24)),
             url: url,
             id: opp.opportunityid
@@ -115,8 +119,8 @@ const Analytics = ({ activities = [], closedOpportunities = [], opportunity, isO
           updatedTooltips.unshift({
             name: opportunity.name || 'Current Opportunity',
             description: opportunity.description || '',
-            value: opportunity.estimatedvalue || 0,
-            status: 'Open',
+            value: formatDealValue(opportunity, currency),
+            status: getOpportunityStatusLabel(opportunity, choices),
             daysOpen: currentOpportunityDays,
             url: currentUrl,
             id: opportunity.opportunityid
@@ -150,7 +154,7 @@ const Analytics = ({ activities = [], closedOpportunities = [], opportunity, isO
       
       generateTooltips();
     }
-  }, [closedOpportunities, opportunity, currentOpportunityDays]);
+  }, [closedOpportunities, opportunity, currentOpportunityDays, currency?.settings, currency?.display, choices]);
 
   // Function to handle bar click
   const handleBarClick = (event) => {
@@ -210,7 +214,7 @@ const Analytics = ({ activities = [], closedOpportunities = [], opportunity, isO
             
             const lines = [
               `Days Open: ${tooltipItem.daysOpen}`,
-              `Value: ${tooltipItem.value.toLocaleString()}`,
+              `Value: ${tooltipItem.value}`,
               `Status: ${tooltipItem.status}`
             ];
             
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import AccordionSection from '../common/AccordionSection';
+import InlineEditField from '../common/InlineEditField';
 import { getOpportunityUrl } from '../../utils/opportunityUtils';
+import { formatRecordAmount } from '../../utils/currencyUtils';
+import { getFormEditBlockReason } from '../../utils/opportunityWrites';
+import { getOpportunityStatusLabel, getOpportunityStageLabel, getCustomChoiceValues } from '../../utils/metadata';
 
 /**
  * Basic opportunity information component
@@ -9,9 +13,13 @@ import { getOpportunityUrl } from '../../utils/opportunityUtils';
  * @param {Object} props.opportunity - Opportunity data
  * @param {boolean} props.isOpen - Whether section is expanded
  * @param {Function} props.onToggle - Function to call when toggling section
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {Object} props.choices - Opportunity choice labels
+ * @param {Function} props.onFieldSave - Function called with changed fields; omitted for read-only display
+ * @param {Object} props.formState - Form type and unsaved changes of the opportunity's open form, if any
  * @returns {JSX.Element} Basic info component
  */
-const BasicInfo = ({ opportunity, isOpen, onToggle }) => {
+const BasicInfo = ({ opportunity, isOpen, onToggle, currency, choices, onFieldSave, formState }) => {
   const [dynamicsUrl, setDynamicsUrl] = useState('');
   
   // Generate Dynamics URL when opportunity changes
@@ -31,6 +39,12 @@ const BasicInfo = ({ opportunity, isOpen, onToggle }) => {
     loadDynamicsUrl();
   }, [opportunity]);
   
+  // Closed opportunities can't be edited until they are reopened, nor while the form can't take the change
+  const editBlockReason = getFormEditBlockReason(formState);
+  const saveField = onFieldSave && opportunity.statecode === 0 && !editBlockReason
+    ? (field) => (value) => onFieldSave({ [field]: value })
+    : () => null;
+  
   return (
     <AccordionSection
     title="Basic Info"
@@ -40,6 +54,10 @@ const BasicInfo = ({ opportunity, isOpen, onToggle }) => {
     <div style={{ marginBottom: "16px", backgroundColor: "white", borderRadius: "8px", overflow: "hidden", padding: "16px" }}>
       <h3 style={{ margin: "0 0 12px 0", fontSize: "16px" }}>Opportunity Details</h3>
       
+      {onFieldSave && opportunity.statecode === 0 && editBlockReason && (
+        <p style={{ margin: "0 0 12px 0", fontSize: "12px", color: "#b26a00" }}>{editBlockReason}</p>
+      )}
+      
       <div style={{ marginBottom: "8px" }}>
         <strong>ID:</strong> {opportunity.opportunityid}
       </div>
@@ -50,29 +68,62 @@ const BasicInfo = ({ opportunity, isOpen, onToggle }) => {
         </div>
       )}
       
-      {opportunity.estimatedvalue && (
+      <div style={{ marginBottom: "8px" }}>
+        <strong>Estimated Value:</strong>{" "}
+        <InlineEditField
+          label="estimated value"
+          type="number"
+          value={opportunity.estimatedvalue}
+          display={opportunity.estimatedvalue ? formatRecordAmount(opportunity, 'estimatedvalue', currency) : "Not set"}
+          onSave={saveField('estimatedvalue')}
+        />
+      </div>
+      
+      <div style={{ marginBottom: "8px" }}>
+        <strong>Probability:</strong>{" "}
+        <InlineEditField
+          label="probability"
+          type="percent"
+          value={opportunity.closeprobability}
+          display={opportunity.closeprobability !== null && opportunity.closeprobability !== undefined ? `${opportunity.closeprobability}%` : "Not set"}
+          onSave={saveField('closeprobability')}
+        />
+      </div>
+      
+      {opportunity.statecode !== undefined && (
         <div style={{ marginBottom: "8px" }}>
-          <strong>Estimated Value:</strong> ${opportunity.estimatedvalue.toLocaleString()}
+          <strong>Status:</strong> {getOpportunityStatusLabel(opportunity, choices)}
         </div>
       )}
       
-      {opportunity.statecode !== undefined && (
+      {getOpportunityStageLabel(opportunity, choices) && (
         <div style={{ marginBottom: "8px" }}>
-          <strong>Status:</strong> {opportunity.statecode === 0 ? "Open" : "Closed"}
+          <strong>Stage:</strong> {getOpportunityStageLabel(opportunity, choices)}
         </div>
       )}
       
+      {getCustomChoiceValues(opportunity, choices).map(choice => (
+        <div key={choice.attribute} style={{ marginBottom: "8px" }}>
+          <strong>{choice.displayName}:</strong> {choice.label}
+        </div>
+      ))}
+      
       {opportunity.createdon && (
         <div style={{ marginBottom: "8px" }}>
           <strong>Created on:</strong> {new Date(opportunity.createdon).toLocaleDateString()}
         </div>
       )}
       
-      {opportunity.estimatedclosedate && (
-        <div style={{ marginBottom: "8px" }}>
-          <strong>Est. Close Date:</strong> {new Date(opportunity.estimatedclosedate).toLocaleDateString()}
-        </div>
-      )}
+      <div style={{ marginBottom: "8px" }}>
+        <strong>Est. Close Date:</strong>{" "}
+        <InlineEditField
+          label="estimated close date"
+          type="date"
+          value={opportunity.estimatedclosedate}
+          display={opportunity.estimatedclosedate ? new Date(opportunity.estimatedclosedate).toLocaleDateString() : "Not set"}
+          onSave={saveField('estimatedclosedate')}
+        />
+      </div>
       
       {opportunity.actualclosedate && (
         <div style={{ marginBottom: "8px" }}>
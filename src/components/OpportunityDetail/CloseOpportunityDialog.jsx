@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { PiX } from "react-icons/pi";
+import { CLOSE_OUTCOMES, getCloseStatusReasons, fetchCompetitors } from '../../utils/opportunityClose';
+
+const inputStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  fontSize: "12px",
+  padding: "6px 8px",
+  border: "1px solid #ddd",
+  borderRadius: "4px",
+  marginBottom: "8px",
+  fontFamily: "inherit",
+  backgroundColor: "white"
+};
+
+const labelStyle = {
+  display: "block",
+  fontSize: "11px",
+  color: "#666",
+  marginBottom: "4px"
+};
+
+/**
+ * Get today's date in the rep's time zone as YYYY-MM-DD
+ * @returns {string} Date input value
+ */
+const getToday = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().substring(0, 10);
+};
+
+/**
+ * Dialog collecting the details needed to close an opportunity as won or lost
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.outcome - CLOSE_OUTCOMES value
+ * @param {Object} props.opportunity - Opportunity being closed
+ * @param {Object} props.choices - Opportunity choice labels
+ * @param {string} props.accessToken - Access token for loading competitors
+ * @param {Function} props.onConfirm - Function called with the close details; resolves once closed
+ * @param {Function} props.onCancel - Function to call when the dialog is dismissed
+ * @returns {JSX.Element} Close opportunity dialog component
+ */
+const CloseOpportunityDialog = ({ outcome, opportunity, choices, accessToken, onConfirm, onCancel }) => {
+  const isWon = outcome === CLOSE_OUTCOMES.WON;
+  const statusReasons = getCloseStatusReasons(choices, outcome);
+
+  const [values, setValues] = useState({
+    statuscode: statusReasons[0]?.value,
+    actualRevenue: isWon && opportunity.estimatedvalue ? String(opportunity.estimatedvalue) : '',
+    closeDate: getToday(),
+    competitorId: '',
+    description: ''
+  });
+  const [competitors, setCompetitors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Competitors are optional, so the dialog works without them
+  useEffect(() => {
+    fetchCompetitors(accessToken)
+      .then(setCompetitors)
+      .catch((err) => {
+        console.warn("[CloseOpportunityDialog] Could not load competitors:", err);
+      });
+  }, [accessToken]);
+
+  const updateValue = (field, value) => {
+    setValues(previous => ({ ...previous, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+      await onConfirm({ ...values, outcome });
+    } catch (err) {
+      console.error("[CloseOpportunityDialog] Error closing opportunity:", err);
+      setError(err.message?.includes("Authentication failed")
+        ? "Your session has expired. Please log in again."
+        : "Could not close the opportunity in Dynamics. Please try again.");
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      onClick={onCancel}
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.3)",
+        zIndex: 1000,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: "16px"
+      }}
+    >
+      <form
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+        style={{
+          width: "100%",
+          maxWidth: "360px",
+          backgroundColor: "white",
+          borderRadius: "8px",
+          boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+          padding: "16px"
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: "12px" }}>
+          <div>
+            <div style={{ fontSize: "14px", fontWeight: "600", color: "#1f2223" }}>
+              Close as {isWon ? "won" : "lost"}
+            </div>
+            <div style={{ fontSize: "12px", color: "#666" }}>{opportunity.name}</div>
+          </div>
+          <button
+            type="button"
+            onClick={onCancel}
+            title="Cancel"
+            style={{ background: "none", border: "none", cursor: "pointer", padding: "4px", color: "#666" }}
+          >
+            <PiX size={16} />
+          </button>
+        </div>
+
+        <label style={labelStyle} htmlFor="close-status-reason">Status reason</label>
+        <select
+          id="close-status-reason"
+          value={values.statuscode}
+          onChange={(e) => updateValue('statuscode', Number(e.target.value))}
+          style={inputStyle}
+        >
+          {statusReasons.map(reason => (
+            <option key={reason.value} value={reason.value}>{reason.label}</option>
+          ))}
+        </select>
+
+        <div style={{ display: "flex", gap: "8px" }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle} htmlFor="close-actual-revenue">Actual revenue</label>
+            <input
+              id="close-actual-revenue"
+              type="number"
+              min="0"
+              step="any"
+              value={values.actualRevenue}
+              onChange={(e) => updateValue('actualRevenue', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle} htmlFor="close-date">Close date</label>
+            <input
+              id="close-date"
+              type="date"
+              required
+              value={values.closeDate}
+              onChange={(e) => updateValue('closeDate', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+        </div>
+
+        <label style={labelStyle} htmlFor="close-competitor">Competitor (optional)</label>
+        <select
+          id="close-competitor"
+          value={values.competitorId}
+          onChange={(e) => updateValue('competitorId', e.target.value)}
+          style={inputStyle}
+        >
+          <option value="">None</option>
+          {competitors.map(competitor => (
+            <option key={competitor.id} value={competitor.id}>{competitor.name}</option>
+          ))}
+        </select>
+
+        <label style={labelStyle} htmlFor="close-description">Description (optional)</label>
+        <textarea
+          id="close-description"
+          rows={2}
+          value={values.description}
+          onChange={(e) => updateValue('description', e.target.value)}
+          style={{ ...inputStyle, resize: "vertical" }}
+        />
+
+        {error && <p style={{ fontSize: "12px", color: "#d32f2f", margin: "0 0 8px 0" }}>{error}</p>}
+
+        <button
+          type="submit"
+          disabled={saving}
+          style={{
+            width: "100%",
+            padding: "8px",
+            fontSize: "13px",
+            border: "none",
+            borderRadius: "4px",
+            backgroundColor: saving ? "#cccccc" : (isWon ? "#4caf50" : "#f44336"),
+            color: "white",
+            cursor: saving ? "default" : "pointer"
+          }}
+        >
+          {saving ? "Closing..." : `Close as ${isWon ? "won" : "lost"}`}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CloseOpportunityDialog;
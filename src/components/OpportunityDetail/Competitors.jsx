@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import AccordionSection from '../common/AccordionSection';
+import { fetchOpportunityCompetitors } from '../../utils/competitorUtils';
+
+/**
+ * Competitors recorded on the opportunity
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.opportunity - Current opportunity
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {boolean} props.isOpen - Whether section is expanded
+ * @param {Function} props.onToggle - Function to call when toggling section
+ * @returns {JSX.Element} Competitors component
+ */
+const Competitors = ({ opportunity, accessToken, isOpen, onToggle }) => {
+  const [competitors, setCompetitors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Competitors are fetched once the section has been expanded
+  const [hasOpened, setHasOpened] = useState(isOpen);
+
+  useEffect(() => {
+    if (isOpen) setHasOpened(true);
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!hasOpened) return;
+
+    const loadCompetitors = async () => {
+      if (!accessToken || !opportunity?.opportunityid) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+        setCompetitors(await fetchOpportunityCompetitors(accessToken, opportunity.opportunityid));
+      } catch (err) {
+        console.error("[Competitors] Error loading competitors:", err);
+        setError("Could not load the competitors for this opportunity.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadCompetitors();
+  }, [accessToken, opportunity?.opportunityid, hasOpened]);
+
+  const renderContent = () => {
+    if (loading) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>Loading competitors...</p>;
+    }
+
+    if (error) {
+      return <p style={{ fontSize: "12px", color: "#d32f2f" }}>{error}</p>;
+    }
+
+    if (competitors.length === 0) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>No competitors recorded on this opportunity.</p>;
+    }
+
+    return (
+      <div>
+        {competitors.map(competitor => (
+          <div
+            key={competitor.competitorid}
+            style={{ padding: "8px 0", borderBottom: "1px solid #eee", fontSize: "12px" }}
+          >
+            <div style={{ fontWeight: "600", color: "#1f2223" }}>
+              {/^https?:\/\//i.test(competitor.websiteurl || '') ? (
+                <a href={competitor.websiteurl} target="_blank" rel="noopener noreferrer" style={{ color: "#0078d4", textDecoration: "none" }}>
+                  {competitor.name}
+                </a>
+              ) : competitor.name}
+            </div>
+            {competitor.strengths && (
+              <div style={{ color: "#666" }}><strong>Strengths:</strong> {competitor.strengths}</div>
+            )}
+            {competitor.weaknesses && (
+              <div style={{ color: "#666" }}><strong>Weaknesses:</strong> {competitor.weaknesses}</div>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <AccordionSection
+      title={`Competitors${competitors.length > 0 ? ` (${competitors.length})` : ''}`}
+      isOpen={isOpen}
+      onToggle={onToggle}
+    >
+      {renderContent()}
+    </AccordionSection>
+  );
+};
+
+export default Competitors;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import AccordionSection from '../common/AccordionSection';
+import { fetchOpportunityProducts, getProductLineName, reconcileProductLines } from '../../utils/productUtils';
+import { formatRecordAmount, formatMoney } from '../../utils/currencyUtils';
+
+const cellStyle = {
+  padding: "6px 4px",
+  borderBottom: "1px solid #eee",
+  textAlign: "right",
+  whiteSpace: "nowrap"
+};
+
+const headerCellStyle = {
+  ...cellStyle,
+  fontWeight: "600",
+  color: "#666",
+  fontSize: "11px"
+};
+
+/**
+ * Product lines of the opportunity, reconciled against its estimated value
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.opportunity - Current opportunity
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {boolean} props.isOpen - Whether section is expanded
+ * @param {Function} props.onToggle - Function to call when toggling section
+ * @returns {JSX.Element} Product lines component
+ */
+const ProductLines = ({ opportunity, accessToken, currency, isOpen, onToggle }) => {
+  const [lines, setLines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Products are loaded the first time the section is expanded
+  const [hasOpened, setHasOpened] = useState(isOpen);
+
+  useEffect(() => {
+    if (isOpen) setHasOpened(true);
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!hasOpened) return;
+
+    const loadProducts = async () => {
+      if (!accessToken || !opportunity?.opportunityid) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+        setLines(await fetchOpportunityProducts(accessToken, opportunity.opportunityid));
+      } catch (err) {
+        console.error("[ProductLines] Error loading products:", err);
+        setError("Could not load the products for this opportunity.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProducts();
+  }, [accessToken, opportunity?.opportunityid, hasOpened]);
+
+  const renderReconciliation = () => {
+    const { lineTotal, headerAmount, difference, isMismatch } = reconcileProductLines(opportunity, lines);
+    // Totals are in the deal's own currency, whatever the display preference
+    const format = (amount) => formatMoney(amount, opportunity._transactioncurrencyid_value, currency?.settings);
+
+    return (
+      <div style={{
+        marginTop: "8px",
+        backgroundColor: isMismatch ? "#fff4e5" : "#f5f5f5",
+        borderRadius: "10px",
+        padding: "8px 12px",
+        fontSize: "12px"
+      }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <span style={{ color: "#666" }}>Lines total</span>
+          <strong>{format(lineTotal)}</strong>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <span style={{ color: "#666" }}>Estimated value</span>
+          <span>{headerAmount === null ? "Not set" : format(headerAmount)}</span>
+        </div>
+        {isMismatch && (
+          <div style={{ color: "#b26a00", marginTop: "4px" }}>
+            Lines are {format(Math.abs(difference))} {difference > 0 ? "above" : "below"} the estimated value.
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>Loading products...</p>;
+    }
+
+    if (error) {
+      return <p style={{ fontSize: "12px", color: "#d32f2f" }}>{error}</p>;
+    }
+
+    if (lines.length === 0) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>No products on this opportunity.</p>;
+    }
+
+    return (
+      <div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+          <thead>
+            <tr>
+              <th style={{ ...headerCellStyle, textAlign: "left" }}>Product</th>
+              <th style={headerCellStyle}>Qty</th>
+              <th style={headerCellStyle}>Unit price</th>
+              <th style={headerCellStyle}>Discount</th>
+              <th style={headerCellStyle}>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map(line => (
+              <tr key={line.opportunityproductid}>
+                <td style={{ ...cellStyle, textAlign: "left", whiteSpace: "normal" }}>{getProductLineName(line)}</td>
+                <td style={cellStyle}>{line.quantity ?? "—"}</td>
+                <td style={cellStyle}>{formatRecordAmount(line, 'priceperunit', currency)}</td>
+                <td style={cellStyle}>{line.manualdiscountamount ? formatRecordAmount(line, 'manualdiscountamount', currency) : "—"}</td>
+                <td style={cellStyle}>{formatRecordAmount(line, 'extendedamount', currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {renderReconciliation()}
+      </div>
+    );
+  };
+
+  return (
+    <AccordionSection
+      title={`Products${lines.length > 0 ? ` (${lines.length})` : ''}`}
+      isOpen={isOpen}
+      onToggle={onToggle}
+    >
+      {renderContent()}
+    </AccordionSection>
+  );
+};
+
+export default ProductLines;
@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { PiPhoneCall, PiCheckSquare, PiNotePencil } from "react-icons/pi";
+import AccordionSection from '../common/AccordionSection';
+import { QUICK_LOG_TYPES, PHONE_CALL_OUTCOMES, TASK_PRIORITIES } from '../../utils/activityWrites';
+
+const LOG_TYPE_OPTIONS = [
+  { type: QUICK_LOG_TYPES.PHONE_CALL, label: "Call", icon: <PiPhoneCall size={14} /> },
+  { type: QUICK_LOG_TYPES.TASK, label: "Task", icon: <PiCheckSquare size={14} /> },
+  { type: QUICK_LOG_TYPES.NOTE, label: "Note", icon: <PiNotePencil size={14} /> }
+];
+
+const EMPTY_VALUES = {
+  subject: '',
+  description: '',
+  notetext: '',
+  outgoing: true,
+  phoneNumber: '',
+  outcome: 'completed',
+  dueDate: '',
+  priority: 1
+};
+
+const inputStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  fontSize: "12px",
+  padding: "6px 8px",
+  border: "1px solid #ddd",
+  borderRadius: "4px",
+  marginBottom: "8px",
+  fontFamily: "inherit"
+};
+
+const labelStyle = {
+  display: "block",
+  fontSize: "11px",
+  color: "#666",
+  marginBottom: "4px"
+};
+
+/**
+ * Quick-log form for calls, tasks and notes on the current opportunity
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onSave - Function called with (type, values); resolves once the entry is saved
+ * @param {boolean} props.isOpen - Whether section is expanded
+ * @param {Function} props.onToggle - Function to call when toggling section
+ * @returns {JSX.Element} Quick log component
+ */
+const QuickLog = ({ onSave, isOpen, onToggle }) => {
+  const [logType, setLogType] = useState(QUICK_LOG_TYPES.PHONE_CALL);
+  const [values, setValues] = useState(EMPTY_VALUES);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedMessage, setSavedMessage] = useState(null);
+
+  const updateValue = (field, value) => {
+    setValues(previous => ({ ...previous, [field]: value }));
+  };
+
+  const isNote = logType === QUICK_LOG_TYPES.NOTE;
+  const canSave = !saving && (isNote ? values.notetext.trim() : values.subject.trim());
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+
+    const submittedType = logType;
+    const submittedValues = values;
+
+    try {
+      setSaving(true);
+      setError(null);
+      setSavedMessage(null);
+
+      // Clear the form straight away; the timeline already shows the entry
+      setValues(EMPTY_VALUES);
+      await onSave(submittedType, submittedValues);
+
+      const label = LOG_TYPE_OPTIONS.find(option => option.type === submittedType)?.label;
+      setSavedMessage(`${label} saved to Dynamics.`);
+    } catch (err) {
+      console.error("[QuickLog] Error saving entry:", err);
+      // Put the values back so nothing typed is lost
+      setValues(submittedValues);
+      setError(err.message?.includes("Authentication failed")
+        ? "Your session has expired. Please log in again."
+        : "Could not save to Dynamics. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderTypeFields = () => {
+    if (logType === QUICK_LOG_TYPES.PHONE_CALL) {
+      return (
+        <>
+          <div style={{ display: "flex", gap: "8px" }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle} htmlFor="quick-log-direction">Direction</label>
+              <select
+                id="quick-log-direction"
+                value={values.outgoing ? 'outgoing' : 'incoming'}
+                onChange={(e) => updateValue('outgoing', e.target.value === 'outgoing')}
+                style={inputStyle}
+              >
+                <option value="outgoing">Outgoing</option>
+                <option value="incoming">Incoming</option>
+              </select>
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle} htmlFor="quick-log-outcome">Outcome</label>
+              <select
+                id="quick-log-outcome"
+                value={values.outcome}
+                onChange={(e) => updateValue('outcome', e.target.value)}
+                style={inputStyle}
+              >
+                {Object.entries(PHONE_CALL_OUTCOMES).map(([key, outcome]) => (
+                  <option key={key} value={key}>{outcome.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <label style={labelStyle} htmlFor="quick-log-phone">Phone number</label>
+          <input
+            id="quick-log-phone"
+            type="tel"
+            value={values.phoneNumber}
+            onChange={(e) => updateValue('phoneNumber', e.target.value)}
+            style={inputStyle}
+          />
+          {values.outcome === 'scheduled' && (
+            <>
+              <label style={labelStyle} htmlFor="quick-log-due">Due</label>
+              <input
+                id="quick-log-due"
+                type="datetime-local"
+                value={values.dueDate}
+                onChange={(e) => updateValue('dueDate', e.target.value)}
+                style={inputStyle}
+              />
+            </>
+          )}
+        </>
+      );
+    }
+
+    if (logType === QUICK_LOG_TYPES.TASK) {
+      return (
+        <div style={{ display: "flex", gap: "8px" }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle} htmlFor="quick-log-due">Due</label>
+            <input
+              id="quick-log-due"
+              type="datetime-local"
+              value={values.dueDate}
+              onChange={(e) => updateValue('dueDate', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle} htmlFor="quick-log-priority">Priority</label>
+            <select
+              id="quick-log-priority"
+              value={values.priority}
+              onChange={(e) => updateValue('priority', Number(e.target.value))}
+              style={inputStyle}
+            >
+              {Object.entries(TASK_PRIORITIES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <AccordionSection
+      title="Quick Log"
+      isOpen={isOpen}
+      onToggle={onToggle}
+    >
+      <form onSubmit={handleSubmit}>
+        {/* Entry type */}
+        <div style={{ display: "flex", gap: "4px", marginBottom: "12px" }}>
+          {LOG_TYPE_OPTIONS.map(option => (
+            <button
+              key={option.type}
+              type="button"
+              onClick={() => setLogType(option.type)}
+              style={{
+                flex: 1,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                gap: "4px",
+                fontSize: "12px",
+                padding: "6px",
+                borderRadius: "4px",
+                cursor: "pointer",
+                border: logType === option.type ? "1px solid #0078d4" : "1px solid #ddd",
+                backgroundColor: logType === option.type ? "#e3f2fd" : "white",
+                color: logType === option.type ? "#0078d4" : "#444"
+              }}
+            >
+              {option.icon}
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <label style={labelStyle} htmlFor="quick-log-subject">{isNote ? "Title (optional)" : "Subject"}</label>
+        <input
+          id="quick-log-subject"
+          type="text"
+          value={values.subject}
+          onChange={(e) => updateValue('subject', e.target.value)}
+          style={inputStyle}
+        />
+
+        {renderTypeFields()}
+
+        <label style={labelStyle} htmlFor="quick-log-text">{isNote ? "Note" : "Description"}</label>
+        <textarea
+          id="quick-log-text"
+          rows={3}
+          value={isNote ? values.notetext : values.description}
+          onChange={(e) => updateValue(isNote ? 'notetext' : 'description', e.target.value)}
+          style={{ ...inputStyle, resize: "vertical" }}
+        />
+
+        {error && <p style={{ fontSize: "12px", color: "#d32f2f", margin: "0 0 8px 0" }}>{error}</p>}
+        {savedMessage && <p style={{ fontSize: "12px", color: "#4caf50", margin: "0 0 8px 0" }}>{savedMessage}</p>}
+
+        <button
+          type="submit"
+          disabled={!canSave}
+          style={{
+            width: "100%",
+            padding: "8px",
+            fontSize: "13px",
+            border: "none",
+            borderRadius: "4px",
+            backgroundColor: canSave ? "#0078d4" : "#cccccc",
+            color: "white",
+            cursor: canSave ? "pointer" : "default"
+          }}
+        >
+          {saving ? "Saving..." : "Save to Dynamics"}
+        </button>
+      </form>
+    </AccordionSection>
+  );
+};
+
+export default QuickLog;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import AccordionSection from '../common/AccordionSection';
+import { fetchOpportunityQuotes, getQuoteFlag, compareQuoteToEstimate } from '../../utils/quoteUtils';
+import { formatRecordAmount, formatMoney } from '../../utils/currencyUtils';
+
+const FLAG_COLORS = {
+  stale: "#ff9800",
+  expiring: "#ff9800",
+  expired: "#f44336"
+};
+
+/**
+ * Format a date column, or a dash when empty
+ * @param {string} value - ISO date
+ * @returns {string} Local date
+ */
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "—");
+
+/**
+ * Quotes and orders of the opportunity, with quote flags and a comparison to the estimated value
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.opportunity - Current opportunity
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {boolean} props.isOpen - Whether section is expanded
+ * @param {Function} props.onToggle - Function to call when toggling section
+ * @returns {JSX.Element} Quotes component
+ */
+const Quotes = ({ opportunity, accessToken, currency, isOpen, onToggle }) => {
+  const [quotes, setQuotes] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Quotes and orders wait until the section is first expanded
+  const [hasOpened, setHasOpened] = useState(isOpen);
+
+  useEffect(() => {
+    if (isOpen) setHasOpened(true);
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!hasOpened) return;
+
+    const loadQuotes = async () => {
+      if (!accessToken || !opportunity?.opportunityid) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await fetchOpportunityQuotes(accessToken, opportunity.opportunityid);
+        setQuotes(result.quotes);
+        setOrders(result.orders);
+      } catch (err) {
+        console.error("[Quotes] Error loading quotes:", err);
+        setError("Could not load the quotes for this opportunity.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadQuotes();
+  }, [accessToken, opportunity?.opportunityid, hasOpened]);
+
+  const flaggedCount = quotes.filter(quote => getQuoteFlag(quote)).length;
+
+  const renderComparison = () => {
+    const comparison = compareQuoteToEstimate(opportunity, quotes);
+    if (!comparison) return null;
+
+    const { quote, quoteTotal, estimatedValue, difference, isMismatch } = comparison;
+    // Compared in the deal's own currency, whatever the display preference
+    const format = (amount) => formatMoney(amount, opportunity._transactioncurrencyid_value, currency?.settings);
+
+    return (
+      <div style={{
+        marginBottom: "8px",
+        backgroundColor: isMismatch ? "#fff4e5" : "#f5f5f5",
+        borderRadius: "10px",
+        padding: "8px 12px",
+        fontSize: "12px"
+      }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <span style={{ color: "#666" }}>Quote {quote.quotenumber} total</span>
+          <strong>{format(quoteTotal)}</strong>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <span style={{ color: "#666" }}>Estimated value</span>
+          <span>{estimatedValue === null ? "Not set" : format(estimatedValue)}</span>
+        </div>
+        {isMismatch && (
+          <div style={{ color: "#b26a00", marginTop: "4px" }}>
+            Quote is {format(Math.abs(difference))} {difference > 0 ? "above" : "below"} the estimated value.
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>Loading quotes...</p>;
+    }
+
+    if (error) {
+      return <p style={{ fontSize: "12px", color: "#d32f2f" }}>{error}</p>;
+    }
+
+    if (quotes.length === 0 && orders.length === 0) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>No quotes or orders for this opportunity.</p>;
+    }
+
+    return (
+      <div>
+        {renderComparison()}
+
+        {quotes.map(quote => {
+          const flag = getQuoteFlag(quote);
+          return (
+            <div
+              key={quote.quoteid}
+              style={{ padding: "8px 0", borderBottom: "1px solid #eee", fontSize: "12px" }}
+            >
+              <div style={{ display: "flex", justifyContent: "space-between", gap: "8px" }}>
+                <span style={{ fontWeight: "600", color: "#1f2223" }}>
+                  {quote.quotenumber} · Rev {quote.revisionnumber ?? 0}
+                </span>
+                <span style={{ whiteSpace: "nowrap" }}>{formatRecordAmount(quote, 'totalamount', currency)}</span>
+              </div>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: "8px", color: "#666" }}>
+                <span>{quote['statuscode@OData.Community.Display.V1.FormattedValue'] || quote['statecode@OData.Community.Display.V1.FormattedValue']}</span>
+                <span style={{ whiteSpace: "nowrap" }}>
+                  {formatDate(quote.effectivefrom)} – {formatDate(quote.effectiveto || quote.expireson)}
+                </span>
+              </div>
+              {flag && (
+                <div style={{ color: FLAG_COLORS[flag.type], marginTop: "2px" }}>⚠ {flag.label}</div>
+              )}
+            </div>
+          );
+        })}
+
+        {orders.length > 0 && (
+          <div style={{ marginTop: "12px" }}>
+            <div style={{ fontSize: "12px", fontWeight: "600", color: "#32325d", marginBottom: "4px" }}>Orders</div>
+            {orders.map(order => (
+              <div
+                key={order.salesorderid}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  gap: "8px",
+                  padding: "6px 0",
+                  borderBottom: "1px solid #eee",
+                  fontSize: "12px"
+                }}
+              >
+                <div>
+                  <div style={{ fontWeight: "600", color: "#1f2223" }}>{order.ordernumber || order.name}</div>
+                  <div style={{ color: "#666" }}>
+                    {order['statuscode@OData.Community.Display.V1.FormattedValue']} · {formatDate(order.createdon)}
+                  </div>
+                </div>
+                <span style={{ whiteSpace: "nowrap" }}>{formatRecordAmount(order, 'totalamount', currency)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <AccordionSection
+      title={`Quotes${quotes.length > 0 ? ` (${quotes.length})` : ''}`}
+      rightElement={flaggedCount > 0 && (
+        <span style={{ fontSize: "12px", color: "#f44336" }}>⚠ {flaggedCount}</span>
+      )}
+      isOpen={isOpen}
+      onToggle={onToggle}
+    >
+      {renderContent()}
+    </AccordionSection>
+  );
+};
+
+export default Quotes;
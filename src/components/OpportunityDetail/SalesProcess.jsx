@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import AccordionSection from '../common/AccordionSection';
+import InfoIcon from '../common/InfoIcon';
+import {
+  fetchOpportunityProcess,
+  fetchProcessStages,
+  fetchWonStageBenchmarks,
+  getDaysInActiveStage
+} from '../../utils/processUtils';
+
+/**
+ * Business process flow stage strip with time in the current stage
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.opportunity - Current opportunity
+ * @param {Array} props.closedOpportunities - Closed opportunities used as the won-deal benchmark
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {boolean} props.isOpen - Whether section is expanded
+ * @param {Function} props.onToggle - Function to call when toggling section
+ * @returns {JSX.Element} Sales process component
+ */
+const SalesProcess = ({ opportunity, closedOpportunities = [], accessToken, isOpen, onToggle }) => {
+  const [processInstance, setProcessInstance] = useState(null);
+  const [stages, setStages] = useState([]);
+  const [benchmarks, setBenchmarks] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the opportunity's process instance and its stages
+  useEffect(() => {
+    const loadProcess = async () => {
+      if (!accessToken || !opportunity?.opportunityid) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        const instance = await fetchOpportunityProcess(accessToken, opportunity.opportunityid);
+        setProcessInstance(instance);
+        setStages(instance ? await fetchProcessStages(accessToken, instance) : []);
+      } catch (err) {
+        console.error("[SalesProcess] Error loading sales process:", err);
+        setError("Could not load the sales process for this opportunity.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProcess();
+  }, [accessToken, opportunity?.opportunityid]);
+
+  // Only reload the benchmarks when the set of won deals changes, not on every list refresh
+  const wonDealKey = closedOpportunities
+    .filter(opp => Number(opp.statecode) === 1)
+    .map(opp => opp.opportunityid)
+    .join(',');
+
+  // Load how long won deals spent in each stage
+  useEffect(() => {
+    if (!accessToken || !wonDealKey) return;
+
+    let cancelled = false;
+    fetchWonStageBenchmarks(accessToken, closedOpportunities)
+      .then((result) => {
+        if (!cancelled) setBenchmarks(result);
+      })
+      .catch((err) => {
+        console.warn("[SalesProcess] Could not load won deal benchmarks:", err);
+      });
+
+    // Drop results for won deals or a token that are no longer current
+    return () => {
+      cancelled = true;
+    };
+  }, [accessToken, wonDealKey]);
+
+  const activeIndex = stages.findIndex(stage => stage.id === processInstance?.activeStageId);
+  const activeStage = activeIndex >= 0 ? stages[activeIndex] : null;
+  const daysInStage = getDaysInActiveStage(processInstance);
+  const benchmark = activeStage ? benchmarks[activeStage.id] : null;
+
+  const getStageColor = (index) => {
+    if (index < activeIndex) return "#5db675";
+    if (index === activeIndex) return "#0078d4";
+    return "#e0e0e0";
+  };
+
+  const renderComparison = () => {
+    if (!benchmark) {
+      return (
+        <div style={{ fontSize: "11px", color: "#666" }}>
+          Not enough won deals with history for this stage yet.
+        </div>
+      );
+    }
+
+    const difference = daysInStage - benchmark.medianDays;
+    const color = difference > 0 ? "#f44336" : "#4caf50";
+
+    return (
+      <div style={{ fontSize: "11px", color: "#666" }}>
+        Won deals typically spent <strong>{benchmark.medianDays} days</strong> here
+        {" "}({benchmark.dealCount} {benchmark.dealCount === 1 ? "deal" : "deals"})
+        {difference !== 0 && (
+          <span style={{ color, marginLeft: "4px" }}>
+            {difference > 0 ? `↑ ${difference} days longer` : `↓ ${Math.abs(difference)} days shorter`}
+          </span>
+        )}
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>Loading sales process...</p>;
+    }
+
+    if (error) {
+      return <p style={{ fontSize: "12px", color: "#d32f2f" }}>{error}</p>;
+    }
+
+    if (!processInstance || stages.length === 0) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>This opportunity isn't in a sales process.</p>;
+    }
+
+    return (
+      <div>
+        {/* Stage strip */}
+        <div style={{ display: "flex", gap: "4px", marginBottom: "8px" }}>
+          {stages.map((stage, index) => (
+            <div key={stage.id} style={{ flex: 1, minWidth: 0 }} title={stage.name}>
+              <div style={{
+                height: "6px",
+                borderRadius: "3px",
+                backgroundColor: getStageColor(index),
+                marginBottom: "4px"
+              }}></div>
+              <div style={{
+                fontSize: "10px",
+                color: index === activeIndex ? "#1f2223" : "#666",
+                fontWeight: index === activeIndex ? "600" : "400",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                whiteSpace: "nowrap"
+              }}>
+                {stage.name}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Time in current stage */}
+        {activeStage && (
+          <div style={{
+            backgroundColor: "#f5f5f5",
+            borderRadius: "10px",
+            padding: "8px 12px",
+            boxShadow: "0 1px 2px rgba(0,0,0,0.05)"
+          }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "4px" }}>
+              <div style={{ fontSize: "13px", color: "#666", display: "flex", alignItems: "center", gap: "4px" }}>
+                Days in {activeStage.name}
+                <InfoIcon
+                  title="Time in stage"
+                  content="Dynamics only records when the current stage was entered. Won deal times use the stage changes Lens has seen, so they become more complete over time."
+                />
+              </div>
+              <div style={{ fontSize: "16px", fontWeight: "bold" }}>{daysInStage}</div>
+            </div>
+            {renderComparison()}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <AccordionSection
+      title="Sales Process"
+      isOpen={isOpen}
+      onToggle={onToggle}
+    >
+      {renderContent()}
+    </AccordionSection>
+  );
+};
+
+export default SalesProcess;
@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import AccordionSection from '../common/AccordionSection';
+import {
+  fetchStakeholderRecords,
+  buildStakeholderMap,
+  countEngagedStakeholders,
+  STAKEHOLDER_ENGAGEMENT_DAYS
+} from '../../utils/stakeholderUtils';
+
+/**
+ * Stakeholder map with roles, touches and days since last contact
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.opportunity - Current opportunity
+ * @param {Array} props.activities - Opportunity activities with participants
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {boolean} props.isOpen - Whether section is expanded
+ * @param {Function} props.onToggle - Function to call when toggling section
+ * @returns {JSX.Element} Stakeholders component
+ */
+const Stakeholders = ({ opportunity, activities = [], accessToken, isOpen, onToggle }) => {
+  const [records, setRecords] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Nothing is fetched until the section is expanded for the first time
+  const [hasOpened, setHasOpened] = useState(isOpen);
+
+  useEffect(() => {
+    if (isOpen) setHasOpened(true);
+  }, [isOpen]);
+
+  // Contacts and connections only change with the opportunity; activities are passed in
+  useEffect(() => {
+    if (!hasOpened) return;
+
+    const loadStakeholders = async () => {
+      if (!accessToken || !opportunity?.opportunityid) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+        setRecords(await fetchStakeholderRecords(accessToken, opportunity));
+      } catch (err) {
+        console.error("[Stakeholders] Error loading stakeholders:", err);
+        setError("Could not load the stakeholders for this opportunity.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadStakeholders();
+  }, [accessToken, opportunity?.opportunityid, hasOpened]);
+
+  const stakeholders = useMemo(() => buildStakeholderMap(records || {}, activities), [records, activities]);
+  const engagedCount = countEngagedStakeholders(stakeholders);
+
+  const renderContent = () => {
+    if (loading) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>Loading stakeholders...</p>;
+    }
+
+    if (error) {
+      return <p style={{ fontSize: "12px", color: "#d32f2f" }}>{error}</p>;
+    }
+
+    if (stakeholders.length === 0) {
+      return <p style={{ fontSize: "12px", color: "#666" }}>No contacts, connections or activity participants yet.</p>;
+    }
+
+    return (
+      <div>
+        {engagedCount <= 1 && (
+          <div style={{
+            fontSize: "12px",
+            color: "#b26a00",
+            backgroundColor: "#fff4e5",
+            borderRadius: "6px",
+            padding: "6px 10px",
+            marginBottom: "8px"
+          }}>
+            {engagedCount === 0
+              ? `No stakeholder touched in the last ${STAKEHOLDER_ENGAGEMENT_DAYS} days.`
+              : `Single-threaded: only one stakeholder touched in the last ${STAKEHOLDER_ENGAGEMENT_DAYS} days.`}
+          </div>
+        )}
+
+        {stakeholders.map(stakeholder => {
+          const roleLabel = stakeholder.roles.length > 0
+            ? stakeholder.roles.join(', ')
+            : stakeholder.isPrimary ? "Primary contact" : "Participant";
+
+          return (
+            <div
+              key={stakeholder.key}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                gap: "8px",
+                padding: "8px 0",
+                borderBottom: "1px solid #eee",
+                fontSize: "12px"
+              }}
+            >
+              <div style={{ minWidth: 0 }}>
+                <div style={{ fontWeight: "600", color: "#1f2223" }}>
+                  {stakeholder.name}
+                  {stakeholder.isUnengaged && (
+                    <span
+                      title={`Key role not engaged in the last ${STAKEHOLDER_ENGAGEMENT_DAYS} days`}
+                      style={{ color: "#f44336", marginLeft: "6px" }}
+                    >
+                      ⚠
+                    </span>
+                  )}
+                </div>
+                <div style={{ color: stakeholder.isKeyRole ? "#0078d4" : "#666" }}>{roleLabel}</div>
+                {stakeholder.jobTitle && <div style={{ color: "#888" }}>{stakeholder.jobTitle}</div>}
+              </div>
+              <div style={{ textAlign: "right", whiteSpace: "nowrap", color: "#5f646a" }}>
+                <div>{stakeholder.touches} {stakeholder.touches === 1 ? "touch" : "touches"}</div>
+                <div style={{ color: stakeholder.isUnengaged ? "#f44336" : "#888" }}>
+                  {stakeholder.daysSinceContact === null
+                    ? "Never contacted"
+                    : `${stakeholder.daysSinceContact} days ago`}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+        <p style={{ fontSize: "11px", color: "#888", marginTop: "8px" }}>
+          Decision makers, champions, economic buyers and executive sponsors are flagged after {STAKEHOLDER_ENGAGEMENT_DAYS} days without a touch.
+        </p>
+      </div>
+    );
+  };
+
+  return (
+    <AccordionSection
+      title="Stakeholders"
+      isOpen={isOpen}
+      onToggle={onToggle}
+    >
+      {renderContent()}
+    </AccordionSection>
+  );
+};
+
+export default Stakeholders;
@@ -1,23 +1,39 @@
-import React from 'react';
-import { getActivityDate, getActivityLabel, getIconForActivity, getActivityColor } from '../../utils/activityUtils';
+import React, { useState } from 'react';
+import { getActivityDate, getActivityLabel, getIconForActivity, getActivityColor, getParticipantOptions } from '../../utils/activityUtils';
 import AccordionSection from '../common/AccordionSection';
+import ActivityDrawer from './ActivityDrawer';
 
 /**
  * Timeline log component displaying activities chronologically
  * 
  * @param {Object} props - Component props
  * @param {Array} props.activities - Activities to display
+ * @param {Array} props.notes - Notes to show alongside the activities
+ * @param {string} props.accessToken - Access token for loading activity details
  * @param {boolean} props.isOpen - Whether section is expanded
  * @param {Function} props.onToggle - Function to call when toggling section
  * @returns {JSX.Element} Timeline log component
  */
-const TimelineLog = ({ activities = [], isOpen, onToggle }) => {
+const TimelineLog = ({ activities = [], notes = [], accessToken, isOpen, onToggle }) => {
+  const [participantFilter, setParticipantFilter] = useState('');
+  const [selectedActivity, setSelectedActivity] = useState(null);
+  
+  const participantOptions = getParticipantOptions(activities);
+  
+  // Notes have no participants, so they drop out when filtering by one
+  const entries = [...activities, ...notes];
+  const visibleActivities = participantFilter
+    ? entries.filter(activity => 
+        (activity.participants || []).some(participant => participant.key === participantFilter)
+      )
+    : entries;
+  
   // Group activities by date
   const groupActivitiesByDate = () => {
     const groupedActivities = {};
     
     // Group activities by date
-    activities.forEach(activity => {
+    visibleActivities.forEach(activity => {
       const date = getActivityDate(activity);
       if (!date) return;
       
@@ -44,7 +60,33 @@ const TimelineLog = ({ activities = [], isOpen, onToggle }) => {
       isOpen={isOpen}
       onToggle={onToggle}
     >
-      {activities && activities.length > 0 ? (
+      {participantOptions.length > 0 && (
+        <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "12px", fontSize: "12px", color: "#666" }}>
+          <label htmlFor="timeline-participant-filter">Participant</label>
+          <select
+            id="timeline-participant-filter"
+            value={participantFilter}
+            onChange={(e) => setParticipantFilter(e.target.value)}
+            style={{
+              flex: 1,
+              fontSize: "12px",
+              padding: "4px",
+              border: "1px solid #ddd",
+              borderRadius: "4px",
+              backgroundColor: "white"
+            }}
+          >
+            <option value="">Everyone</option>
+            {participantOptions.map(option => (
+              <option key={option.key} value={option.key}>
+                {option.name} ({option.count})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      
+      {visibleActivities && visibleActivities.length > 0 ? (
         <div className="enhanced-timeline">
           {(() => {
             const { sortedDates, groupedActivities } = groupActivitiesByDate();
@@ -93,8 +135,10 @@ const TimelineLog = ({ activities = [], isOpen, onToggle }) => {
                             padding: "12px",
                             boxShadow: "0 1px 3px rgba(0,0,0,0.08)",
                             transition: "transform 0.2s ease, box-shadow 0.2s ease",
-                            cursor: "default"
+                            cursor: activity.isPending ? "default" : "pointer",
+                            opacity: activity.isPending ? 0.6 : 1
                           }}
+                          onClick={() => !activity.isPending && setSelectedActivity(activity)}
                           onMouseEnter={(e) => {
                             e.currentTarget.style.transform = "translateY(-2px)";
                             e.currentTarget.style.boxShadow = "0 4px 6px rgba(0,0,0,0.1)";
@@ -139,13 +183,43 @@ const TimelineLog = ({ activities = [], isOpen, onToggle }) => {
                                 fontSize: "10px",
                                 whiteSpace: "nowrap"
                               }}>
-                                {new Date(getActivityDate(activity)).toLocaleTimeString([], {
+                                {activity.isPending ? "Saving..." : new Date(getActivityDate(activity)).toLocaleTimeString([], {
                                   hour: '2-digit',
                                   minute: '2-digit'
                                 })}
                               </div>
                             </div>
                             
+                            {activity.participants?.length > 0 && (
+                              <div style={{ 
+                                display: "flex",
+                                flexWrap: "wrap",
+                                gap: "4px",
+                                fontSize: "10px"
+                              }}>
+                                {activity.participants.map(participant => (
+                                  <span
+                                    key={participant.key}
+                                    title={participant.roles.join(', ')}
+                                    style={{
+                                      backgroundColor: participant.key === participantFilter ? "#e3f2fd" : "#eeeeee",
+                                      color: "#444",
+                                      borderRadius: "10px",
+                                      padding: "2px 8px",
+                                      cursor: "pointer"
+                                    }}
+                                    onClick={(e) => {
+                                      // Filter instead of opening the activity
+                                      e.stopPropagation();
+                                      setParticipantFilter(participant.key);
+                                    }}
+                                  >
+                                    <span style={{ color: "#888" }}>{participant.roles[0]}:</span> {participant.name}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                            
                             {activity.description && (
                               <div style={{ 
                                 marginTop: "8px",
@@ -168,7 +242,15 @@ const TimelineLog = ({ activities = [], isOpen, onToggle }) => {
           })()}
         </div>
       ) : (
-        <p>No activities in the timeline.</p>
+        <p>{participantFilter ? "No activities with this participant." : "No activities in the timeline."}</p>
+      )}
+      
+      {selectedActivity && (
+        <ActivityDrawer
+          activity={selectedActivity}
+          accessToken={accessToken}
+          onClose={() => setSelectedActivity(null)}
+        />
       )}
     </AccordionSection>
   );
@@ -5,9 +5,18 @@ import Calendar from './Calendar';
 import Analytics from './Analytics';
 import TimelineLog from './TimelineLog';
 import BasicInfo from './BasicInfo';
+import SalesProcess from './SalesProcess';
+import Stakeholders from './Stakeholders';
+import ProductLines from './ProductLines';
+import Competitors from './Competitors';
+import Quotes from './Quotes';
+import QuickLog from './QuickLog';
+import CloseOpportunityDialog from './CloseOpportunityDialog';
 import SubscriptionStatus from '../SubscriptionStatus';
 import ProPill from '../common/ProPill';
 import FeatureGate from '../FeatureGate';
+import CurrencyDisplaySelect from '../common/CurrencyDisplaySelect';
+import { CLOSE_OUTCOMES } from '../../utils/opportunityClose';
 
 
 
@@ -17,30 +26,59 @@ import FeatureGate from '../FeatureGate';
  * @param {Object} props - Component props
  * @param {Object} props.opportunity - Opportunity data
  * @param {Array} props.activities - Activities data
+ * @param {Array} props.notes - Notes, shown in the timeline only
  * @param {Array} props.closedOpportunities - Closed opportunities data
  * @param {Function} props.onBackClick - Function to call when back button is clicked
  * @param {Function} props.toggleAutoOpen - Function to call when auto-open toggle is clicked
  * @param {boolean} props.autoOpen - Whether auto-open is enabled
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {Function} props.onCurrencyDisplayChange - Function to call when the currency display changes
+ * @param {Object} props.choices - Opportunity choice labels
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {Function} props.onQuickLog - Function to call to save a quick-log entry
+ * @param {Function} props.onOpportunityUpdate - Function to call with (opportunityId, changes) to save inline edits
+ * @param {Object} props.formState - Form type and unsaved changes of the opportunity's open form, if any
+ * @param {Function} props.onCloseOpportunity - Function to call with the close details to close the opportunity as won or lost
+ * @param {number} props.lastSyncedAt - Timestamp of the last successful data sync
+ * @param {boolean} props.isSyncing - Whether a background sync is in progress
  * @returns {JSX.Element} Opportunity detail component
  */
 const OpportunityDetail = ({ 
   opportunity, 
   activities,
+  notes = [],
   closedOpportunities = [],
   onBackClick,
   onLogout,
   isLoggingOut,
   toggleAutoOpen,
   autoOpen,
-  subscription
+  currency,
+  onCurrencyDisplayChange,
+  choices,
+  accessToken,
+  onQuickLog,
+  onOpportunityUpdate,
+  formState,
+  onCloseOpportunity,
+  subscription,
+  lastSyncedAt,
+  isSyncing
 }) => {
   const [accordionState, setAccordionState] = useState({
     statistics: true,
+    salesProcess: true,
+    stakeholders: true,
+    products: false,
+    competitors: false,
+    quotes: false,
+    quickLog: false,
     entries: true,
     analytics: true,
     basicInfo: false,
     timeline: false
   });
+  const [closeOutcome, setCloseOutcome] = useState(null);
 
   const toggleAccordion = (section) => {
     setAccordionState({
@@ -49,6 +87,22 @@ const OpportunityDetail = ({
     });
   };
 
+  const handleCloseConfirm = async (values) => {
+    await onCloseOpportunity(values);
+    setCloseOutcome(null);
+  };
+
+  const closeButtonStyle = (color) => ({
+    flex: 1,
+    padding: "6px",
+    fontSize: "12px",
+    borderRadius: "4px",
+    cursor: "pointer",
+    border: `1px solid ${color}`,
+    backgroundColor: "white",
+    color
+  });
+
   return (
     <div style={{ flex: 1, display: "flex", flexDirection: "column", width: "100%", overflow: "auto", backgroundColor: "#ededed" }}>
       {/* Header */}
@@ -59,6 +113,8 @@ const OpportunityDetail = ({
         onLogout={onLogout}
         isLoggingOut={isLoggingOut}
         subscription={subscription}
+        lastSyncedAt={lastSyncedAt}
+        isSyncing={isSyncing}
       />
 
       {/* Opportunity Name */}
@@ -83,6 +139,18 @@ const OpportunityDetail = ({
             <p>Created on:&nbsp;</p> {new Date(opportunity.createdon).toLocaleDateString()}
           </div>
         )}
+        
+        {/* Close actions, only while the opportunity is open */}
+        {onCloseOpportunity && opportunity.statecode === 0 && (
+          <div style={{ display: "flex", gap: "8px", padding: "0 16px 8px 16px" }}>
+            <button onClick={() => setCloseOutcome(CLOSE_OUTCOMES.WON)} style={closeButtonStyle("#4caf50")}>
+              Close as won
+            </button>
+            <button onClick={() => setCloseOutcome(CLOSE_OUTCOMES.LOST)} style={closeButtonStyle("#f44336")}>
+              Close as lost
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Main Content Area - Scrollable */}
@@ -97,6 +165,57 @@ const OpportunityDetail = ({
           onToggle={() => toggleAccordion('statistics')}
         />
 
+        {/* Sales Process Section */}
+        <SalesProcess
+          opportunity={opportunity}
+          closedOpportunities={closedOpportunities}
+          accessToken={accessToken}
+          isOpen={accordionState.salesProcess}
+          onToggle={() => toggleAccordion('salesProcess')}
+        />
+
+        {/* Stakeholders Section */}
+        <Stakeholders
+          opportunity={opportunity}
+          activities={activities}
+          accessToken={accessToken}
+          isOpen={accordionState.stakeholders}
+          onToggle={() => toggleAccordion('stakeholders')}
+        />
+
+        {/* Products Section */}
+        <ProductLines
+          opportunity={opportunity}
+          accessToken={accessToken}
+          currency={currency}
+          isOpen={accordionState.products}
+          onToggle={() => toggleAccordion('products')}
+        />
+
+        {/* Quotes Section */}
+        <Quotes
+          opportunity={opportunity}
+          accessToken={accessToken}
+          currency={currency}
+          isOpen={accordionState.quotes}
+          onToggle={() => toggleAccordion('quotes')}
+        />
+
+        {/* Competitors Section */}
+        <Competitors
+          opportunity={opportunity}
+          accessToken={accessToken}
+          isOpen={accordionState.competitors}
+          onToggle={() => toggleAccordion('competitors')}
+        />
+
+        {/* Quick Log Section */}
+        <QuickLog
+          onSave={onQuickLog}
+          isOpen={accordionState.quickLog}
+          onToggle={() => toggleAccordion('quickLog')}
+        />
+
         {/* Analytics Section */}
         <Analytics 
           activities={activities}
@@ -104,6 +223,8 @@ const OpportunityDetail = ({
           opportunity={opportunity}
           isOpen={accordionState.analytics}
           onToggle={() => toggleAccordion('analytics')}
+          currency={currency}
+          choices={choices}
         />
 
         {/* Calendar Section */}
@@ -116,6 +237,8 @@ const OpportunityDetail = ({
         {/* Timeline Log Section */}
         <TimelineLog 
           activities={activities} 
+          notes={notes}
+          accessToken={accessToken}
           isOpen={accordionState.timeline}
           onToggle={() => toggleAccordion('timeline')}
         />
@@ -125,6 +248,10 @@ const OpportunityDetail = ({
           opportunity={opportunity} 
           isOpen={accordionState.basicInfo}
           onToggle={() => toggleAccordion('basicInfo')}
+          currency={currency}
+          choices={choices}
+          onFieldSave={onOpportunityUpdate && ((changes) => onOpportunityUpdate(opportunity.opportunityid, changes))}
+          formState={formState}
         />
       </div>
 
@@ -144,7 +271,19 @@ const OpportunityDetail = ({
           />
           Auto-open when visiting Dynamics CRM
         </label>
+        <CurrencyDisplaySelect value={currency?.display} onChange={onCurrencyDisplayChange} />
       </div>
+      
+      {closeOutcome && (
+        <CloseOpportunityDialog
+          outcome={closeOutcome}
+          opportunity={opportunity}
+          choices={choices}
+          accessToken={accessToken}
+          onConfirm={handleCloseConfirm}
+          onCancel={() => setCloseOutcome(null)}
+        />
+      )}
     </div>
   );
 };
@@ -11,6 +11,7 @@ import InfoIcon from '../common/InfoIcon';
  * @param {Array} props.activities - Activities to summarize
  * @param {Object} props.opportunity - Current opportunity
  * @param {Array} props.closedOpportunities - Closed opportunities for this account
+ * @param {Object} props.account - Account summary ({ accountid, createdon, openCount, wonRevenueLabel }); shows account metrics instead of deal metrics
  * @param {boolean} props.isOpen - Whether section is expanded
  * @param {Function} props.onToggle - Function to call when toggling section
  * @returns {JSX.Element} Statistics component
@@ -19,6 +20,7 @@ const Statistics = ({
   activities = [], 
   opportunity = {}, 
   closedOpportunities = [],
+  account = null,
   isOpen, 
   onToggle,
   subscription
@@ -33,9 +35,10 @@ const Statistics = ({
 
   const activitySummary = summarizeActivities(activities);
   
-  // Calculate days open
-  const daysOpen = opportunity.createdon ? 
-    calculateDaysBetween(opportunity.createdon, new Date()) : 0;
+  // Calculate days open (days as a customer for an account)
+  const createdOn = account ? account.createdon : opportunity.createdon;
+  const daysOpen = createdOn ? 
+    calculateDaysBetween(createdOn, new Date()) : 0;
   
   // Calculate days until closing
   const daysUntilClose = opportunity.estimatedclosedate ? 
@@ -51,7 +54,7 @@ const Statistics = ({
   useEffect(() => {
     // Extract the account ID (with a delay if necessary)
     const calculateWinLossRatio = () => {
-      const accountId = opportunity?._customerid_value;
+      const accountId = account?.accountid || opportunity?._customerid_value;
       
       // Debug the first few closed opportunities
       if (closedOpportunities.length > 0) {
@@ -126,7 +129,7 @@ const Statistics = ({
     
     // If data isn't available immediately, try again after a short delay
     const delayedCalculation = setTimeout(() => {
-      if (winLossRatio.total === 0 && opportunity?._customerid_value) {
+      if (winLossRatio.total === 0 && (account?.accountid || opportunity?._customerid_value)) {
         // Retry calculation after delay
         calculateWinLossRatio();
       }
@@ -134,7 +137,7 @@ const Statistics = ({
     
     // Clean up timeout on unmount
     return () => clearTimeout(delayedCalculation);
-  }, [opportunity, closedOpportunities]);
+  }, [opportunity, account, closedOpportunities]);
 
   // Pill-style metric component
   const MetricPill = ({ label, value, unit = "", progressColor = "#4caf50", progressPercent = 50 }) => (
@@ -205,19 +208,28 @@ const Statistics = ({
       }}>
         {/* Days Open */}
         <MetricPill 
-          label="Open days" 
+          label={account ? "Customer days" : "Open days"} 
           value={daysOpen}
           progressColor="#2196f3"
-          progressPercent={Math.min(daysOpen / 90 * 100, 100)} // Cap at 90 days
+          progressPercent={Math.min(daysOpen / (account ? 365 : 90) * 100, 100)} // Cap at a year for accounts, 90 days for deals
         />
         
-        {/* Days To Close */}
-        <MetricPill 
-          label="Days to close" 
-          value={daysUntilClose !== null ? daysUntilClose : "—"}
-          progressColor="#4caf50"
-          progressPercent={daysUntilClose ? Math.max(100 - (daysUntilClose / 30 * 100), 0) : 0} // Inverse for urgency
-        />
+        {/* Days To Close, or open deals for an account */}
+        {account ? (
+          <MetricPill 
+            label="Open deals" 
+            value={account.openCount}
+            progressColor="#4caf50"
+            progressPercent={Math.min(account.openCount / 5 * 100, 100)} // Cap at 5 deals
+          />
+        ) : (
+          <MetricPill 
+            label="Days to close" 
+            value={daysUntilClose !== null ? daysUntilClose : "—"}
+            progressColor="#4caf50"
+            progressPercent={daysUntilClose ? Math.max(100 - (daysUntilClose / 30 * 100), 0) : 0} // Inverse for urgency
+          />
+        )}
         
         {/* Days Since Last Contact */}
         <MetricPill 
@@ -227,14 +239,23 @@ const Statistics = ({
           progressPercent={Math.min(daysSinceLastContact / 30 * 100, 100)} // Cap at 30 days
         />
         
-        {/* Probability */}
-        <MetricPill 
-          label="Probability" 
-          value={probability}
-          unit="%"
-          progressColor="#9c27b0"
-          progressPercent={probability}
-        />
+        {/* Probability, or lifetime won revenue for an account */}
+        {account ? (
+          <MetricPill 
+            label="Lifetime won" 
+            value={account.wonRevenueLabel}
+            progressColor="#9c27b0"
+            progressPercent={winLossRatio.ratio}
+          />
+        ) : (
+          <MetricPill 
+            label="Probability" 
+            value={probability}
+            unit="%"
+            progressColor="#9c27b0"
+            progressPercent={probability}
+          />
+        )}
       </div>
       
       {/* Account Win Rate Card */}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import AccordionSection from '../common/AccordionSection';
 import { getOpportunityUrl } from '../../utils/opportunityUtils';
+import { formatDealValue } from '../../utils/currencyUtils';
+import { getOpportunityStatusLabel } from '../../utils/metadata';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -30,9 +32,11 @@ ChartJS.register(
  * @param {Array} props.closedOpportunities - Closed opportunities data
  * @param {boolean} props.isOpen - Whether section is expanded
  * @param {Function} props.onToggle - Function to call when toggling section
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {Object} props.choices - Opportunity choice labels
  * @returns {JSX.Element} Analytics component
  */
-const ListAnalytics = ({ opportunities = [], closedOpportunities = [], isOpen, onToggle }) => {
+const ListAnalytics = ({ opportunities = [], closedOpportunities = [], isOpen, onToggle, currency, choices }) => {
   const [averageClosingTime, setAverageClosingTime] = useState(0);
   const [chartData, setChartData] = useState({ labels: [], datasets: [] });
   const [tooltipData, setTooltipData] = useState([]);
@@ -64,8 +68,8 @@ const ListAnalytics = ({ opportunities = [], closedOpportunities = [], isOpen, o
           return {
             name: opp.name || `Opportunity ${index + 1}`,
             description: opp.description || '',
-            value: opp.estimatedvalue || opp.totalamount || 0,
-            status: opp.statecode === 0 ? 'Open' : opp.statecode === 1 ? 'Won' : 'Lost',
+            value: formatDealValue(opp, currency),
+            status: getOpportunityStatusLabel(opp, choices),
             id: opp.opportunityid,
             daysOpen: Math.floor((new Date(opp.actualclosedate) - new Date(opp.createdon)) / (1000 * 60 * 60 * 24)),
             url: url
@@ -120,7 +124,7 @@ const ListAnalytics = ({ opportunities = [], closedOpportunities = [], isOpen, o
       setChartData({ labels: [], datasets: [{ data: [] }] });
       setAverageClosingTime(0);
     }
-  }, [closedOpportunities]);
+  }, [closedOpportunities, currency?.settings, currency?.display, choices]);
 
   // Function to handle bar click
   const handleBarClick = (event) => {
@@ -175,7 +179,7 @@ const ListAnalytics = ({ opportunities = [], closedOpportunities = [], isOpen, o
             
             const lines = [
               `Days Open: ${tooltipItem.daysOpen}`,
-              `Value: $${tooltipItem.value.toLocaleString()}`,
+              `Value: ${tooltipItem.value}`,
               `Status: ${tooltipItem.status}`
             ];
 
@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { fetchCompetitorsForOpportunities, summarizeByCompetitor } from '../../utils/competitorUtils';
+
+const cellStyle = {
+  padding: "6px 4px",
+  borderBottom: "1px solid #eee",
+  textAlign: "right",
+  whiteSpace: "nowrap"
+};
+
+const headerCellStyle = {
+  ...cellStyle,
+  fontWeight: "600",
+  color: "#666",
+  fontSize: "11px"
+};
+
+/**
+ * Win/loss breakdown of the last 12 months' closed deals by competitor
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.closedOpportunities - Closed opportunities
+ * @param {string} props.accessToken - Access token for API calls
+ * @returns {JSX.Element} Competitor breakdown component
+ */
+const CompetitorBreakdown = ({ closedOpportunities = [], accessToken }) => {
+  const [competitorsByOpportunity, setCompetitorsByOpportunity] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const recentClosed = useMemo(() => {
+    const twelveMonthsAgo = new Date();
+    twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 12);
+
+    return closedOpportunities.filter(opp =>
+      opp.actualclosedate && new Date(opp.actualclosedate) >= twelveMonthsAgo
+    );
+  }, [closedOpportunities]);
+
+  // Only reload when the set of closed deals changes, not on every list refresh
+  const opportunityIdKey = recentClosed.map(opp => opp.opportunityid).join(',');
+
+  useEffect(() => {
+    if (!accessToken) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchCompetitorsForOpportunities(accessToken, opportunityIdKey ? opportunityIdKey.split(',') : [])
+      .then((result) => {
+        if (!cancelled) setCompetitorsByOpportunity(result);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("[CompetitorBreakdown] Error loading competitors:", err);
+        setError("Could not load competitors for the closed deals.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    // A slower response for an older set of deals must not overwrite a newer one
+    return () => {
+      cancelled = true;
+    };
+  }, [accessToken, opportunityIdKey]);
+
+  const rows = useMemo(
+    () => summarizeByCompetitor(recentClosed, competitorsByOpportunity),
+    [recentClosed, competitorsByOpportunity]
+  );
+
+  if (loading) {
+    return (
+      <div style={{ textAlign: "center", padding: "20px" }}>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p style={{ fontSize: "12px", color: "#d32f2f" }}>{error}</p>;
+  }
+
+  if (rows.length === 0) {
+    return <p style={{ fontSize: "12px", color: "#666" }}>No deals closed in the last 12 months.</p>;
+  }
+
+  return (
+    <div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+        <thead>
+          <tr>
+            <th style={{ ...headerCellStyle, textAlign: "left" }}>Competitor</th>
+            <th style={headerCellStyle} title="Won / lost deals with this competitor present">W / L</th>
+            <th style={headerCellStyle}>Win %</th>
+            <th style={headerCellStyle} title="Average days from created to closed">Cycle</th>
+            <th style={headerCellStyle} title="Average discount on the deals won">Discount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.competitor}>
+              <td style={{ ...cellStyle, textAlign: "left", whiteSpace: "normal" }}>{row.competitor}</td>
+              <td style={cellStyle}>{row.won} / {row.lost}</td>
+              <td style={cellStyle}>{row.winRate === null ? '–' : `${row.winRate}%`}</td>
+              <td style={cellStyle}>{row.averageCycle === null ? '–' : `${row.averageCycle}d`}</td>
+              <td style={cellStyle}>{row.averageDiscount === null ? '–' : `${row.averageDiscount}%`}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: "11px", color: "#888", marginTop: "8px" }}>
+        Deals with several competitors count once for each of them.
+      </p>
+    </div>
+  );
+};
+
+export default CompetitorBreakdown;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { calculateDaysBetween } from '../../utils/dateUtils';
+import { getLatestActivityDate, getActivityRecencyLabel } from '../../utils/activityUtils';
+import { getLeadName, getLeadSourceLabel } from '../../utils/leadUtils';
+
+/**
+ * Card component for displaying a lead in the list
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.lead - Lead data with its activities
+ * @param {Function} props.onClick - Function to call when card is clicked
+ * @returns {JSX.Element} Lead card component
+ */
+const LeadCard = ({ lead, onClick }) => {
+  const daysOpen = calculateDaysBetween(lead.createdon, null);
+
+  const latestActivityDate = getLatestActivityDate(lead);
+  const lastActivityDays = latestActivityDate ?
+    calculateDaysBetween(latestActivityDate, new Date()) : null;
+  const activityLabel = getActivityRecencyLabel(lastActivityDays);
+
+  const statusLabel = lead['statuscode@OData.Community.Display.V1.FormattedValue'];
+
+  return (
+    <div
+      style={{
+        padding: "12px 16px",
+        marginBottom: "12px",
+        backgroundColor: "white",
+        borderRadius: "8px",
+        cursor: "pointer",
+        boxShadow: "0 1px 3px rgba(0,0,0,0.1)"
+      }}
+      onMouseEnter={(e) => {
+        e.currentTarget.style.transform = "translateY(-2px)";
+        e.currentTarget.style.boxShadow = "0 4px 6px rgba(0,0,0,0.2)";
+      }}
+      onMouseLeave={(e) => {
+        e.currentTarget.style.transform = "translateY(0)";
+        e.currentTarget.style.boxShadow = "0 1px 3px rgba(0,0,0,0.08)";
+      }}
+      onClick={onClick}
+    >
+      {/* Lead Name */}
+      <div style={{
+        marginBottom: "6px",
+        fontSize: "12px",
+        color: "#1f2223",
+        fontWeight: "600",
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center"
+      }}>
+        <span>{getLeadName(lead)}</span>
+        {statusLabel && (
+          <span style={{
+            fontSize: "10px",
+            fontWeight: "500",
+            color: "#5f646a",
+            backgroundColor: "#f0f0f0",
+            borderRadius: "10px",
+            padding: "2px 8px",
+            marginLeft: "8px",
+            whiteSpace: "nowrap"
+          }}>
+            {statusLabel}
+          </span>
+        )}
+      </div>
+
+      {/* Company and Source Row */}
+      <div style={{
+        display: "flex",
+        justifyContent: "space-between",
+        marginBottom: "10px",
+        fontSize: "12px",
+        fontWeight: "500",
+        color: "#5f646a"
+      }}>
+        <span>{[lead.companyname, lead.jobtitle].filter(Boolean).join(' · ')}</span>
+        <span style={{ color: "#888" }}>{getLeadSourceLabel(lead)}</span>
+      </div>
+
+      {/* Age and Activity Recency */}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", fontSize: "12px" }}>
+        <span style={{ color: daysOpen > 30 ? "#f44336" : daysOpen > 14 ? "#ff9800" : "#555" }}>
+          Open {daysOpen} {daysOpen === 1 ? "day" : "days"}
+        </span>
+        <span style={{
+          backgroundColor: `${activityLabel.color}20`, // Using 20% opacity of the color
+          color: activityLabel.color,
+          padding: "3px 8px",
+          borderRadius: "12px",
+          fontWeight: "500"
+        }}>
+          {activityLabel.text}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default LeadCard;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { fetchLeadConversionStats } from '../../utils/leadUtils';
+
+const cellStyle = {
+  padding: "6px 4px",
+  borderBottom: "1px solid #eee",
+  textAlign: "right",
+  whiteSpace: "nowrap"
+};
+
+const headerCellStyle = {
+  ...cellStyle,
+  fontWeight: "600",
+  color: "#666",
+  fontSize: "11px"
+};
+
+/**
+ * Summary tile for a single conversion figure
+ */
+const StatTile = ({ label, value, detail }) => (
+  <div style={{
+    flex: 1,
+    padding: "8px 12px",
+    borderRadius: "10px",
+    backgroundColor: "#f5f5f5",
+    boxShadow: "0 1px 2px rgba(0,0,0,0.05)"
+  }}>
+    <div style={{ fontSize: "12px", color: "#666" }}>{label}</div>
+    <div style={{ fontSize: "18px", fontWeight: "bold" }}>{value}</div>
+    {detail && <div style={{ fontSize: "11px", color: "#888" }}>{detail}</div>}
+  </div>
+);
+
+/**
+ * Lead-to-opportunity conversion analytics for the last 12 months
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {Object} props.ownerScope - Current owner scope; figures reload when it changes
+ * @returns {JSX.Element} Lead conversion component
+ */
+const LeadConversion = ({ accessToken, ownerScope }) => {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!accessToken) return;
+    fetchLeadConversionStats(accessToken, setLoading, setError, setStats);
+  }, [accessToken, ownerScope?.type, ownerScope?.teamId]);
+
+  if (loading) {
+    return (
+      <div style={{ textAlign: "center", padding: "20px" }}>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p style={{ fontSize: "12px", color: "#d32f2f" }}>Could not load conversion analytics. Please try again later.</p>;
+  }
+
+  if (!stats || stats.totalLeads === 0) {
+    return <p style={{ fontSize: "12px", color: "#666" }}>No leads created in the last 12 months.</p>;
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: "10px", marginBottom: "16px" }}>
+        <StatTile
+          label="Conversion rate"
+          value={`${stats.conversionRate}%`}
+          detail={`${stats.convertedLeads} of ${stats.decidedLeads} decided leads`}
+        />
+        <StatTile
+          label="Time to qualify"
+          value={stats.averageDaysToQualify === null ? "—" : `${stats.averageDaysToQualify}d`}
+          detail="Average, lead to opportunity"
+        />
+      </div>
+
+      <div style={{ fontSize: "12px", fontWeight: "600", color: "#32325d", marginBottom: "4px" }}>
+        By lead source
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+        <thead>
+          <tr>
+            <th style={{ ...headerCellStyle, textAlign: "left" }}>Source</th>
+            <th style={headerCellStyle}>Leads</th>
+            <th style={headerCellStyle} title="Leads qualified into an opportunity">Converted</th>
+            <th style={headerCellStyle} title="Won / lost opportunities from these leads">W / L</th>
+            <th style={headerCellStyle} title="Win rate of the opportunities from these leads">Win %</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.sources.map(row => (
+            <tr key={row.source}>
+              <td style={{ ...cellStyle, textAlign: "left", whiteSpace: "normal" }}>{row.source}</td>
+              <td style={cellStyle}>{row.leads}</td>
+              <td style={cellStyle}>{row.converted}</td>
+              <td style={cellStyle}>{row.won} / {row.lost}</td>
+              <td style={cellStyle}>{row.winRate === null ? '–' : `${row.winRate}%`}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: "11px", color: "#888", marginTop: "8px" }}>
+        Leads created in the last 12 months, linked to opportunities through the originating lead.
+      </p>
+    </div>
+  );
+};
+
+export default LeadConversion;
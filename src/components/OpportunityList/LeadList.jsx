@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import LeadCard from './LeadCard';
+import { fetchMyOpenLeads } from '../../utils/leadUtils';
+import { sortOpportunities } from '../../utils/activityUtils';
+
+/**
+ * List of the open leads in the current owner scope
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {Object} props.ownerScope - Current owner scope; leads reload when it changes
+ * @param {Function} props.onLeadSelect - Function to call with a lead ID to open it
+ * @returns {JSX.Element} Lead list component
+ */
+const LeadList = ({ accessToken, ownerScope, onLeadSelect }) => {
+  const [leads, setLeads] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!accessToken) return;
+    fetchMyOpenLeads(accessToken, setLoading, setError, setLeads);
+  }, [accessToken, ownerScope?.type, ownerScope?.teamId]);
+
+  if (loading) {
+    return (
+      <div style={{ textAlign: "center", padding: "20px" }}>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p style={{ fontSize: "12px", color: "#d32f2f" }}>Could not load leads. Please try again later.</p>;
+  }
+
+  if (leads.length === 0) {
+    return <p>No open leads.</p>;
+  }
+
+  // Untouched and stale leads first, like the opportunity list's default sort
+  return (
+    <div>
+      {sortOpportunities(leads, 'lastActivity', 'asc').map(lead => (
+        <LeadCard
+          key={lead.leadid}
+          lead={lead}
+          onClick={() => onLeadSelect(lead.leadid)}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default LeadList;
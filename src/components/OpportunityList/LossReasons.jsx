@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import {
+  LOSS_PERIODS,
+  LOSS_PERIOD_LABELS,
+  VALUE_BANDS,
+  filterClosedDeals,
+  summarizeLossReasons,
+  fetchLossDetails
+} from '../../utils/lossReasons';
+import { formatBaseMoney } from '../../utils/currencyUtils';
+import { getChoiceLabel } from '../../utils/metadata';
+
+// Register ChartJS components
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const selectStyle = {
+  fontSize: "12px",
+  padding: "2px 4px",
+  border: "1px solid #ddd",
+  borderRadius: "4px",
+  backgroundColor: "white"
+};
+
+// Number of recent losses listed under the chart
+const RECENT_LOSS_COUNT = 5;
+
+/**
+ * Loss reason breakdown with period and value band filters
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.closedOpportunities - Closed opportunities
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {Object} props.choices - Opportunity choice labels
+ * @returns {JSX.Element} Loss reasons component
+ */
+const LossReasons = ({ closedOpportunities = [], accessToken, currency, choices }) => {
+  const [period, setPeriod] = useState(LOSS_PERIODS.L12M);
+  const [band, setBand] = useState('all');
+  const [lossDetails, setLossDetails] = useState({});
+
+  const lostDeals = useMemo(
+    () => filterClosedDeals(closedOpportunities, { period, band })
+      .filter(opp => Number(opp.statecode) === 2),
+    [closedOpportunities, period, band]
+  );
+
+  const reasons = useMemo(() => summarizeLossReasons(lostDeals, choices), [lostDeals, choices]);
+  const recentLosses = lostDeals.slice(0, RECENT_LOSS_COUNT);
+  const recentLossKey = recentLosses.map(opp => opp.opportunityid).join(',');
+
+  // Descriptions are only shown for the most recent losses, so only fetch those
+  useEffect(() => {
+    if (!accessToken || !recentLossKey) return;
+
+    fetchLossDetails(accessToken, recentLossKey.split(','))
+      .then(setLossDetails)
+      .catch((err) => {
+        console.warn("[LossReasons] Could not load close descriptions:", err);
+      });
+  }, [accessToken, recentLossKey]);
+
+  const chartData = {
+    labels: reasons.map(reason => reason.reason),
+    datasets: [
+      {
+        label: 'Lost deals',
+        data: reasons.map(reason => reason.count),
+        backgroundColor: 'rgba(199, 117, 93, 0.7)',
+        borderRadius: 4
+      }
+    ]
+  };
+
+  const options = {
+    indexAxis: 'y',
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        callbacks: {
+          afterLabel: (context) => `Value: ${formatBaseMoney(reasons[context.dataIndex].value, currency?.settings, { compact: true })}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        beginAtZero: true,
+        ticks: {
+          precision: 0
+        }
+      }
+    }
+  };
+
+  return (
+    <div>
+      {/* Filters */}
+      <div style={{ display: "flex", gap: "8px", marginBottom: "12px" }}>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} style={selectStyle}>
+          {Object.values(LOSS_PERIODS).map(value => (
+            <option key={value} value={value}>{LOSS_PERIOD_LABELS[value]}</option>
+          ))}
+        </select>
+        <select value={band} onChange={(e) => setBand(e.target.value)} style={selectStyle}>
+          {VALUE_BANDS.map(valueBand => (
+            <option key={valueBand.key} value={valueBand.key}>{valueBand.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {reasons.length === 0 ? (
+        <p style={{ fontSize: "12px", color: "#666" }}>No lost deals match these filters.</p>
+      ) : (
+        <>
+          <div style={{ height: `${Math.max(120, reasons.length * 36)}px` }}>
+            <Bar data={chartData} options={options} />
+          </div>
+
+          {/* Most recent losses with the close description */}
+          <div style={{ marginTop: "12px" }}>
+            {recentLosses.map(opp => {
+              const details = lossDetails[opp.opportunityid.toLowerCase()];
+              return (
+                <div key={opp.opportunityid} style={{ padding: "6px 0", borderBottom: "1px solid #eee", fontSize: "12px" }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: "8px" }}>
+                    <span style={{ fontWeight: "600", color: "#1f2223" }}>{opp.name}</span>
+                    <span style={{ color: "#666", whiteSpace: "nowrap" }}>
+                      {getChoiceLabel(choices, 'statuscode', opp.statuscode, opp)}
+                    </span>
+                  </div>
+                  {(details?.description || details?.competitor) && (
+                    <div style={{ color: "#666" }}>
+                      {[details.competitor && `Lost to ${details.competitor}`, details.description].filter(Boolean).join(' · ')}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LossReasons;
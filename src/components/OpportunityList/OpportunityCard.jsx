@@ -1,5 +1,8 @@
 import React from 'react';
 import { calculateDaysBetween } from '../../utils/dateUtils';
+import { formatRecordAmount } from '../../utils/currencyUtils';
+import InlineEditField from '../common/InlineEditField';
+import { getOpportunityStageLabel } from '../../utils/metadata';
 import { getActivityDate, getActivityRecencyLabel, getLatestActivityDate } from '../../utils/activityUtils';
 
 /**
@@ -8,9 +11,13 @@ import { getActivityDate, getActivityRecencyLabel, getLatestActivityDate } from
  * @param {Object} props - Component props
  * @param {Object} props.opportunity - Opportunity data
  * @param {Function} props.onClick - Function to call when card is clicked
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {Object} props.choices - Opportunity choice labels
+ * @param {Function} props.onFieldSave - Function called with changed fields; omitted for read-only display
+ * @param {string} props.ownerName - Owner to show in team scopes; omitted for the user's own deals
  * @returns {JSX.Element} Opportunity card component
  */
-const OpportunityCard = ({ opportunity, onClick }) => {
+const OpportunityCard = ({ opportunity, onClick, currency, choices, onFieldSave, ownerName }) => {
   // Ensure activities is an array and fallback to empty array
   const activities = Array.isArray(opportunity?.activities) 
     ? opportunity.activities 
@@ -35,6 +42,13 @@ const OpportunityCard = ({ opportunity, onClick }) => {
     calculateDaysBetween(latestActivityDate, new Date()) : null;
   const activityLabel = getActivityRecencyLabel(lastActivityDays);
   
+  const stageLabel = getOpportunityStageLabel(opportunity, choices);
+  
+  const saveField = onFieldSave
+    ? (field) => (value) => onFieldSave({ [field]: value })
+    : () => null;
+  const hasProbability = opportunity.closeprobability !== null && opportunity.closeprobability !== undefined;
+  
   // Get the last 8 weeks of activities
   const getActivityBars = () => {
     // Existing implementation
@@ -159,6 +173,20 @@ const OpportunityCard = ({ opportunity, onClick }) => {
         alignItems: "center"
       }}>
         <span>{opportunity.name}</span>
+        {stageLabel && (
+          <span style={{
+            fontSize: "10px",
+            fontWeight: "500",
+            color: "#5f646a",
+            backgroundColor: "#f0f0f0",
+            borderRadius: "10px",
+            padding: "2px 8px",
+            marginLeft: "8px",
+            whiteSpace: "nowrap"
+          }}>
+            {stageLabel}
+          </span>
+        )}
       </div>
       
       {/* Customer and Value Row */}
@@ -174,10 +202,27 @@ const OpportunityCard = ({ opportunity, onClick }) => {
           {opportunity.customerid_account && (
             <span>{opportunity.customerid_account.name}</span>
           )}
+          {ownerName && (
+            <div style={{ fontSize: "11px", color: "#888", marginTop: "2px" }}>{ownerName}</div>
+          )}
         </div>
-        <div style={{ fontWeight: "500" }}>
-          {opportunity.estimatedvalue ? 
-            `$${opportunity.estimatedvalue.toLocaleString()}` : "No est. value"}
+        <div style={{ fontWeight: "500", display: "flex", alignItems: "center", gap: "8px" }}>
+          <InlineEditField
+            label="estimated value"
+            type="number"
+            value={opportunity.estimatedvalue}
+            display={opportunity.estimatedvalue ? 
+              formatRecordAmount(opportunity, 'estimatedvalue', currency) : "No est. value"}
+            onSave={saveField('estimatedvalue')}
+          />
+          <InlineEditField
+            label="probability"
+            type="percent"
+            value={opportunity.closeprobability}
+            display={hasProbability ? `${opportunity.closeprobability}%` : "—%"}
+            onSave={saveField('closeprobability')}
+            style={{ color: "#888" }}
+          />
         </div>
       </div>
       
@@ -261,6 +306,18 @@ const OpportunityCard = ({ opportunity, onClick }) => {
               )}
             </div>
           )}
+          
+          <div style={{ fontSize: "11px", color: "#888", marginTop: "4px" }}>
+            <InlineEditField
+              label="estimated close date"
+              type="date"
+              value={opportunity.estimatedclosedate}
+              display={opportunity.estimatedclosedate
+                ? `Closes ${new Date(opportunity.estimatedclosedate).toLocaleDateString()}`
+                : "Set close date"}
+              onSave={saveField('estimatedclosedate')}
+            />
+          </div>
         </div>
       </div>
       
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { fetchProductsForOpportunities, summarizeProductMix } from '../../utils/productUtils';
+import { formatBaseMoney } from '../../utils/currencyUtils';
+
+const cellStyle = {
+  padding: "6px 4px",
+  borderBottom: "1px solid #eee",
+  textAlign: "right",
+  whiteSpace: "nowrap"
+};
+
+const headerCellStyle = {
+  ...cellStyle,
+  fontWeight: "600",
+  color: "#666",
+  fontSize: "11px"
+};
+
+/**
+ * What we sell to whom: product lines rolled up across the open deals in the list
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.opportunities - Open opportunities in the list
+ * @param {string} props.accessToken - Access token for API calls
+ * @param {Object} props.currency - Currency settings and display preference
+ * @returns {JSX.Element} Product mix component
+ */
+const ProductMix = ({ opportunities = [], accessToken, currency }) => {
+  const [lines, setLines] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // The list is rebuilt on every render, so reload only when the deals themselves change
+  const opportunityIdKey = opportunities.map(opp => opp.opportunityid).join(',');
+
+  useEffect(() => {
+    if (!accessToken) return;
+
+    setLoading(true);
+    setError(null);
+    fetchProductsForOpportunities(accessToken, opportunityIdKey ? opportunityIdKey.split(',') : [])
+      .then(setLines)
+      .catch((err) => {
+        console.error("[ProductMix] Error loading product lines:", err);
+        setError("Could not load products for these opportunities.");
+      })
+      .finally(() => setLoading(false));
+  }, [accessToken, opportunityIdKey]);
+
+  const rows = useMemo(() => summarizeProductMix(opportunities, lines), [opportunityIdKey, lines]);
+
+  if (loading) {
+    return (
+      <div style={{ textAlign: "center", padding: "20px" }}>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p style={{ fontSize: "12px", color: "#d32f2f" }}>{error}</p>;
+  }
+
+  if (rows.length === 0) {
+    return <p style={{ fontSize: "12px", color: "#666" }}>No products on the open opportunities.</p>;
+  }
+
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+      <thead>
+        <tr>
+          <th style={{ ...headerCellStyle, textAlign: "left" }}>Product</th>
+          <th style={headerCellStyle}>Deals</th>
+          <th style={headerCellStyle}>Qty</th>
+          <th style={headerCellStyle}>Pipeline</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.product}>
+            <td style={{ ...cellStyle, textAlign: "left", whiteSpace: "normal" }}>
+              <div style={{ color: "#1f2223", fontWeight: "500" }}>{row.product}</div>
+              <div style={{ fontSize: "11px", color: "#888" }}>{row.customers.join(', ')}</div>
+            </td>
+            <td style={cellStyle}>{row.dealCount}</td>
+            <td style={cellStyle}>{row.quantity}</td>
+            <td style={cellStyle}>{formatBaseMoney(row.amount, currency?.settings, { compact: true })}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default ProductMix;
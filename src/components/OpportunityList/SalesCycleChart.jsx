@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { getOpportunityUrl } from '../../utils/opportunityUtils';
+import { formatDealValue } from '../../utils/currencyUtils';
+import { getOpportunityStatusLabel } from '../../utils/metadata';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -26,9 +28,11 @@ ChartJS.register(
  * 
  * @param {Object} props - Component props
  * @param {Array} props.closedOpportunities - Closed opportunities data
+ * @param {Object} props.currency - Currency settings and display preference
+ * @param {Object} props.choices - Opportunity choice labels
  * @returns {JSX.Element} Sales cycle chart component
  */
-const SalesCycleChart = ({ closedOpportunities = [] }) => {
+const SalesCycleChart = ({ closedOpportunities = [], currency, choices }) => {
   const [averageClosingTime, setAverageClosingTime] = useState(0);
   const [chartData, setChartData] = useState({ labels: [], datasets: [] });
   const [tooltipData, setTooltipData] = useState([]);
@@ -59,8 +63,8 @@ const SalesCycleChart = ({ closedOpportunities = [] }) => {
           return {
             name: opp.name || `Opportunity ${index + 1}`,
             description: opp.description || '',
-            value: opp.estimatedvalue || opp.totalamount || 0,
-            status: opp.statecode === 0 ? 'Open' : opp.statecode === 1 ? 'Won' : 'Lost',
+            value: formatDealValue(opp, currency),
+            status: getOpportunityStatusLabel(opp, choices),
             id: opp.opportunityid,
             daysOpen: Math.floor((new Date(opp.actualclosedate) - new Date(opp.createdon)) / (1000 * 60 * 60 * 24)),
             url: url
@@ -111,7 +115,7 @@ const SalesCycleChart = ({ closedOpportunities = [] }) => {
       
       generateTooltips();
     }
-  }, [closedOpportunities]);
+  }, [closedOpportunities, currency?.settings, currency?.display, choices]);
 
   // Function to handle bar click
   const handleBarClick = (event) => {
@@ -166,7 +170,7 @@ const SalesCycleChart = ({ closedOpportunities = [] }) => {
             
             const lines = [
               `Days Open: ${tooltipItem.daysOpen}`,
-              `Value: $${tooltipItem.value.toLocaleString()}`,
+              `Value: ${tooltipItem.value}`,
               `Status: ${tooltipItem.status}`
             ];
 
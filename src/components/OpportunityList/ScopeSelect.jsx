@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { SCOPE_TYPES, SCOPE_LABELS, fetchMyTeams } from '../../utils/teamScope';
+
+const selectStyle = {
+  flex: 1,
+  minWidth: 0,
+  fontSize: "12px",
+  padding: "4px",
+  border: "1px solid #ddd",
+  borderRadius: "4px",
+  backgroundColor: "white"
+};
+
+/**
+ * Picker for whose opportunities the list and charts cover
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.value - Current owner scope ({ type, teamId })
+ * @param {Function} props.onChange - Function called with the new scope
+ * @param {string} props.accessToken - Access token for loading the user's teams
+ * @returns {JSX.Element} Scope select component
+ */
+const ScopeSelect = ({ value, onChange, accessToken }) => {
+  const [teams, setTeams] = useState([]);
+  const scopeType = value?.type || SCOPE_TYPES.MINE;
+
+  // Teams are only needed once the team scope is picked
+  useEffect(() => {
+    if (scopeType !== SCOPE_TYPES.TEAM || !accessToken || teams.length > 0) return;
+
+    fetchMyTeams(accessToken)
+      .then(setTeams)
+      .catch((err) => {
+        console.warn("[ScopeSelect] Could not load teams:", err);
+      });
+  }, [scopeType, accessToken]);
+
+  const handleTypeChange = (type) => {
+    // Keep the current team if there is one, otherwise start on the first loaded team
+    if (type === SCOPE_TYPES.TEAM) {
+      onChange({ type, teamId: value?.teamId || teams[0]?.id || null });
+      return;
+    }
+    onChange({ type, teamId: null });
+  };
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "12px", color: "#666" }}>
+      <label htmlFor="owner-scope">Showing</label>
+      <select
+        id="owner-scope"
+        value={scopeType}
+        onChange={(e) => handleTypeChange(e.target.value)}
+        style={selectStyle}
+      >
+        {Object.values(SCOPE_TYPES).map(type => (
+          <option key={type} value={type}>{SCOPE_LABELS[type]}</option>
+        ))}
+      </select>
+      {scopeType === SCOPE_TYPES.TEAM && (
+        <select
+          aria-label="Team"
+          value={value?.teamId || ''}
+          onChange={(e) => onChange({ type: SCOPE_TYPES.TEAM, teamId: e.target.value || null })}
+          style={selectStyle}
+        >
+          <option value="">Pick a team</option>
+          {teams.map(team => (
+            <option key={team.id} value={team.id}>{team.name}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default ScopeSelect;
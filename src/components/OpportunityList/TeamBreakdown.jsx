@@ -0,0 +1,115 @@
+import React, { useMemo } from 'react';
+import { getOwnerName } from '../../utils/teamScope';
+import { sumBaseAmounts, formatBaseMoney } from '../../utils/currencyUtils';
+
+const cellStyle = {
+  padding: "6px 4px",
+  borderBottom: "1px solid #eee",
+  textAlign: "right",
+  whiteSpace: "nowrap"
+};
+
+const headerCellStyle = {
+  ...cellStyle,
+  fontWeight: "600",
+  color: "#666",
+  fontSize: "11px"
+};
+
+/**
+ * Group records by owner name
+ * @param {Array} records - Records with _ownerid_value
+ * @returns {Object} Map of owner name to records
+ */
+const groupByOwner = (records) => records.reduce((groups, record) => {
+  const owner = getOwnerName(record);
+  (groups[owner] = groups[owner] || []).push(record);
+  return groups;
+}, {});
+
+/**
+ * Per-rep breakdown of the pipeline and results in a team scope
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.opportunities - Open opportunities in the scope
+ * @param {Array} props.closedOpportunities - Closed opportunities in the scope
+ * @param {Object} props.currency - Currency settings and display preference
+ * @returns {JSX.Element} Team breakdown component
+ */
+const TeamBreakdown = ({ opportunities = [], closedOpportunities = [], currency }) => {
+  const rows = useMemo(() => {
+    const twelveMonthsAgo = new Date();
+    twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 12);
+
+    const recentClosed = closedOpportunities.filter(opp =>
+      opp.actualclosedate && new Date(opp.actualclosedate) >= twelveMonthsAgo
+    );
+
+    const openByOwner = groupByOwner(opportunities);
+    const closedByOwner = groupByOwner(recentClosed);
+    const owners = new Set([...Object.keys(openByOwner), ...Object.keys(closedByOwner)]);
+
+    return [...owners].map(owner => {
+      const open = openByOwner[owner] || [];
+      const closed = closedByOwner[owner] || [];
+      const won = closed.filter(opp => Number(opp.statecode) === 1);
+      const lost = closed.filter(opp => Number(opp.statecode) === 2);
+
+      const cycleDays = closed.map(opp =>
+        Math.floor((new Date(opp.actualclosedate) - new Date(opp.createdon)) / (1000 * 60 * 60 * 24))
+      );
+
+      return {
+        owner,
+        openCount: open.length,
+        pipeline: sumBaseAmounts(open, 'estimatedvalue'),
+        wonCount: won.length,
+        lostCount: lost.length,
+        winRate: closed.length > 0 ? Math.round((won.length / closed.length) * 100) : null,
+        wonRevenue: sumBaseAmounts(won, 'totalamount'),
+        averageCycle: cycleDays.length > 0
+          ? Math.round(cycleDays.reduce((sum, days) => sum + days, 0) / cycleDays.length)
+          : null
+      };
+    }).sort((a, b) => b.pipeline - a.pipeline);
+  }, [opportunities, closedOpportunities]);
+
+  if (rows.length === 0) {
+    return <p style={{ fontSize: "12px", color: "#666" }}>No opportunities for this team yet.</p>;
+  }
+
+  const formatMoney = (amount) => formatBaseMoney(amount, currency?.settings, { compact: true });
+
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+        <thead>
+          <tr>
+            <th style={{ ...headerCellStyle, textAlign: "left" }}>Rep</th>
+            <th style={headerCellStyle} title="Open opportunities">Open</th>
+            <th style={headerCellStyle}>Pipeline</th>
+            <th style={headerCellStyle} title="Won / lost in the last 12 months">W / L</th>
+            <th style={headerCellStyle} title="Win rate in the last 12 months">Win %</th>
+            <th style={headerCellStyle} title="Won revenue in the last 12 months">Won</th>
+            <th style={headerCellStyle} title="Average days from creation to close">Cycle</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.owner}>
+              <td style={{ ...cellStyle, textAlign: "left", whiteSpace: "normal" }}>{row.owner}</td>
+              <td style={cellStyle}>{row.openCount}</td>
+              <td style={cellStyle}>{formatMoney(row.pipeline)}</td>
+              <td style={cellStyle}>{row.wonCount} / {row.lostCount}</td>
+              <td style={cellStyle}>{row.winRate === null ? '–' : `${row.winRate}%`}</td>
+              <td style={cellStyle}>{formatMoney(row.wonRevenue)}</td>
+              <td style={cellStyle}>{row.averageCycle === null ? '–' : `${row.averageCycle}d`}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default TeamBreakdown;
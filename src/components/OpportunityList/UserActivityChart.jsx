@@ -11,6 +11,7 @@ import {
 import { Bar } from 'react-chartjs-2';
 import { fetchUserActivitiesForLastYear } from '../../utils/api';
 import { getActivityDate } from '../../utils/activityUtils';
+import { getCacheScope, readCache, writeCache } from '../../utils/cache';
 
 // Register ChartJS components
 ChartJS.register(
@@ -45,20 +46,34 @@ const UserActivityChart = ({ accessToken }) => {
         return;
       }
 
+      const monthLabels = getLastTwelveMonthLabels();
+      const scope = await getCacheScope();
+      let hasCachedData = false;
+      
       try {
-        setLoading(true);
+        // Render cached activities instantly while fresh data loads
+        const cached = await readCache(scope, 'userActivities');
+        if (cached) {
+          hasCachedData = true;
+          setActivitiesData(processActivitiesData(cached.data, monthLabels));
+          setLoading(false);
+        } else {
+          setLoading(true);
+        }
         
         // Fetch user activities for the last 12 months
         const activities = await fetchUserActivitiesForLastYear(accessToken);
+        writeCache(scope, 'userActivities', activities);
         
         // Process the data for the chart
-        const monthLabels = getLastTwelveMonthLabels();
         const processedData = processActivitiesData(activities, monthLabels);
         
         setActivitiesData(processedData);
       } catch (error) {
         console.error("Error fetching user activities:", error);
-        setError("Failed to load activity data. Please try again later.");
+        if (!hasCachedData) {
+          setError("Failed to load activity data. Please try again later.");
+        }
       } finally {
         setLoading(false);
       }
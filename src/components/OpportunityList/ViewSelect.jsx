@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { VIEW_TYPES, fetchOpportunityViews } from '../../utils/savedViews';
+
+/**
+ * Picker for the Dynamics view the opportunity list runs
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.value - Picked view ({ id, type, name }), or null for the built-in list
+ * @param {Function} props.onChange - Function called with the new view, or null
+ * @param {string} props.accessToken - Access token for loading the views
+ * @returns {JSX.Element} View select component
+ */
+const ViewSelect = ({ value, onChange, accessToken }) => {
+  const [views, setViews] = useState([]);
+
+  useEffect(() => {
+    if (!accessToken) return;
+
+    fetchOpportunityViews(accessToken)
+      .then(setViews)
+      .catch((err) => {
+        console.warn("[ViewSelect] Could not load views:", err);
+      });
+  }, [accessToken]);
+
+  // Keep a picked view selectable even if it no longer shows up (deleted or unshared)
+  const options = value && !views.some(view => view.id === value.id) ? [value, ...views] : views;
+  const systemViews = options.filter(view => view.type === VIEW_TYPES.SYSTEM);
+  const personalViews = options.filter(view => view.type === VIEW_TYPES.PERSONAL);
+
+  const handleChange = (id) => {
+    onChange(options.find(view => view.id === id) || null);
+  };
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "12px", color: "#666" }}>
+      <label htmlFor="opportunity-view">View</label>
+      <select
+        id="opportunity-view"
+        value={value?.id || ''}
+        onChange={(e) => handleChange(e.target.value)}
+        style={{
+          flex: 1,
+          minWidth: 0,
+          fontSize: "12px",
+          padding: "4px",
+          border: "1px solid #ddd",
+          borderRadius: "4px",
+          backgroundColor: "white"
+        }}
+      >
+        <option value="">Open opportunities (Lens)</option>
+        {systemViews.length > 0 && (
+          <optgroup label="System views">
+            {systemViews.map(view => (
+              <option key={view.id} value={view.id}>{view.name}</option>
+            ))}
+          </optgroup>
+        )}
+        {personalViews.length > 0 && (
+          <optgroup label="My views">
+            {personalViews.map(view => (
+              <option key={view.id} value={view.id}>{view.name}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+    </div>
+  );
+};
+
+export default ViewSelect;
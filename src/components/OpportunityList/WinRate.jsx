@@ -5,17 +5,21 @@ const getWinRateColor = (percentage) => {
     if (percentage >= 30) return "#ff9800"; // Orange for low win rates
     return "#f44336"; // Red for very low win rates
   };import React, { useMemo } from 'react';
+import { excludeReasons } from '../../utils/lossReasons';
 
 /**
  * Calculates win rates for specified time periods
  * 
  * @param {Object} props - Component props
  * @param {Array} props.closedOpportunities - Array of closed opportunities
+ * @param {Array<number>} props.excludedReasons - Status reasons left out of the win rate
  * @returns {JSX.Element} Win rate component
  */
-const WinRate = ({ closedOpportunities = [] }) => {
+const WinRate = ({ closedOpportunities: allClosedOpportunities = [], excludedReasons = [] }) => {
   // Calculate win rates for different time periods
   const { l3mWinRate, l12mWinRate, l3mCount, l12mCount, l3mWonCount, l12mWonCount, l3mTrend, l12mTrend } = useMemo(() => {
+    // Excluded reasons (e.g. canceled deals) leave the denominator altogether
+    const closedOpportunities = excludeReasons(allClosedOpportunities, excludedReasons);
     
     if (!closedOpportunities || closedOpportunities.length === 0) {
       return { 
@@ -158,7 +162,7 @@ const WinRate = ({ closedOpportunities = [] }) => {
       l3mTrend,
       l12mTrend
     };
-  }, [closedOpportunities]);
+  }, [allClosedOpportunities, excludedReasons]);
 
   // Function to render trend indicator
   const renderTrendIndicator = (trend) => {
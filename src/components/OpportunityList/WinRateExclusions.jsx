@@ -0,0 +1,40 @@
+import React from 'react';
+import { getCloseStatusReasons, CLOSE_OUTCOMES } from '../../utils/opportunityClose';
+
+/**
+ * Checkboxes for leaving lost reasons such as "Canceled" out of the win rate
+ *
+ * @param {Object} props - Component props
+ * @param {Array<number>} props.value - Excluded statuscode values
+ * @param {Function} props.onChange - Function to call with the new excluded values
+ * @param {Object} props.choices - Opportunity choice labels
+ * @returns {JSX.Element} Win rate exclusions component
+ */
+const WinRateExclusions = ({ value = [], onChange, choices }) => {
+  const reasons = getCloseStatusReasons(choices, CLOSE_OUTCOMES.LOST);
+
+  const toggleReason = (statuscode) => {
+    onChange(value.includes(statuscode)
+      ? value.filter(code => code !== statuscode)
+      : [...value, statuscode]);
+  };
+
+  return (
+    <div style={{ fontSize: "12px", color: "#666", marginTop: "-8px", marginBottom: "12px" }}>
+      <span style={{ marginRight: "8px" }}>Exclude from win rate:</span>
+      {reasons.map(reason => (
+        <label key={reason.value} style={{ marginRight: "10px", whiteSpace: "nowrap", cursor: "pointer" }}>
+          <input
+            type="checkbox"
+            checked={value.includes(reason.value)}
+            onChange={() => toggleReason(reason.value)}
+            style={{ marginRight: "4px", verticalAlign: "middle" }}
+          />
+          {reason.label}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default WinRateExclusions;
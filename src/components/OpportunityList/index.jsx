@@ -5,13 +5,25 @@ import ListAnalytics from './Analytics';
 import SalesCycleChart from './SalesCycleChart';
 import AccordionSection from '../common/AccordionSection';
 import WinRate from './WinRate';
+import WinRateExclusions from './WinRateExclusions';
+import LossReasons from './LossReasons';
 import UserActivityChart from './UserActivityChart';
 import WonLostChart from './WonLostChart';
+import CompetitorBreakdown from './CompetitorBreakdown';
+import ScopeSelect from './ScopeSelect';
+import ViewSelect from './ViewSelect';
+import TeamBreakdown from './TeamBreakdown';
+import ProductMix from './ProductMix';
+import LeadList from './LeadList';
+import LeadConversion from './LeadConversion';
 import { PiIntersect, PiSortAscending, PiSortDescending, PiCaretDown } from "react-icons/pi";
 import SubscriptionStatus from '../SubscriptionStatus';
 import FeatureGate from '../FeatureGate';
 import ProPill from '../common/ProPill';
 import { sortOpportunities } from '../../utils/activityUtils';
+import { sumBaseAmounts, formatBaseMoney } from '../../utils/currencyUtils';
+import CurrencyDisplaySelect from '../common/CurrencyDisplaySelect';
+import { isTeamScope, getOwnerName, TEAM_SCOPE_FEATURE } from '../../utils/teamScope';
 
 
 /**
@@ -23,19 +35,39 @@ const OpportunityList = ({
   onLogout,
   isLoggingOut, 
   onOpportunitySelect,
+  onLeadSelect,
   closedOpportunities = [],
   toggleAutoOpen,
   autoOpen,
+  currency,
+  onCurrencyDisplayChange,
+  ownerScope,
+  onOwnerScopeChange,
+  listView,
+  onListViewChange,
+  winRateExclusions,
+  onWinRateExclusionsChange,
+  choices,
   onFetchMyOpenOpportunities,
   accessToken,
-  subscription
+  onOpportunityUpdate,
+  subscription,
+  canUseFeature,
+  lastSyncedAt,
+  isSyncing
 }) => {
   const [accordionState, setAccordionState] = useState({
     analytics: true,
     salesCycle: false,
     opportunities: true,
     activities: false,
-    wonLost: false
+    wonLost: false,
+    competitors: false,
+    lossReasons: false,
+    team: true,
+    productMix: false,
+    leads: false,
+    leadConversion: false
   });
   
   // Add sort state
@@ -71,6 +103,8 @@ const OpportunityList = ({
     };
   }, [showSortOptions]);
 
+  const showTeam = isTeamScope(ownerScope);
+
   const toggleAccordion = (section) => {
     setAccordionState({
       ...accordionState,
@@ -112,6 +146,19 @@ const OpportunityList = ({
     }).length
   };
 
+  // Totals across currencies are always normalized to the org base currency
+  const twelveMonthsAgo = new Date();
+  twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 12);
+  
+  const pipelineTotal = sumBaseAmounts(opportunities, 'estimatedvalue');
+  const wonRevenue = sumBaseAmounts(
+    closedOpportunities.filter(opp => 
+      (opp.statecode === 1 || opp.statecode === '1') &&
+      opp.actualclosedate && new Date(opp.actualclosedate) >= twelveMonthsAgo
+    ),
+    'totalamount'
+  );
+
   // Calculate average closing time
   const averageClosingTime = closedOpportunities && closedOpportunities.length > 0 
     ? Math.round(closedOpportunities.reduce((acc, opp) => {
@@ -262,6 +309,8 @@ const OpportunityList = ({
         isLoggingOut={isLoggingOut}
         onFetchMyOpenOpportunities={onFetchMyOpenOpportunities}
         subscription={subscription}
+        lastSyncedAt={lastSyncedAt}
+        isSyncing={isSyncing}
       />
     
     {/* Scrollable content area */}
@@ -271,6 +320,16 @@ const OpportunityList = ({
       paddingTop: "8px" // Add space after sticky header
     }}>
 
+      {/* List source: Dynamics view and owner scope (Team plan) */}
+      <div style={{ padding: "12px 16px 0px 16px", display: "flex", flexDirection: "column", gap: "8px" }}>
+        {onListViewChange && (
+          <ViewSelect value={listView} onChange={onListViewChange} accessToken={accessToken} />
+        )}
+        {canUseFeature?.(TEAM_SCOPE_FEATURE) && onOwnerScopeChange && (
+          <ScopeSelect value={ownerScope} onChange={onOwnerScopeChange} accessToken={accessToken} />
+        )}
+      </div>
+
       {/* Portfolio Analytics Section */}
       <div style={{ padding: "12px 16px 0px 16px" }}>
         <AccordionSection
@@ -323,8 +382,82 @@ const OpportunityList = ({
             </div>
           </div>
 
+          {/* Value Totals (base currency) */}
+          <div style={{ display: "flex", gap: "10px", marginBottom: "20px", justifyContent: "space-between" }}>
+            {/* Open Pipeline */}
+            <div style={{ 
+              flex: 1,
+              padding: "8px 12px", 
+              borderRadius: "10px",
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              backgroundColor: "#f5f5f5",
+              boxShadow: "0 1px 2px rgba(0,0,0,0.05)"
+            }}>
+              <div style={{ fontSize: "13px", color: "#666" }}>Open Pipeline</div>
+              <div style={{ 
+                fontSize: "16px", 
+                fontWeight: "bold",
+                marginLeft: "10px"
+              }}>
+                {formatBaseMoney(pipelineTotal, currency?.settings, { compact: true })}
+              </div>
+            </div>
+            
+            {/* Won Revenue */}
+            <div style={{ 
+              flex: 1,
+              padding: "8px 12px", 
+              borderRadius: "10px",
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              backgroundColor: "#f5f5f5",
+              boxShadow: "0 1px 2px rgba(0,0,0,0.05)"
+            }}>
+              <div style={{ fontSize: "13px", color: "#666" }}>L12M Won</div>
+              <div style={{ 
+                fontSize: "16px", 
+                fontWeight: "bold",
+                marginLeft: "10px" 
+              }}>
+                {formatBaseMoney(wonRevenue, currency?.settings, { compact: true })}
+              </div>
+            </div>
+          </div>
+
           {/* Win Rate Section */}
-          <WinRate closedOpportunities={closedOpportunities} />
+          <WinRate closedOpportunities={closedOpportunities} excludedReasons={winRateExclusions} />
+          <WinRateExclusions value={winRateExclusions} onChange={onWinRateExclusionsChange} choices={choices} />
+        </AccordionSection>
+      </div>
+      
+      {/* Per-rep breakdown in team scopes */}
+      {showTeam && (
+        <div style={{ padding: "12px 16px 0px 16px" }}>
+          <AccordionSection
+            title="Team Breakdown"
+            isOpen={accordionState.team}
+            onToggle={() => toggleAccordion('team')}
+          >
+            <TeamBreakdown
+              opportunities={opportunities}
+              closedOpportunities={closedOpportunities}
+              currency={currency}
+            />
+          </AccordionSection>
+        </div>
+      )}
+      
+      {/* Product Mix Section */}
+      <div style={{ padding: "12px 16px 0px 16px" }}>
+        <AccordionSection
+          title="Product Mix"
+          isOpen={accordionState.productMix}
+          onToggle={() => toggleAccordion('productMix')}
+        >
+          <ProductMix opportunities={opportunities} accessToken={accessToken} currency={currency} />
         </AccordionSection>
       </div>
       
@@ -347,6 +480,47 @@ const OpportunityList = ({
         </AccordionSection>
       </div>
 
+      {/* Loss Reasons Section */}
+      <div style={{ padding: "12px 16px 0px 16px" }}>
+        <AccordionSection
+          title="Loss Reasons"
+          rightElement={subscription?.status && <ProPill status={subscription.status} />}
+          isOpen={accordionState.lossReasons}
+          onToggle={() => toggleAccordion('lossReasons')}
+        >
+          <FeatureGate
+            featureName="winLossCharts"
+            fallbackMessage="Loss reason analysis is not available with your subscription plan."
+            subscription={subscription}
+          >
+            <LossReasons
+              closedOpportunities={closedOpportunities}
+              accessToken={accessToken}
+              currency={currency}
+              choices={choices}
+            />
+          </FeatureGate>
+        </AccordionSection>
+      </div>
+
+      {/* Win/Loss by Competitor Section */}
+      <div style={{ padding: "12px 16px 0px 16px" }}>
+        <AccordionSection
+          title="Win/Loss by Competitor"
+          rightElement={subscription?.status && <ProPill status={subscription.status} />}
+          isOpen={accordionState.competitors}
+          onToggle={() => toggleAccordion('competitors')}
+        >
+          <FeatureGate
+            featureName="winLossCharts"
+            fallbackMessage="Win/Loss by Competitor is not available with your subscription plan."
+            subscription={subscription}
+          >
+            <CompetitorBreakdown closedOpportunities={closedOpportunities} accessToken={accessToken} />
+          </FeatureGate>
+        </AccordionSection>
+      </div>
+
       {/* Sales Cycle Length Section */}
       <div style={{ padding: "12px 16px 0px 16px" }}>
         <AccordionSection
@@ -358,10 +532,10 @@ const OpportunityList = ({
           <FeatureGate
             featureName="salesCycleAnalytics"
             fallbackMessage="Sales Cycle Length analysis is not available with your subscription plan."
-            teaseComponent={<SalesCycleChart closedOpportunities={closedOpportunities.slice(0, 3)} />}
+            teaseComponent={<SalesCycleChart closedOpportunities={closedOpportunities.slice(0, 3)} currency={currency} choices={choices} />}
             subscription={subscription}
           >
-            <SalesCycleChart closedOpportunities={closedOpportunities} />
+            <SalesCycleChart closedOpportunities={closedOpportunities} currency={currency} choices={choices} />
           </FeatureGate>
         </AccordionSection>
       </div>
@@ -388,7 +562,7 @@ const OpportunityList = ({
       {/* Opportunities List Section */}
       <div style={{ padding: "12px 16px 0px 16px" }}>
         <AccordionSection
-          title={`Open Opportunities`}
+          title={listView ? listView.name : `Open Opportunities`}
           isOpen={accordionState.opportunities}
           onToggle={() => toggleAccordion('opportunities')}
           rightElement={renderSortDropdown()}
@@ -406,12 +580,38 @@ const OpportunityList = ({
                   key={opportunity.opportunityid}
                   opportunity={opportunity}
                   onClick={() => onOpportunitySelect(opportunity.opportunityid)}
+                  currency={currency}
+                  choices={choices}
+                  onFieldSave={onOpportunityUpdate && ((changes) => onOpportunityUpdate(opportunity.opportunityid, changes))}
+                  ownerName={showTeam ? getOwnerName(opportunity) : null}
                 />
               ))}
             </div>
           )}
         </AccordionSection>
       </div>
+
+      {/* Open Leads Section */}
+      <div style={{ padding: "12px 16px 0px 16px" }}>
+        <AccordionSection
+          title="Open Leads"
+          isOpen={accordionState.leads}
+          onToggle={() => toggleAccordion('leads')}
+        >
+          <LeadList accessToken={accessToken} ownerScope={ownerScope} onLeadSelect={onLeadSelect} />
+        </AccordionSection>
+      </div>
+
+      {/* Lead Conversion Section */}
+      <div style={{ padding: "12px 16px 0px 16px" }}>
+        <AccordionSection
+          title="Lead Conversion"
+          isOpen={accordionState.leadConversion}
+          onToggle={() => toggleAccordion('leadConversion')}
+        >
+          <LeadConversion accessToken={accessToken} ownerScope={ownerScope} />
+        </AccordionSection>
+      </div>
     </div>
 
       {/* Auto-open toggle */}
@@ -431,6 +631,7 @@ const OpportunityList = ({
           />
           Auto-open when visiting Dynamics CRM
         </label>
+        <CurrencyDisplaySelect value={currency?.display} onChange={onCurrencyDisplayChange} />
       </div>
     </div>
   );
@@ -0,0 +1,34 @@
+import React from 'react';
+import { CURRENCY_DISPLAY } from '../../utils/currencyUtils';
+
+/**
+ * Selector for showing amounts in record currency or base currency
+ * @param {Object} props
+ * @param {string} props.value - One of CURRENCY_DISPLAY
+ * @param {Function} props.onChange - Called with the selected display mode
+ */
+const CurrencyDisplaySelect = ({ value, onChange }) => {
+  if (!onChange) return null;
+
+  return (
+    <label style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginTop: "8px" }}>
+      Show amounts in
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        style={{
+          fontSize: "12px",
+          padding: "2px 4px",
+          border: "1px solid #ddd",
+          borderRadius: "4px",
+          backgroundColor: "white"
+        }}
+      >
+        <option value={CURRENCY_DISPLAY.TRANSACTION}>Record currency</option>
+        <option value={CURRENCY_DISPLAY.BASE}>Base currency</option>
+      </select>
+    </label>
+  );
+};
+
+export default CurrencyDisplaySelect;
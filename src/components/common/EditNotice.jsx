@@ -0,0 +1,96 @@
+import React from 'react';
+import { EDITABLE_OPPORTUNITY_FIELDS, formatEditableValue } from '../../utils/opportunityWrites';
+
+const buttonStyle = {
+  fontSize: "12px",
+  padding: "4px 10px",
+  borderRadius: "4px",
+  cursor: "pointer",
+  border: "1px solid #0078d4",
+  backgroundColor: "white",
+  color: "#0078d4"
+};
+
+/**
+ * Describe a set of field values, e.g. "Est. close date: 3/1/2025"
+ * @param {Object} values - Map of field to value
+ * @returns {string} Description
+ */
+const describeValues = (values = {}) => Object.entries(values)
+  .map(([field, value]) => `${EDITABLE_OPPORTUNITY_FIELDS[field]?.label || field}: ${formatEditableValue(field, value)}`)
+  .join(', ');
+
+/**
+ * Undo bar after an inline edit, or a conflict prompt when someone else changed the record
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.notice - Notice to show ({ type: 'undo' | 'conflict', opportunityName, changes, previous, current })
+ * @param {Function} props.onUndo - Function to call to restore the previous values
+ * @param {Function} props.onOverwrite - Function to call to save the rep's values over the other change
+ * @param {Function} props.onKeepTheirs - Function to call to discard the rep's values
+ * @param {Function} props.onDismiss - Function to call when the notice is dismissed
+ * @returns {JSX.Element|null} Edit notice component or null if there is no notice
+ */
+const EditNotice = ({ notice, onUndo, onOverwrite, onKeepTheirs, onDismiss }) => {
+  if (!notice) return null;
+
+  const isConflict = notice.type === 'conflict';
+
+  return (
+    <div style={{
+      padding: "8px 12px",
+      backgroundColor: isConflict ? "#fff8e1" : "white",
+      border: `1px solid ${isConflict ? "#ffb300" : "#e0e0e0"}`,
+      borderRadius: "4px",
+      margin: "8px",
+      fontSize: "12px",
+      position: "relative"
+    }}>
+      <button
+        onClick={onDismiss}
+        style={{
+          position: "absolute",
+          top: "2px",
+          right: "2px",
+          background: "none",
+          border: "none",
+          fontSize: "16px",
+          cursor: "pointer",
+          color: "#666"
+        }}
+      >
+        ×
+      </button>
+
+      {isConflict ? (
+        <>
+          <div style={{ marginBottom: "4px", paddingRight: "16px" }}>
+            <strong>Someone else changed {notice.opportunityName}</strong> since you loaded it.
+          </div>
+          <div style={{ color: "#666", marginBottom: "2px" }}>Yours: {describeValues(notice.changes)}</div>
+          <div style={{ color: "#666", marginBottom: "8px" }}>
+            Theirs: {describeValues(notice.current)}
+            {notice.modifiedBy && ` (by ${notice.modifiedBy})`}
+          </div>
+          <div style={{ display: "flex", gap: "8px" }}>
+            <button onClick={onOverwrite} style={{ ...buttonStyle, backgroundColor: "#0078d4", color: "white" }}>
+              Save mine
+            </button>
+            <button onClick={onKeepTheirs} style={buttonStyle}>
+              Keep theirs
+            </button>
+          </div>
+        </>
+      ) : (
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "8px", paddingRight: "16px" }}>
+          <span>Saved {notice.opportunityName}.</span>
+          <button onClick={onUndo} style={buttonStyle}>
+            Undo
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EditNotice;
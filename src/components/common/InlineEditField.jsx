@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { PiPencilSimple } from "react-icons/pi";
+
+/**
+ * Convert a stored value into the value shown in the input
+ * @param {string} type - Input type ('date', 'number' or 'percent')
+ * @param {string|number|null} value - Stored value
+ * @returns {string} Input value
+ */
+const toInputValue = (type, value) => {
+  if (value === null || value === undefined) return '';
+  return type === 'date' ? String(value).substring(0, 10) : String(value);
+};
+
+/**
+ * Value that turns into an input when clicked and saves on Enter or blur
+ *
+ * Clicks don't reach the parent, so the field can sit inside clickable cards.
+ *
+ * @param {Object} props - Component props
+ * @param {string|number|null} props.value - Current stored value
+ * @param {string} props.type - Input type ('date', 'number' or 'percent')
+ * @param {React.ReactNode} props.display - Formatted value shown when not editing
+ * @param {Function} props.onSave - Function called with the new value; resolves when saved
+ * @param {string} props.label - Accessible label for the input
+ * @param {Object} props.style - Extra styles for the displayed value
+ * @returns {JSX.Element} Inline edit field component
+ */
+const InlineEditField = ({ value, type, display, onSave, label, style = {} }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const startEditing = (e) => {
+    e.stopPropagation();
+    if (!onSave || saving) return;
+
+    setDraft(toInputValue(type, value));
+    setEditing(true);
+  };
+
+  const save = async () => {
+    setEditing(false);
+    if (draft === toInputValue(type, value)) return;
+
+    try {
+      setSaving(true);
+      await onSave(draft === '' ? null : draft);
+    } catch (err) {
+      console.error("[InlineEditField] Error saving value:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      save();
+    }
+    if (e.key === 'Escape') {
+      setEditing(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <input
+        autoFocus
+        aria-label={label}
+        type={type === 'date' ? 'date' : 'number'}
+        min={type === 'percent' ? 0 : undefined}
+        max={type === 'percent' ? 100 : undefined}
+        step={type === 'date' ? undefined : 'any'}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={save}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          fontSize: "12px",
+          padding: "2px 4px",
+          border: "1px solid #0078d4",
+          borderRadius: "4px",
+          width: type === 'date' ? "120px" : "90px"
+        }}
+      />
+    );
+  }
+
+  return (
+    <span
+      onClick={startEditing}
+      title={onSave ? `Edit ${label}` : undefined}
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: "4px",
+        cursor: onSave ? "text" : "inherit",
+        opacity: saving ? 0.6 : 1,
+        ...style
+      }}
+    >
+      {saving ? "Saving..." : display}
+      {onSave && !saving && <PiPencilSimple size={11} color="#999" />}
+    </span>
+  );
+};
+
+export default InlineEditField;
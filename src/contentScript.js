@@ -7,28 +7,100 @@
         if (DEBUG) console.log(`[Lens ContentScript] ${message}`, ...args);
     }
   
-    // Function to extract organization ID from the current URL
+    // Known Dynamics 365 host patterns, rewritten from src/utils/environment.js by the build
+    // <dynamics-host-patterns>
+    const DYNAMICS_HOST_PATTERNS = [
+        /^[a-z0-9-]+\.crm([2-9]|1\d|2[01])?\.dynamics\.com$/i, // Commercial regions and GCC
+        /^[a-z0-9-]+\.crm\.microsoftdynamics\.us$/i, // GCC High
+        /^[a-z0-9-]+\.crm\.appsplatform\.us$/i, // DoD
+        /^[a-z0-9-]+\.crm\.dynamics\.cn$/i, // China (operated by 21Vianet)
+    ];
+    // </dynamics-host-patterns>
+  
+    // Function to extract organization ID (the instance host) from the current URL
     function extractOrganizationId() {
-        const url = window.location.href;
+        const host = window.location.hostname.toLowerCase();
         
-        // This regex captures the part between https:// and .crm.dynamics.com
-        const orgPattern = /https:\/\/([^.]+)\.crm\.dynamics\.com/i;
-        const matches = url.match(orgPattern);
-        
-        if (matches && matches[1]) {
-            log("Organization ID detected:", matches[1]);
-            return matches[1];
+        if (window.location.protocol === 'https:') {
+            log("Organization ID detected:", host);
+            return host;
         }
         
-        log("Could not extract organization ID from URL:", url);
+        log("Could not extract organization ID from URL:", window.location.href);
         return null;
     }
   
-    // Function to extract opportunity ID from the current URL
+    // Messages from xrmBridge.js, which reads the Xrm form context in the page's main world
+    const XRM_BRIDGE_SOURCE = 'lens-xrm-bridge';
+  
+    // Latest form context reported by the bridge, per frame, most recently changed last
+    const xrmContexts = new Map();
+  
+    // Record form the user is looking at according to the bridge, or null if no frame reported one
+    function getXrmRecord() {
+        // Forget frames that were removed without reporting it
+        for (const source of xrmContexts.keys()) {
+            if (source.closed) xrmContexts.delete(source);
+        }
+        
+        const contexts = [...xrmContexts.entries()];
+        if (contexts.length === 0) return null;
+        
+        // The frame the user is working in (e.g. a dialog) wins, then the main page. The top window
+        // also reports focus while a child frame has it, so focused child frames come first, newest first.
+        const newestFirst = contexts.reverse();
+        const [, context] = newestFirst.find(([source, ctx]) => ctx.hasFocus && source !== window) ||
+            newestFirst.find(([source]) => source === window) ||
+            newestFirst[0];
+        return context;
+    }
+  
+    // Keep track of the form context each frame reports
+    function setupXrmBridgeListener() {
+        window.addEventListener('message', (event) => {
+            if (event.origin !== window.location.origin) return;
+            if (event.data?.source !== XRM_BRIDGE_SOURCE || event.data.type !== 'XRM_CONTEXT') return;
+            
+            const context = event.data.context?.entityType ? event.data.context : null;
+            const previous = xrmContexts.get(event.source) || null;
+            if (JSON.stringify(previous) === JSON.stringify(context)) return;
+            
+            xrmContexts.delete(event.source);
+            if (context) {
+                xrmContexts.set(event.source, context);
+            }
+            
+            log("Xrm form context changed:", context);
+            manageIds();
+        });
+    }
+  
+    // Logical name of the record type on the current form, from Xrm or else the URL's etn
+    function extractEntityType() {
+        const xrmRecord = getXrmRecord();
+        if (xrmRecord) return xrmRecord.entityType;
+        
+        const etn = new URLSearchParams(window.location.search).get('etn');
+        return etn ? etn.toLowerCase() : null;
+    }
+  
+    // Function to extract opportunity ID from the Xrm form context, or the current URL as a fallback
     function extractOpportunityId() {
+        const xrmRecord = getXrmRecord();
+        if (xrmRecord) {
+            return xrmRecord.entityType === 'opportunity' ? xrmRecord.id : null;
+        }
+        
+        // URL parsing for pages the bridge can't read yet (e.g. before Xrm has loaded)
         const url = window.location.href;
         log("Current URL:", url);
         log("Host:", window.location.host);
+        
+        // The generic patterns below would also match the ID of an account or contact form
+        const entityType = extractEntityType();
+        if (entityType && entityType !== 'opportunity') {
+            return null;
+        }
   
         // Regex to match opportunity ID in different URL formats
         const idPatterns = [
@@ -49,10 +121,64 @@
         return null;
     }
   
+    // Function to extract the record (other than an opportunity) open on the current form
+    function extractRecord() {
+        const xrmRecord = getXrmRecord();
+        if (xrmRecord) {
+            // A new record has no ID until it is saved
+            if (xrmRecord.entityType === 'opportunity' || !xrmRecord.id) return null;
+            
+            log("Record detected from Xrm:", xrmRecord.entityType, xrmRecord.id);
+            return { entityType: xrmRecord.entityType, id: xrmRecord.id };
+        }
+        
+        const entityType = extractEntityType();
+        if (!entityType || entityType === 'opportunity') return null;
+        
+        const id = new URLSearchParams(window.location.search).get('id');
+        if (!id) return null;
+        
+        log("Record detected:", entityType, id);
+        return { entityType, id: id.replace(/[{}]/g, '').toLowerCase() };
+    }
+  
+    // Form type and unsaved changes of the form in front of the user, when the bridge knows them
+    function extractFormState() {
+        const xrmRecord = getXrmRecord();
+        if (!xrmRecord) return null;
+        
+        return { formType: xrmRecord.formType, isDirty: xrmRecord.isDirty };
+    }
+  
+    // Model-driven app IDs are GUIDs (keep in sync with src/utils/appModule.js)
+    const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  
+    // Function to extract the model-driven app ID from the current URL
+    function extractAppId() {
+        const appId = new URLSearchParams(window.location.search).get('appid');
+        return appId && GUID_PATTERN.test(appId) ? appId.toLowerCase() : null;
+    }
+  
+    // Remember the app the user works in so record links open in the same app
+    function storeAppId(organizationId, appId) {
+        chrome.storage.local.get(['appIdsByOrg'], (result) => {
+            const appIdsByOrg = result.appIdsByOrg || {};
+            if (appIdsByOrg[organizationId] === appId) return;
+  
+            chrome.storage.local.set({
+                appIdsByOrg: { ...appIdsByOrg, [organizationId]: appId }
+            }, () => {
+                log("App ID stored successfully:", appId);
+            });
+        });
+    }
+  
     // Function to store organization ID and opportunity ID
     function manageIds() {
         const opportunityId = extractOpportunityId();
+        const record = extractRecord();
         const organizationId = extractOrganizationId();
+        const appId = extractAppId();
   
         try {
             if (organizationId) {
@@ -63,6 +189,10 @@
                 }, () => {
                     log("Organization ID stored successfully:", organizationId);
                 });
+                
+                if (appId) {
+                    storeAppId(organizationId, appId);
+                }
             }
             
             if (opportunityId) {
@@ -78,6 +208,14 @@
                     log("Cleared opportunity ID from storage");
                 });
             }
+            
+            if (record) {
+                chrome.storage.local.set({ currentRecord: record }, () => {
+                    log("Record stored successfully:", record);
+                });
+            } else {
+                chrome.storage.local.remove(['currentRecord']);
+            }
         } catch (e) {
             log("Error managing IDs:", e);
         }
@@ -121,6 +259,8 @@
                         const organizationId = extractOrganizationId();
                         const response = {
                             opportunityId,
+                            record: extractRecord(),
+                            form: extractFormState(),
                             organizationId,
                             url: window.location.href,
                             timestamp: Date.now()
@@ -161,11 +301,7 @@
                             const baseUrl = currentUrl.split('/main.aspx')[0];
                             
                             // Extract the app ID from the current URL if available
-                            let appId = '';
-                            const appIdMatch = currentUrl.match(/appid=([^&]+)/);
-                            if (appIdMatch && appIdMatch[1]) {
-                                appId = appIdMatch[1];
-                            }
+                            const appId = extractAppId();
                             
                             // Create the navigation URL
                             let navigationUrl;
@@ -201,18 +337,25 @@
     }
     
   
-    // Check if we're on a Dynamics CRM page before running
-    function isDynamicsCrmPage() {
-        return window.location.href.includes('crm.dynamics.com');
+    // Check if we're on a Dynamics CRM page (known cloud or custom domain) before running
+    async function isDynamicsCrmPage() {
+        if (window.location.protocol !== 'https:') return false;
+        
+        const host = window.location.hostname.toLowerCase();
+        if (DYNAMICS_HOST_PATTERNS.some(pattern => pattern.test(host))) return true;
+        
+        const { customDynamicsHosts } = await chrome.storage.local.get(['customDynamicsHosts']);
+        return Array.isArray(customDynamicsHosts) && customDynamicsHosts.includes(host);
     }
   
     // Main execution
-    function main() {
-        if (!isDynamicsCrmPage()) {
+    async function main() {
+        if (!(await isDynamicsCrmPage())) {
             log("Not a Dynamics CRM page. Skipping initialization.");
             return;
         }
   
+        setupXrmBridgeListener();
         initialize();
         setupMessageListener();
     }
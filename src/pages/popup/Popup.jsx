@@ -10,14 +10,31 @@ import {
   getCurrentOrgId
 } from "../../utils/opportunityUtils.js";
 import ErrorMessage from "../../components/common/ErrorMessage.jsx";
+import EditNotice from "../../components/common/EditNotice.jsx";
 import Login from "../../components/Login.jsx";
 import OpportunityList from "../../components/OpportunityList";
 import OpportunityDetail from "../../components/OpportunityDetail";
+import AccountLens from "../../components/AccountLens";
+import LeadDetail from "../../components/LeadDetail";
 import Header from "../../components/Header.jsx";
 import DebugButton from "../../components/DebugButton.jsx";
 import { getSubscriptionStatus, hasFeatureAccess } from "../../utils/subscriptions.js";
 import { checkSupabaseConnection, supabase } from "../../utils/supabase.js";
 import { restoreSupabaseSession } from '../../utils/session.js';
+import { getThrottleState, subscribeToThrottleState } from '../../utils/webApi.js';
+import { getCacheScope, readCache, writeCache, getLastSyncedAt } from '../../utils/cache.js';
+import { findDynamicsTab, parseDynamicsHost, getCustomDynamicsHosts, addCustomDynamicsHost, getRecordUrl } from '../../utils/environment.js';
+import { extractAppIdFromUrl, getAppId } from '../../utils/appModule.js';
+import { fetchCurrencySettings, getCurrencyDisplay, setCurrencyDisplay, CURRENCY_DISPLAY } from '../../utils/currencyUtils.js';
+import { fetchEntityChoices } from '../../utils/metadata.js';
+import { buildPendingActivity, saveQuickLogEntry, QUICK_LOG_TYPES } from '../../utils/activityWrites.js';
+import { updateOpportunityFields, pickEditableValues } from '../../utils/opportunityWrites.js';
+import { closeOpportunity } from '../../utils/opportunityClose.js';
+import { fetchAccountLens } from '../../utils/accountUtils.js';
+import { fetchLeadDetails } from '../../utils/leadUtils.js';
+import { getWinRateExclusions, setWinRateExclusions } from '../../utils/lossReasons.js';
+import { getViewSetting, setViewSetting, getViewCacheSuffix } from '../../utils/savedViews.js';
+import { getScopeSetting, setScopeSetting, getScopeCacheSuffix, isTeamScope, SCOPE_TYPES, DEFAULT_SCOPE, TEAM_SCOPE_FEATURE } from '../../utils/teamScope.js';
 
 /**
  * Main popup component that manages the application state
@@ -36,7 +53,14 @@ const Popup = () => {
   const [currentOpportunityId, setCurrentOpportunityId] = useState(null);
   const [currentOpportunity, setCurrentOpportunity] = useState(null);
   const [activities, setActivities] = useState([]);
+  const [notes, setNotes] = useState([]);
   const [closedOpportunities, setClosedOpportunities] = useState([]);
+  const [currentAccountId, setCurrentAccountId] = useState(null);
+  const [accountData, setAccountData] = useState(null);
+  const [currentLeadId, setCurrentLeadId] = useState(null);
+  const [leadData, setLeadData] = useState(null);
+  // Form type and unsaved changes of the opportunity form open in the tab, as the content script reports them
+  const [detectedForm, setDetectedForm] = useState(null);
   const lastFetchedOpportunityRef = useRef(null);
 
   
@@ -47,6 +71,16 @@ const Popup = () => {
   const [debugInfo, setDebugInfo] = useState(null);
   const [organizationId, setOrganizationId] = useState(null);
   const [isLoggingOut, setIsLoggingOut] = useState(false);
+  const [throttleState, setThrottleState] = useState(getThrottleState());
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [currencySettings, setCurrencySettings] = useState(null);
+  const [currencyDisplay, setCurrencyDisplayState] = useState(CURRENCY_DISPLAY.TRANSACTION);
+  const [opportunityChoices, setOpportunityChoices] = useState(null);
+  const [winRateExclusions, setWinRateExclusionsState] = useState([]);
+  const [editNotice, setEditNotice] = useState(null);
+  const [ownerScope, setOwnerScope] = useState(DEFAULT_SCOPE);
+  const [listView, setListView] = useState(null);
   
   // Refs for state management
   const stateTransitionLock = useRef(false);
@@ -91,6 +125,12 @@ const Popup = () => {
       const subStatus = await getSubscriptionStatus();
       setSubscription(subStatus);
       
+      // Team scopes are a Team plan feature; drop back to the user's own deals otherwise
+      if (!hasFeatureAccess(TEAM_SCOPE_FEATURE, subStatus.status) && isTeamScope(await getScopeSetting())) {
+        await setScopeSetting(DEFAULT_SCOPE);
+        setOwnerScope(DEFAULT_SCOPE);
+      }
+      
       chrome.storage.local.set({
         subscriptionStatus: subStatus.status,
         subscriptionEndDate: subStatus.endDate
@@ -160,7 +200,8 @@ const Popup = () => {
             (isLoading) => setLoading(isLoading),
             setError,
             setCurrentOpportunity,
-            setActivities
+            setActivities,
+            setNotes
           );
                     
           // Also fetch closed opportunities for analytics in the background
@@ -272,6 +313,9 @@ useEffect(() => {
         const userData = await getCurrentUser();
         setUser(userData);
         
+        // Show when the cached data was last synced
+        getLastSyncedAt(await getCacheScope()).then(setLastSyncedAt);
+        
         try {
           // Try to initialize subscriptions but don't fail if it doesn't work
           await initializeSubscriptions();
@@ -288,6 +332,13 @@ useEffect(() => {
           if (oppId) {
             setCurrentOpportunityId(oppId); // ✅ Triggers the centralized fetch logic in useEffect
           } else {
+            // Account and lead forms open their own views (fetched by their own effects)
+            const { currentRecord } = await chrome.storage.local.get(['currentRecord']);
+            if (currentRecord?.entityType === 'account') {
+              setCurrentAccountId(currentRecord.id);
+            } else if (currentRecord?.entityType === 'lead') {
+              setCurrentLeadId(currentRecord.id);
+            }
             await handleFetchOpportunities(accessToken);
           }
           
@@ -309,7 +360,8 @@ useEffect(() => {
                   (isLoading) => setLoading(isLoading),
                   setError,
                   setCurrentOpportunity,
-                  setActivities
+                  setActivities,
+                  setNotes
                 );
 
                 lastOpportunityIdRef.current = oppId;
@@ -405,8 +457,21 @@ useEffect(() => {
       return;
     }
     
+    if (message.type === "RECORD_DETECTED") {
+      setDetectedForm(null);
+      // Only accounts and leads have their own views; other record types keep the list
+      setCurrentAccountId(message.entityType === 'account' ? message.recordId : null);
+      setCurrentLeadId(message.entityType === 'lead' ? message.recordId : null);
+      return;
+    }
+    
     if (message.type === "OPPORTUNITY_DETECTED") {
+      setCurrentAccountId(null);
+      setCurrentLeadId(null);
       const newId = message.opportunityId;
+      const form = message.form ? { ...message.form, opportunityId: newId?.toLowerCase() } : null;
+      // Reported on every poll, so only update when the form state actually changed
+      setDetectedForm(previous => (JSON.stringify(previous) === JSON.stringify(form) ? previous : form));
       if (
         newId &&
         newId !== currentOpportunityId &&
@@ -418,6 +483,10 @@ useEffect(() => {
     }
     
     if (message.type === "OPPORTUNITY_CLEARED") {
+      setDetectedForm(null);
+      setCurrentAccountId(null);
+      setCurrentLeadId(null);
+      
       // Prevent immediate re-fetch if already in list view
       if (!currentOpportunityId && !currentOpportunity) {
         return;
@@ -478,6 +547,58 @@ useEffect(() => {
     
   }, [accessToken, currentOpportunityId]);
   
+  // Load the account lens when an account form is open
+  useEffect(() => {
+    if (!accessToken || !currentAccountId) {
+      setAccountData(null);
+      return;
+    }
+    
+    fetchAccountLens(accessToken, currentAccountId, setLoading, setError, setAccountData);
+  }, [accessToken, currentAccountId]);
+  
+  // Load the lead detail when a lead form is open
+  useEffect(() => {
+    if (!accessToken || !currentLeadId) {
+      setLeadData(null);
+      return;
+    }
+    
+    fetchLeadDetails(accessToken, currentLeadId, setLoading, setError, setLeadData);
+  }, [accessToken, currentLeadId]);
+  
+  // Track API scheduler state for the debug panel
+  useEffect(() => {
+    return subscribeToThrottleState(setThrottleState);
+  }, []);
+
+  // Load the organization's currencies and the user's display preference
+  useEffect(() => {
+    getCurrencyDisplay().then(setCurrencyDisplayState);
+    getScopeSetting().then(setOwnerScope);
+    getViewSetting().then(setListView);
+    getWinRateExclusions().then(setWinRateExclusionsState);
+    
+    if (!accessToken) return;
+    
+    fetchCurrencySettings(accessToken)
+      .then(setCurrencySettings)
+      .catch((err) => {
+        console.warn("[Popup] Could not load currency settings:", err?.message || err);
+      });
+  }, [accessToken, organizationId]);
+
+  // Load opportunity choice labels (status reasons, sales stages, custom choices)
+  useEffect(() => {
+    if (!accessToken) return;
+    
+    fetchEntityChoices(accessToken, 'opportunity')
+      .then(setOpportunityChoices)
+      .catch((err) => {
+        console.warn("[Popup] Could not load opportunity metadata:", err?.message || err);
+      });
+  }, [accessToken, organizationId]);
+
   // Set up styling for the app container
   useEffect(() => {
     // Set title
@@ -501,22 +622,62 @@ useEffect(() => {
     }
   }, []);
 
+  /**
+   * Render cached data for an entity if there is any
+   * @returns {Promise<boolean>} Whether cached data was found
+   */
+  const showCachedData = async (scope, entity, setData) => {
+    const cached = await readCache(scope, entity);
+    if (!cached) return false;
+    
+    setData(cached.data);
+    setLastSyncedAt(previous => previous || cached.syncedAt);
+    return true;
+  };
+
+  /**
+   * Wrap a state setter so fresh data is also written to the cache
+   */
+  const cacheResult = (scope, entity, setData) => (data) => {
+    setData(data);
+    writeCache(scope, entity, data).then(syncedAt => {
+      if (syncedAt) setLastSyncedAt(syncedAt);
+    });
+  };
+
+  /**
+   * Cache entity name for a list, kept apart per owner scope and, for the open list, per view
+   * @returns {Promise<string>} Entity name
+   */
+  const getScopedEntity = async (entity) => {
+    const scopeSuffix = getScopeCacheSuffix(await getScopeSetting());
+    const viewSuffix = entity === 'openOpportunities' ? getViewCacheSuffix(await getViewSetting()) : '';
+    return `${entity}${scopeSuffix}${viewSuffix}`;
+  };
+
   /**
    * Fetch closed opportunities and set state
    */
   const handleFetchClosedOpportunities = async (token) => {
     try {
+      const scope = await getCacheScope();
+      const entity = await getScopedEntity('closedOpportunities');
+      const hasCachedData = await showCachedData(scope, entity, setClosedOpportunities);
+
+      setIsSyncing(true);
       await fetchClosedOpportunities(
         token,
-        setLoading,
+        hasCachedData ? null : setLoading,
         setError,
-        setClosedOpportunities
+        cacheResult(scope, entity, setClosedOpportunities)
       );
       // Need to use setTimeout because state updates are asynchronous
       setTimeout(() => {
       }, 100);
     } catch (error) {
       console.error("Error fetching closed opportunities:", error);
+    } finally {
+      setIsSyncing(false);
     }
   };
 
@@ -532,18 +693,25 @@ useEffect(() => {
       
       stateTransitionLock.current = true;
       
+      // Render cached opportunities instantly, then revalidate in the background
+      const scope = await getCacheScope();
+      const entity = await getScopedEntity('openOpportunities');
+      const hasCachedData = await showCachedData(scope, entity, setOpportunities);
+      
       // Call the utility function with all required state setters
+      setIsSyncing(true);
       await fetchOpportunitiesWithActivities(
         token, 
-        setLoading, 
+        hasCachedData ? () => {} : setLoading, 
         setError, 
-        setOpportunities, 
+        cacheResult(scope, entity, setOpportunities), 
         setDebugInfo
       );
     } catch (error) {
       console.error("Error fetching opportunities:", error);
       setError(`Failed to fetch opportunities list: ${error.message}`);
     } finally {
+      setIsSyncing(false);
       stateTransitionLock.current = false;
     }
   };
@@ -567,11 +735,12 @@ useEffect(() => {
         await handleFetchOpportunityDetails(accessToken, currentOpportunityId);
       } else {
         // Otherwise refresh the opportunities list
+        const scope = await getCacheScope();
         await fetchOpportunitiesWithActivities(
           accessToken, 
           setLoading, 
           setError, 
-          setOpportunities, 
+          cacheResult(scope, await getScopedEntity('openOpportunities'), setOpportunities), 
           setDebugInfo
         );
       }
@@ -697,22 +866,18 @@ useEffect(() => {
   const handleOpportunitySelect = async (opportunityId) => {
     try {
       
-      // Get all tabs and find the Dynamics CRM tab
-      const tabs = await chrome.tabs.query({ url: "*://*.crm.dynamics.com/*" });
+      // Find the Dynamics CRM tab for the current environment
+      const crmTab = await findDynamicsTab(organizationId);
       
-      if (!tabs || tabs.length === 0) {
+      if (!crmTab) {
         setError("No Dynamics Sales tab found");
         return;
       }
       
-      // Assume the first CRM tab is the one we want to navigate
-      const crmTab = tabs[0];
-      
-      // Extract the base URL from the CRM tab
-      const baseUrl = crmTab.url.match(/(https:\/\/[^\/]+)/)[1];
-      
-      // Construct the opportunity URL
-      const opportunityUrl = `${baseUrl}/main.aspx?etn=opportunity&pagetype=entityrecord&id=${opportunityId}`;
+      // Construct the opportunity URL on the tab's own host
+      const crmHost = parseDynamicsHost(crmTab.url, await getCustomDynamicsHosts());
+      const appId = extractAppIdFromUrl(crmTab.url) || await getAppId(crmHost);
+      const opportunityUrl = getRecordUrl(crmHost, 'opportunity', opportunityId, appId);
             
       // Update the CRM tab with the new URL - this navigates the tab to the opportunity
       await chrome.tabs.update(crmTab.id, { url: opportunityUrl, active: true });
@@ -726,6 +891,30 @@ useEffect(() => {
     }
   };
 
+  /**
+   * Handle lead selection by navigating the main CRM tab to the lead
+   */
+  const handleLeadSelect = async (leadId) => {
+    try {
+      const crmTab = await findDynamicsTab(organizationId);
+      
+      if (!crmTab) {
+        setError("No Dynamics Sales tab found");
+        return;
+      }
+      
+      const crmHost = parseDynamicsHost(crmTab.url, await getCustomDynamicsHosts());
+      const appId = extractAppIdFromUrl(crmTab.url) || await getAppId(crmHost);
+      
+      // The content script reports the lead form, which opens the lead detail view
+      await chrome.tabs.update(crmTab.id, { url: getRecordUrl(crmHost, 'lead', leadId, appId), active: true });
+      
+    } catch (error) {
+      console.error("[Popup.jsx] Error navigating to lead:", error);
+      setError(`Could not navigate to lead: ${error.message}`);
+    }
+  };
+
   /**
    * Handle logout action with state updates
    */
@@ -752,7 +941,11 @@ useEffect(() => {
       setCurrentOpportunityId(null);
       setCurrentOpportunity(null);
       setOpportunities([]);
+      setEditNotice(null);
+      setCurrentAccountId(null);
+      setCurrentLeadId(null);
       setActivities([]);
+      setNotes([]);
       setClosedOpportunities([]);
       lastOpportunityIdRef.current = null;
       
@@ -778,22 +971,19 @@ useEffect(() => {
   const handleBackToList = async () => {
     try {
       
-      // Get all tabs and find the Dynamics CRM tab
-      const tabs = await chrome.tabs.query({ url: "*://*.crm.dynamics.com/*" });
+      // Find the Dynamics CRM tab for the current environment
+      const crmTab = await findDynamicsTab(organizationId);
       
-      if (!tabs || tabs.length === 0) {
+      if (!crmTab) {
         setError("No Dynamics Sales tab found");
         return;
       }
       
-      // Assume the first CRM tab is the one we want to navigate
-      const crmTab = tabs[0];
-      
-      // Extract the base URL from the CRM tab
-      const baseUrl = crmTab.url.match(/(https:\/\/[^\/]+)/)[1];
-      
-      // Construct the opportunities list URL
-      const opportunitiesUrl = `${baseUrl}/main.aspx?pagetype=entitylist&etn=opportunity&viewid=00000000-0000-0000-00AA-000010001003&viewtype=1039`;
+      // Construct the opportunities list URL on the tab's own host
+      const crmHost = parseDynamicsHost(crmTab.url, await getCustomDynamicsHosts());
+      const appId = extractAppIdFromUrl(crmTab.url) || await getAppId(crmHost);
+      const appParam = appId ? `appid=${appId}&` : '';
+      const opportunitiesUrl = `https://${crmHost}/main.aspx?${appParam}pagetype=entitylist&etn=opportunity&viewid=00000000-0000-0000-00AA-000010001003&viewtype=1039`;
             
       // Update the CRM tab with the new URL - this navigates the tab to the opportunities list
       await chrome.tabs.update(crmTab.id, { url: opportunitiesUrl, active: true });
@@ -802,11 +992,13 @@ useEffect(() => {
       stateTransitionLock.current = true;
       
       // Clear storage and state
-      await chrome.storage.local.remove(["currentOpportunityId", "lastUpdated"]);
+      await chrome.storage.local.remove(["currentOpportunityId", "lastUpdated", "currentRecord"]);
       
       // Reset all relevant states
       setCurrentOpportunity(null);
       setCurrentOpportunityId(null);
+      setCurrentAccountId(null);
+      setCurrentLeadId(null);
       lastOpportunityIdRef.current = null;
       
       // Fetch opportunities after a short delay to ensure clean state
@@ -842,6 +1034,184 @@ useEffect(() => {
     });
   };
 
+  /**
+   * Switch between record currency and base currency display
+   */
+  const changeCurrencyDisplay = (display) => {
+    setCurrencyDisplayState(display);
+    setCurrencyDisplay(display);
+  };
+
+  /**
+   * Change which lost reasons are left out of the win rate
+   */
+  const changeWinRateExclusions = (statusCodes) => {
+    setWinRateExclusionsState(statusCodes);
+    setWinRateExclusions(statusCodes);
+  };
+
+  /**
+   * Switch whose opportunities the list covers and reload both lists
+   */
+  const changeOwnerScope = async (scope) => {
+    setOwnerScope(scope);
+    await setScopeSetting(scope);
+    
+    // The team scope needs a team before there is anything to load
+    if (scope.type === SCOPE_TYPES.TEAM && !scope.teamId) return;
+    
+    setOpportunities([]);
+    setClosedOpportunities([]);
+    await handleFetchOpportunities(accessToken);
+    await handleFetchClosedOpportunities(accessToken);
+  };
+
+  /**
+   * Switch the Dynamics view the open list runs and reload it
+   */
+  const changeListView = async (view) => {
+    setListView(view);
+    await setViewSetting(view);
+    
+    setOpportunities([]);
+    await handleFetchOpportunities(accessToken);
+  };
+
+  /**
+   * Save a quick-log entry, showing it in the timeline while it saves
+   */
+  const handleQuickLog = async (type, values) => {
+    const opportunityId = currentOpportunity?.opportunityid;
+    const pendingActivity = buildPendingActivity(type, values);
+    // Notes only show in the timeline; they don't count as activities
+    const isNote = type === QUICK_LOG_TYPES.NOTE;
+    const setEntries = isNote ? setNotes : setActivities;
+
+    setEntries(previous => [pendingActivity, ...(previous || [])]);
+
+    try {
+      const savedActivity = await saveQuickLogEntry(accessToken, opportunityId, type, values);
+
+      setEntries(previous => (previous || []).map(activity =>
+        activity.activityid === pendingActivity.activityid ? savedActivity : activity
+      ));
+
+      // Keep the list's last-activity dates in step with the detail view
+      if (!isNote) {
+        setOpportunities(previous => (Array.isArray(previous) ? previous.map(opp =>
+          opp.opportunityid === opportunityId
+            ? { ...opp, activities: [savedActivity, ...(opp.activities || [])] }
+            : opp
+        ) : previous));
+      }
+    } catch (err) {
+      // Roll back the optimistic entry
+      setEntries(previous => (previous || []).filter(activity =>
+        activity.activityid !== pendingActivity.activityid
+      ));
+      throw err;
+    }
+  };
+
+  /**
+   * Merge saved fields into the opportunity wherever it is shown
+   */
+  const applyOpportunityUpdate = (opportunityId, record) => {
+    const merge = (opp) => (opp?.opportunityid === opportunityId ? { ...opp, ...record } : opp);
+
+    setCurrentOpportunity(previous => merge(previous));
+    setOpportunities(previous => (Array.isArray(previous) ? previous.map(merge) : previous));
+  };
+
+  /**
+   * Save inline edits of an opportunity, guarded by its ETag
+   */
+  const saveOpportunityChanges = async (opportunityId, changes, { etag, previous, isUndo = false } = {}) => {
+    const opportunity = currentOpportunity?.opportunityid === opportunityId
+      ? currentOpportunity
+      : (Array.isArray(opportunities) ? opportunities : []).find(opp => opp?.opportunityid === opportunityId);
+    const opportunityName = opportunity?.name || 'the opportunity';
+    const fields = Object.keys(changes);
+    const previousValues = previous || pickEditableValues(opportunity, fields);
+
+    try {
+      const result = await updateOpportunityFields(accessToken, opportunityId, changes, etag || opportunity?.['@odata.etag']);
+
+      if (result.conflict) {
+        setEditNotice({
+          type: 'conflict',
+          opportunityId,
+          opportunityName,
+          changes,
+          current: pickEditableValues(result.record, fields),
+          record: result.record,
+          modifiedBy: result.record['_modifiedby_value@OData.Community.Display.V1.FormattedValue']
+        });
+        return;
+      }
+
+      applyOpportunityUpdate(opportunityId, result.record);
+      setEditNotice(isUndo ? null : { type: 'undo', opportunityId, opportunityName, previous: previousValues });
+    } catch (err) {
+      console.error("[Popup.jsx] Error updating opportunity:", err);
+      setError(`Failed to update opportunity: ${err.message}`);
+    }
+  };
+
+  /**
+   * Restore the values from before the last inline edit
+   */
+  const handleUndoEdit = () => {
+    if (editNotice?.type !== 'undo') return;
+    saveOpportunityChanges(editNotice.opportunityId, editNotice.previous, { isUndo: true });
+  };
+
+  /**
+   * Save the rep's values over a change someone else made
+   */
+  const handleOverwriteConflict = () => {
+    if (editNotice?.type !== 'conflict') return;
+
+    const { opportunityId, changes, record } = editNotice;
+    applyOpportunityUpdate(opportunityId, record);
+    saveOpportunityChanges(opportunityId, changes, {
+      etag: record['@odata.etag'],
+      previous: pickEditableValues(record, Object.keys(changes))
+    });
+  };
+
+  /**
+   * Drop the rep's values and show the other change
+   */
+  const handleKeepTheirs = () => {
+    if (editNotice?.type !== 'conflict') return;
+
+    applyOpportunityUpdate(editNotice.opportunityId, editNotice.record);
+    setEditNotice(null);
+  };
+
+  /**
+   * Close the current opportunity and move it from the open list to the closed one
+   */
+  const handleCloseOpportunity = async (values) => {
+    const opportunityId = currentOpportunity?.opportunityid;
+    const closedOpportunity = await closeOpportunity(accessToken, currentOpportunity, values);
+
+    setCurrentOpportunity(previous => (
+      previous?.opportunityid === opportunityId ? { ...previous, ...closedOpportunity } : previous
+    ));
+    setOpportunities(previous => (
+      Array.isArray(previous) ? previous.filter(opp => opp?.opportunityid !== opportunityId) : previous
+    ));
+    setClosedOpportunities(previous => [
+      closedOpportunity,
+      ...(previous || []).filter(opp => opp.opportunityid !== opportunityId)
+    ]);
+
+    // Closed records are read-only, so an undo would fail
+    setEditNotice(previous => (previous?.opportunityId === opportunityId ? null : previous));
+  };
+
   /**
    * Check if feature is available for current subscription
    */
@@ -849,6 +1219,31 @@ useEffect(() => {
     return hasFeatureAccess(featureName, subscription?.status || 'free');
   };
 
+  /**
+   * Treat the active tab's domain as a custom Dynamics domain
+   */
+  const handleAddCustomDomain = async () => {
+    try {
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      
+      if (!activeTab?.url) {
+        setError("Could not read the address of the current tab.");
+        return;
+      }
+      
+      const host = await addCustomDynamicsHost(activeTab.url);
+      if (!host) {
+        setError("Lens needs access to this site to use it as your Dynamics environment.");
+        return;
+      }
+      
+      await checkCrmTabStatus();
+    } catch (error) {
+      console.error("[Popup.jsx] Error adding custom domain:", error);
+      setError(`Could not add this site: ${error.message}`);
+    }
+  };
+
   /**
    * Render appropriate content based on app state
    */
@@ -874,6 +1269,22 @@ useEffect(() => {
             >
               Refresh Status
             </button>
+            <p style={{ marginTop: "24px", fontSize: "12px", color: "#666" }}>
+              Using a custom domain for Dynamics?
+            </p>
+            <button 
+              onClick={handleAddCustomDomain}
+              style={{
+                padding: "8px 14px",
+                backgroundColor: "white",
+                color: "#0078d4",
+                border: "1px solid #0078d4",
+                borderRadius: "4px",
+                cursor: "pointer"
+              }}
+            >
+              Use this site as my Dynamics environment
+            </button>
           </div>
         );
       }
@@ -886,7 +1297,7 @@ useEffect(() => {
             <p>Please navigate to your Dynamics Sales environment first to use this extension.</p>
             <p>The extension will automatically detect your organization ID from the URL.</p>
             <p style={{ marginTop: "20px", fontWeight: "bold" }}>
-              Your URL should look like: https://yourorgname.crm.dynamics.com/...
+              Your URL should look like: https://yourorgname.crm.dynamics.com/... (or crm4, crm5, crm11 and other regional hosts)
             </p>
             <button 
               onClick={() => window.open("https://make.powerapps.com/environments", "_blank")}
@@ -936,16 +1347,63 @@ useEffect(() => {
           <OpportunityDetail 
             opportunity={currentOpportunity}
             activities={activities || []}
+            notes={notes}
             closedOpportunities={closedOpportunities || []}
             onBackClick={handleBackToList}
             toggleAutoOpen={toggleAutoOpen}
             autoOpen={autoOpen}
+            currency={{ settings: currencySettings, display: currencyDisplay }}
+            onCurrencyDisplayChange={changeCurrencyDisplay}
+            choices={opportunityChoices}
+            accessToken={accessToken}
+            onQuickLog={handleQuickLog}
+            onOpportunityUpdate={saveOpportunityChanges}
+            formState={detectedForm?.opportunityId === currentOpportunity.opportunityid?.toLowerCase() ? detectedForm : null}
+            onCloseOpportunity={handleCloseOpportunity}
             onLogout={handleLogout}
             onFetchMyOpenOpportunities={handleRefresh}
             isLoggingOut={isLoggingOut}
             subscription={subscription}
             canUseFeature={canUseFeature}
             user={user}
+            lastSyncedAt={lastSyncedAt}
+            isSyncing={isSyncing}
+          />
+        );
+      }
+    
+      if (currentAccountId) {
+        return (
+          <AccountLens
+            accountData={accountData}
+            loading={loading}
+            onBackClick={handleBackToList}
+            onLogout={handleLogout}
+            isLoggingOut={isLoggingOut}
+            onOpportunitySelect={handleOpportunitySelect}
+            currency={{ settings: currencySettings, display: currencyDisplay }}
+            onCurrencyDisplayChange={changeCurrencyDisplay}
+            choices={opportunityChoices}
+            winRateExclusions={winRateExclusions}
+            subscription={subscription}
+            lastSyncedAt={lastSyncedAt}
+            isSyncing={isSyncing}
+          />
+        );
+      }
+    
+      if (currentLeadId) {
+        return (
+          <LeadDetail
+            leadData={leadData}
+            loading={loading}
+            onBackClick={handleBackToList}
+            onLogout={handleLogout}
+            isLoggingOut={isLoggingOut}
+            accessToken={accessToken}
+            subscription={subscription}
+            lastSyncedAt={lastSyncedAt}
+            isSyncing={isSyncing}
           />
         );
       }
@@ -992,15 +1450,28 @@ useEffect(() => {
           loading={loading}
           onLogout={handleLogout}
           onOpportunitySelect={handleOpportunitySelect}
+          onLeadSelect={handleLeadSelect}
           isLoggingOut={isLoggingOut}
           closedOpportunities={closedOpportunities}
           toggleAutoOpen={toggleAutoOpen}
           autoOpen={autoOpen}
+          currency={{ settings: currencySettings, display: currencyDisplay }}
+          onCurrencyDisplayChange={changeCurrencyDisplay}
+          ownerScope={ownerScope}
+          onOwnerScopeChange={changeOwnerScope}
+          listView={listView}
+          onListViewChange={changeListView}
+          winRateExclusions={winRateExclusions}
+          onWinRateExclusionsChange={changeWinRateExclusions}
+          choices={opportunityChoices}
           accessToken={accessToken}
+          onOpportunityUpdate={saveOpportunityChanges}
           onFetchMyOpenOpportunities={handleRefresh}
           subscription={subscription}
           canUseFeature={canUseFeature}
           user={user}
+          lastSyncedAt={lastSyncedAt}
+          isSyncing={isSyncing}
         />
       );
     } catch (renderError) {
@@ -1023,6 +1494,14 @@ useEffect(() => {
         message={error} 
         onDismiss={() => setError(null)} 
       />
+      
+      <EditNotice
+        notice={editNotice}
+        onUndo={handleUndoEdit}
+        onOverwrite={handleOverwriteConflict}
+        onKeepTheirs={handleKeepTheirs}
+        onDismiss={() => setEditNotice(null)}
+      />
 
 {renderContent()}
       
@@ -1050,6 +1529,10 @@ useEffect(() => {
           <div>Loading: {loading ? 'Yes' : 'No'}</div>
           <div>Opps: {opportunities.length}</div>
           <div>Closed Opps: {closedOpportunities.length}</div>
+          <div>API Requests: {throttleState.activeRequests} active, {throttleState.queuedRequests} queued</div>
+          <div>Throttled: {throttleState.isThrottled ? `Until ${new Date(throttleState.throttledUntil).toLocaleTimeString()}` : 'No'}</div>
+          <div>Last Throttle: {throttleState.lastThrottleAt ? `${throttleState.lastThrottleStatus} at ${new Date(throttleState.lastThrottleAt).toLocaleTimeString()}` : 'None'}</div>
+          <div>API Retries: {throttleState.retryCount}</div>
         </details>
       </div>
     </div>
@@ -0,0 +1,160 @@
+/**
+ * Utility functions for the account lens
+ *
+ * When the user is on an account form, the panel shows every opportunity of
+ * the account regardless of owner, the account's contacts, and the
+ * activities on the account, its opportunities and those contacts.
+ */
+
+import { fetchAllPages, webApiFetch, buildHeaders, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl, fetchActivitiesForOpportunities } from './opportunityUtils';
+import { sumBaseAmounts } from './currencyUtils';
+import { getActivityDate } from './activityUtils';
+
+// Open and closed opportunities come back in one query, so select the columns of both lists
+const ACCOUNT_OPPORTUNITY_QUERY = '$select=name,opportunityid,_customerid_value,_ownerid_value,createdon,statecode,statuscode,salesstage,stepname,estimatedvalue,estimatedvalue_base,totalamount,totalamount_base,_transactioncurrencyid_value,exchangerate,estimatedclosedate,actualclosedate,closeprobability&$orderby=createdon desc';
+
+const ACCOUNT_SELECT = 'accountid,name,createdon,_primarycontactid_value,telephone1,websiteurl,address1_city';
+
+const CONTACT_SELECT = 'contactid,fullname,jobtitle,emailaddress1,telephone1';
+
+/**
+ * Fetch the account record
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object>} Account
+ */
+const fetchAccount = async (token, baseUrl, accountId) => {
+  const response = await webApiFetch(
+    `${baseUrl}/accounts(${accountId})?$select=${ACCOUNT_SELECT}`,
+    { headers: buildHeaders(token, { prefer: [INCLUDE_LOOKUP_ANNOTATIONS] }) },
+    { context: "fetch account" }
+  );
+
+  if (response.status === 401) {
+    throw new Error("[AccountUtil] Authentication failed. Please log in again.");
+  }
+
+  if (!response.ok) {
+    throw new Error(`[AccountUtil] Failed to fetch account: ${response.status}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Fetch the active contacts of an account, primary contact first
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {Object} account - Account with _primarycontactid_value
+ * @returns {Promise<Array>} Contacts with an isPrimary flag
+ */
+const fetchAccountContacts = async (token, baseUrl, account) => {
+  const contacts = await fetchAllPages(
+    `${baseUrl}/contacts?$filter=_parentcustomerid_value eq ${account.accountid} and statecode eq 0&$select=${CONTACT_SELECT}&$orderby=fullname`,
+    token,
+    { context: "fetch account contacts" }
+  );
+
+  const primaryId = account._primarycontactid_value?.toLowerCase();
+  return contacts
+    .map(contact => ({ ...contact, isPrimary: contact.contactid.toLowerCase() === primaryId }))
+    .sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary));
+};
+
+/**
+ * Summarize an account's opportunities
+ * @param {Array} openOpportunities - Open opportunities of the account
+ * @param {Array} closedOpportunities - Closed opportunities of the account
+ * @returns {{openCount: number, pipeline: number, wonCount: number, closedCount: number, winRate: number, wonRevenue: number}} Account totals in base currency
+ */
+export const summarizeAccount = (openOpportunities = [], closedOpportunities = []) => {
+  const won = closedOpportunities.filter(opp => Number(opp.statecode) === 1);
+
+  return {
+    openCount: openOpportunities.length,
+    pipeline: sumBaseAmounts(openOpportunities, 'estimatedvalue'),
+    wonCount: won.length,
+    closedCount: closedOpportunities.length,
+    winRate: closedOpportunities.length > 0 ? Math.round((won.length / closedOpportunities.length) * 100) : 0,
+    wonRevenue: sumBaseAmounts(won, 'totalamount')
+  };
+};
+
+/**
+ * Fetch everything the account lens shows
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} accountId - ID of the account
+ * @param {Function} setLoading - State setter for loading indicator
+ * @param {Function} setError - State setter for error message
+ * @param {Function} setAccountData - State setter for { account, openOpportunities, closedOpportunities, activities, contacts }
+ * @returns {Promise<void>}
+ */
+export const fetchAccountLens = async (token, accountId, setLoading, setError, setAccountData) => {
+  try {
+    setLoading(true);
+    setError(null);
+
+    const baseUrl = await getDynamicsBaseUrl();
+    if (!baseUrl) {
+      throw new Error("[AccountUtil][fetchAccountLens] Cannot fetch account: Organization ID not found. Please navigate to Dynamics CRM first.");
+    }
+
+    const account = await fetchAccount(token, baseUrl, accountId);
+
+    // Every owner's deals count towards the account picture
+    const opportunities = await fetchAllPages(
+      `${baseUrl}/opportunities?$filter=_customerid_value eq ${accountId}&${ACCOUNT_OPPORTUNITY_QUERY}`,
+      token,
+      { prefer: [INCLUDE_LOOKUP_ANNOTATIONS], context: "fetch account opportunities" }
+    );
+
+    let contacts = [];
+    try {
+      contacts = await fetchAccountContacts(token, baseUrl, account);
+    } catch (contactsError) {
+      if (contactsError.message.includes("Authentication failed")) {
+        throw contactsError;
+      }
+      // Show the rest of the account rather than failing completely
+      console.error("[AccountUtil][fetchAccountLens] Error fetching contacts:", contactsError);
+    }
+
+    // Activities regarding the account itself, its opportunities and its contacts
+    const activitiesByRecord = await fetchActivitiesForOpportunities(
+      token,
+      [
+        accountId,
+        ...opportunities.map(opp => opp.opportunityid),
+        ...contacts.map(contact => contact.contactid)
+      ]
+    );
+    const activities = Object.values(activitiesByRecord)
+      .flat()
+      .sort((a, b) => (getActivityDate(b)?.getTime() || 0) - (getActivityDate(a)?.getTime() || 0));
+
+    // Same shape as the opportunity list so the cards render as usual
+    const openOpportunities = opportunities
+      .filter(opp => opp.statecode === 0)
+      .map(opp => {
+        const opportunityActivities = activitiesByRecord[opp.opportunityid.toLowerCase()] || [];
+        return {
+          ...opp,
+          customerid_account: { name: account.name },
+          activities: opportunityActivities,
+          lastActivity: opportunityActivities.length > 0 ? opportunityActivities[0].createdon : null
+        };
+      });
+    const closedOpportunities = opportunities
+      .filter(opp => opp.statecode !== 0 && opp.actualclosedate)
+      .sort((a, b) => new Date(b.actualclosedate) - new Date(a.actualclosedate));
+
+    setAccountData({ account, openOpportunities, closedOpportunities, activities, contacts });
+  } catch (error) {
+    console.error("[AccountUtil][fetchAccountLens] Error fetching account:", error);
+    setError(`Failed to fetch account: ${error.message}`);
+  } finally {
+    setLoading(false);
+  }
+};
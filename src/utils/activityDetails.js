@@ -0,0 +1,132 @@
+/**
+ * Full activity records for the activity detail drawer
+ *
+ * The timeline only loads the columns shared by every activity type. When a
+ * rep opens an entry, the type-specific record and its notes are fetched once
+ * and kept for the rest of the session.
+ */
+
+import { fetchAllPages, webApiFetch, buildHeaders, readErrorText, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+
+// Entity set and columns to load for each activity type
+const ACTIVITY_DETAIL_QUERIES = {
+  email: {
+    entitySet: 'emails',
+    select: 'subject,description,directioncode,sender,torecipients,statuscode,actualend,createdon'
+  },
+  phonecall: {
+    entitySet: 'phonecalls',
+    select: 'subject,description,directioncode,phonenumber,statuscode,scheduledend,actualdurationminutes,createdon'
+  },
+  task: {
+    entitySet: 'tasks',
+    select: 'subject,description,scheduledend,statecode,statuscode,prioritycode,percentcomplete,createdon'
+  },
+  appointment: {
+    entitySet: 'appointments',
+    select: 'subject,description,location,scheduledstart,scheduledend,isalldayevent,statecode,statuscode,createdon'
+  },
+  note: {
+    entitySet: 'annotations',
+    select: 'subject,notetext,filename,filesize,isdocument,createdon,_createdby_value'
+  }
+};
+
+const DEFAULT_DETAIL_QUERY = {
+  entitySet: 'activitypointers',
+  select: 'subject,description,activitytypecode,scheduledstart,scheduledend,statecode,statuscode,createdon'
+};
+
+// Activity details fetched this session, keyed by activity ID
+const detailsByActivity = {};
+
+/**
+ * Read the formatted value annotation of a column, falling back to the raw value
+ * @param {Object} record - Record returned with annotations
+ * @param {string} field - Column name
+ * @returns {string|null} Display value
+ */
+export const getFormattedValue = (record, field) => {
+  if (!record) return null;
+
+  const formatted = record[`${field}@OData.Community.Display.V1.FormattedValue`];
+  if (formatted) return formatted;
+
+  const value = record[field];
+  return value === undefined || value === null ? null : String(value);
+};
+
+/**
+ * Fetch the notes and attachments of a record
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {string} recordId - ID of the record the notes are attached to
+ * @returns {Promise<Array>} Notes, newest first
+ */
+const fetchAnnotations = async (token, baseUrl, recordId) => {
+  const url = `${baseUrl}/annotations?$filter=_objectid_value eq ${recordId}` +
+    `&$select=annotationid,subject,notetext,filename,filesize,mimetype,isdocument,createdon,_createdby_value&$orderby=createdon desc`;
+
+  return fetchAllPages(url, token, {
+    prefer: [INCLUDE_LOOKUP_ANNOTATIONS],
+    context: "fetch notes"
+  });
+};
+
+/**
+ * Fetch the full record and notes of an activity
+ * @param {string} token - Access token
+ * @param {Object} activity - Activity from the timeline (activityid and activitytypecode)
+ * @returns {Promise<{record: Object, notes: Array}>} Activity details
+ */
+export const fetchActivityDetails = async (token, activity) => {
+  const activityId = activity?.activityid;
+  if (!activityId) {
+    throw new Error("[ActivityDetails] No activity ID provided");
+  }
+
+  if (detailsByActivity[activityId]) return detailsByActivity[activityId];
+
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[ActivityDetails] Organization ID not found");
+  }
+
+  const query = ACTIVITY_DETAIL_QUERIES[activity.activitytypecode?.toLowerCase()] || DEFAULT_DETAIL_QUERY;
+  const response = await webApiFetch(
+    `${baseUrl}/${query.entitySet}(${activityId})?$select=${query.select}`,
+    { headers: buildHeaders(token, { prefer: [INCLUDE_LOOKUP_ANNOTATIONS] }) },
+    { context: "fetch activity details" }
+  );
+
+  if (response.status === 401) {
+    throw new Error("[ActivityDetails] Authentication failed. Please log in again.");
+  }
+
+  if (!response.ok) {
+    throw new Error(`[ActivityDetails] Failed to fetch activity: ${response.status} ${await readErrorText(response)}`);
+  }
+
+  const record = await response.json();
+
+  // Notes are timeline entries too, but can't have notes of their own
+  if (query.entitySet === 'annotations') {
+    const details = { record: { ...record, description: record.notetext }, notes: [] };
+    detailsByActivity[activityId] = details;
+    return details;
+  }
+
+  let notes = [];
+  try {
+    notes = await fetchAnnotations(token, baseUrl, activityId);
+  } catch (error) {
+    // Notes are secondary; show the activity even if they can't be read
+    console.warn("[ActivityDetails] Could not fetch notes:", error);
+  }
+
+  const details = { record, notes };
+  detailsByActivity[activityId] = details;
+
+  return details;
+};
@@ -7,6 +7,7 @@ import {
   PiCheckSquare, 
   PiNotePencil 
 } from "react-icons/pi";
+import { getBaseAmount } from './currencyUtils';
 
 /**
  * Convert activity type codes to user-friendly labels
@@ -22,6 +23,7 @@ export const getActivityLabel = (type) => {
     case 'email': return "Email";
     case 'phonecall': return "Phone Call";
     case 'task': return "Task";
+    case 'note': return "Note";
     default: return `Activity (${type})`;
   }
 };
@@ -41,6 +43,7 @@ export const getPluralLabel = (label, count) => {
     case "Email": return "Emails";
     case "Phone Call": return "Phone Calls";
     case "Task": return "Tasks";
+    case "Note": return "Notes";
     default: return `${label}s`;
   }
 };
@@ -247,8 +250,9 @@ export const sortOpportunities = (opportunities, sortOption, sortDirection = 'de
   
   switch (sortOption) {
     case 'value':
+      // Compare in base currency so deals in different currencies rank correctly
       sortedOpportunities = opportunitiesToSort.sort((a, b) => 
-        (b.estimatedvalue || 0) - (a.estimatedvalue || 0)
+        getBaseAmount(b, 'estimatedvalue') - getBaseAmount(a, 'estimatedvalue')
       );
       break;
       
@@ -301,4 +305,73 @@ export const sortOpportunities = (opportunities, sortOption, sortDirection = 'de
   }
   
   return sortedOpportunities;
-};
\ No newline at end of file
+};
+/**
+ * Participation roles of an activity party (participationtypemask)
+ */
+export const PARTICIPATION_ROLES = {
+  1: 'From',
+  2: 'To',
+  3: 'CC',
+  4: 'BCC',
+  5: 'Required',
+  6: 'Optional',
+  7: 'Organizer'
+};
+
+/**
+ * Turn the expanded activity parties of an activity into participants
+ *
+ * Parties that aren't linked to a record (e.g. an unresolved email address)
+ * fall back to the address used.
+ *
+ * @param {Array} parties - activity_pointer_activity_parties records
+ * @returns {Array<{key: string, name: string, entityType: string|null, roles: Array<string>}>} Participants, one per person
+ */
+export const normalizeActivityParties = (parties = []) => {
+  const participants = {};
+
+  parties.forEach(party => {
+    const role = PARTICIPATION_ROLES[party.participationtypemask];
+    if (!role) return;
+
+    const name = party['_partyid_value@OData.Community.Display.V1.FormattedValue'] || party.addressused;
+    if (!name) return;
+
+    const key = (party._partyid_value || party.addressused).toLowerCase();
+    if (!participants[key]) {
+      participants[key] = {
+        key,
+        name,
+        entityType: party['_partyid_value@Microsoft.Dynamics.CRM.lookuplogicalname'] || null,
+        roles: []
+      };
+    }
+
+    if (!participants[key].roles.includes(role)) {
+      participants[key].roles.push(role);
+    }
+  });
+
+  return Object.values(participants);
+};
+
+/**
+ * List everyone who took part in any of the given activities
+ * @param {Array} activities - Activities with participants
+ * @returns {Array<{key: string, name: string, count: number}>} Participants by number of activities
+ */
+export const getParticipantOptions = (activities = []) => {
+  const options = {};
+
+  activities.forEach(activity => {
+    (activity.participants || []).forEach(participant => {
+      if (!options[participant.key]) {
+        options[participant.key] = { key: participant.key, name: participant.name, count: 0 };
+      }
+      options[participant.key].count += 1;
+    });
+  });
+
+  return Object.values(options).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
@@ -0,0 +1,214 @@
+/**
+ * Quick-log writes from the side panel: phone calls, tasks and notes
+ *
+ * Each new record is created regarding the current opportunity and returned
+ * in the same shape as the activities loaded for the timeline, so callers can
+ * swap it in for the optimistic placeholder they showed while saving.
+ */
+
+import { webApiFetch, buildHeaders, readErrorText, getThrottleErrorMessage, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+
+export const QUICK_LOG_TYPES = {
+  PHONE_CALL: 'phonecall',
+  TASK: 'task',
+  NOTE: 'note'
+};
+
+// Phone call outcomes and the state each one saves the call in
+export const PHONE_CALL_OUTCOMES = {
+  completed: { label: 'Completed', completed: true, leftVoicemail: false },
+  voicemail: { label: 'Left voicemail', completed: true, leftVoicemail: true },
+  scheduled: { label: 'Scheduled', completed: false, leftVoicemail: false }
+};
+
+// Phone call status reasons: Made (outgoing) or Received (incoming)
+const PHONE_CALL_MADE = 2;
+const PHONE_CALL_RECEIVED = 4;
+
+export const TASK_PRIORITIES = {
+  0: 'Low',
+  1: 'Normal',
+  2: 'High'
+};
+
+/**
+ * Create a record and return its representation
+ * @param {string} token - Access token
+ * @param {string} entitySet - Entity set name (e.g. phonecalls)
+ * @param {Object} body - Record to create
+ * @param {string} context - Description of the request for error messages
+ * @returns {Promise<Object>} Created record
+ */
+const createRecord = async (token, entitySet, body, context) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[ActivityWrites] Organization ID not found");
+  }
+
+  const response = await webApiFetch(`${baseUrl}/${entitySet}`, {
+    method: 'POST',
+    headers: buildHeaders(token, { prefer: ['return=representation', INCLUDE_LOOKUP_ANNOTATIONS] }),
+    body: JSON.stringify(body)
+  }, { context });
+
+  if (response.status === 401) {
+    throw new Error("[ActivityWrites] Authentication failed. Please log in again.");
+  }
+
+  const throttleMessage = getThrottleErrorMessage(response, context);
+  if (throttleMessage) {
+    throw new Error(`[ActivityWrites] ${throttleMessage}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`[ActivityWrites] Failed to ${context}: ${response.status} ${await readErrorText(response)}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Convert an annotation into a timeline entry
+ * @param {Object} note - Annotation record
+ * @returns {Object} Timeline activity with the note text as its description
+ */
+export const toNoteActivity = (note) => ({
+  activityid: note.annotationid,
+  activitytypecode: QUICK_LOG_TYPES.NOTE,
+  subject: note.subject,
+  description: note.notetext,
+  createdon: note.createdon,
+  participants: []
+});
+
+/**
+ * Convert a created record into the shape of a timeline activity
+ * @param {string} type - Quick-log type
+ * @param {Object} record - Created record
+ * @returns {Object} Timeline activity
+ */
+const toTimelineActivity = (type, record) => {
+  if (type === QUICK_LOG_TYPES.NOTE) {
+    return toNoteActivity(record);
+  }
+
+  return {
+    ...record,
+    activitytypecode: type,
+    participants: []
+  };
+};
+
+/**
+ * Build the placeholder shown in the timeline while a quick-log entry saves
+ * @param {string} type - Quick-log type
+ * @param {Object} values - Form values
+ * @returns {Object} Pending timeline activity
+ */
+export const buildPendingActivity = (type, values) => {
+  const now = new Date().toISOString();
+
+  return {
+    activityid: `pending-${Date.now()}`,
+    activitytypecode: type,
+    subject: values.subject,
+    description: type === QUICK_LOG_TYPES.NOTE ? values.notetext : values.description,
+    createdon: now,
+    actualstart: type === QUICK_LOG_TYPES.PHONE_CALL && PHONE_CALL_OUTCOMES[values.outcome]?.completed ? now : undefined,
+    scheduledend: values.dueDate ? new Date(values.dueDate).toISOString() : undefined,
+    participants: [],
+    isPending: true
+  };
+};
+
+/**
+ * Log a phone call regarding an opportunity
+ * @param {string} token - Access token
+ * @param {string} opportunityId - Opportunity ID
+ * @param {Object} values - Form values (subject, description, outgoing, phoneNumber, outcome, dueDate)
+ * @returns {Promise<Object>} Created phone call as a timeline activity
+ */
+export const createPhoneCall = async (token, opportunityId, values) => {
+  const outcome = PHONE_CALL_OUTCOMES[values.outcome] || PHONE_CALL_OUTCOMES.completed;
+
+  const body = {
+    subject: values.subject,
+    description: values.description || null,
+    directioncode: values.outgoing !== false,
+    phonenumber: values.phoneNumber || null,
+    leftvoicemail: outcome.leftVoicemail,
+    "regardingobjectid_opportunity@odata.bind": `/opportunities(${opportunityId})`
+  };
+
+  if (values.dueDate) {
+    body.scheduledend = new Date(values.dueDate).toISOString();
+  }
+
+  if (outcome.completed) {
+    body.actualstart = new Date().toISOString();
+    body.statecode = 1;
+    body.statuscode = values.outgoing !== false ? PHONE_CALL_MADE : PHONE_CALL_RECEIVED;
+  }
+
+  const record = await createRecord(token, 'phonecalls', body, "log phone call");
+  return toTimelineActivity(QUICK_LOG_TYPES.PHONE_CALL, record);
+};
+
+/**
+ * Create a task regarding an opportunity
+ * @param {string} token - Access token
+ * @param {string} opportunityId - Opportunity ID
+ * @param {Object} values - Form values (subject, description, dueDate, priority)
+ * @returns {Promise<Object>} Created task as a timeline activity
+ */
+export const createTask = async (token, opportunityId, values) => {
+  const body = {
+    subject: values.subject,
+    description: values.description || null,
+    prioritycode: Number(values.priority ?? 1),
+    "regardingobjectid_opportunity@odata.bind": `/opportunities(${opportunityId})`
+  };
+
+  if (values.dueDate) {
+    body.scheduledend = new Date(values.dueDate).toISOString();
+  }
+
+  const record = await createRecord(token, 'tasks', body, "create task");
+  return toTimelineActivity(QUICK_LOG_TYPES.TASK, record);
+};
+
+/**
+ * Add a note to an opportunity
+ * @param {string} token - Access token
+ * @param {string} opportunityId - Opportunity ID
+ * @param {Object} values - Form values (subject, notetext)
+ * @returns {Promise<Object>} Created note as a timeline activity
+ */
+export const createNote = async (token, opportunityId, values) => {
+  const body = {
+    subject: values.subject || null,
+    notetext: values.notetext,
+    "objectid_opportunity@odata.bind": `/opportunities(${opportunityId})`
+  };
+
+  const record = await createRecord(token, 'annotations', body, "add note");
+  return toTimelineActivity(QUICK_LOG_TYPES.NOTE, record);
+};
+
+/**
+ * Save a quick-log entry of any type
+ * @param {string} token - Access token
+ * @param {string} opportunityId - Opportunity ID
+ * @param {string} type - Quick-log type
+ * @param {Object} values - Form values
+ * @returns {Promise<Object>} Created record as a timeline activity
+ */
+export const saveQuickLogEntry = (token, opportunityId, type, values) => {
+  switch (type) {
+    case QUICK_LOG_TYPES.PHONE_CALL: return createPhoneCall(token, opportunityId, values);
+    case QUICK_LOG_TYPES.TASK: return createTask(token, opportunityId, values);
+    case QUICK_LOG_TYPES.NOTE: return createNote(token, opportunityId, values);
+    default: throw new Error(`[ActivityWrites] Unknown quick-log type: ${type}`);
+  }
+};
@@ -1,23 +1,22 @@
-import { getCurrentOrgId } from './opportunityUtils';
-
-// Will be set dynamically based on the organization ID
-let BASE_URL = null;
+import { getCurrentOrgId, fetchActivitiesForOpportunities } from './opportunityUtils';
+import { fetchAllPages, webApiFetch, getThrottleErrorMessage, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { normalizeActivityParties } from './activityUtils';
+import { syncTrackedActivities } from './deltaSync';
+import { resolveScopeOwners } from './teamScope';
+import { getApiBaseUrl, isDynamicsUrl, getCustomDynamicsHosts } from './environment';
 
 /**
  * Get the dynamic base URL for API calls
  * @returns {Promise<string>} The base URL for Dynamics API
  */
 export const getDynamicsBaseUrl = async () => {
-  if (BASE_URL) return BASE_URL;
-  
-  const orgId = await getCurrentOrgId();
-  if (!orgId) {
+  const orgHost = await getCurrentOrgId();
+  if (!orgHost) {
     console.error("[API] Cannot create base URL: Organization ID not found");
     throw new Error("[API] Cannot determine organization ID. Please navigate to Dynamics CRM first.");
   }
   
-  BASE_URL = `https://${orgId}.crm.dynamics.com/api/data/v9.2`;
-  return BASE_URL;
+  return getApiBaseUrl(orgHost);
 };
 
 /**
@@ -56,6 +55,13 @@ const handleApiResponse = async (response, context) => {
     throw new Error("[API] Authentication failed. Please log in again.");
   }
   
+  // Throttled responses have already been retried by the scheduler
+  const throttleMessage = getThrottleErrorMessage(response, context);
+  if (throttleMessage) {
+    console.error(`[API] ${throttleMessage}`);
+    throw new Error(`[API] ${throttleMessage}`);
+  }
+  
   if (!response.ok) {
     let errorText = '';
     try {
@@ -81,10 +87,10 @@ export const getCurrentUserId = async (token) => {
   try {
     const baseUrl = await getDynamicsBaseUrl();
     
-    const response = await fetch(`${baseUrl}/WhoAmI`, {
+    const response = await webApiFetch(`${baseUrl}/WhoAmI`, {
       method: 'GET',
       headers: getDefaultHeaders(token)
-    });
+    }, { context: "fetch current user" });
     
     const data = await handleApiResponse(response, "fetch current user");
     
@@ -127,11 +133,11 @@ export const fetchOpportunityDetails = async (token, oppId) => {
     // Try each query format until one works
     for (const queryFormat of queryFormats) {
       try {
-        const opportunityUrl = `${baseUrl}/opportunities?$select=name,opportunityid,_customerid_value,createdon,statecode,estimatedvalue,estimatedclosedate,actualclosedate&$expand=customerid_account($select=name)&$filter=${queryFormat}`;
+        const opportunityUrl = `${baseUrl}/opportunities?$select=name,opportunityid,_customerid_value,createdon,statecode,statuscode,salesstage,stepname,estimatedvalue,estimatedvalue_base,_transactioncurrencyid_value,exchangerate,estimatedclosedate,actualclosedate,closeprobability&$expand=customerid_account($select=name)&$filter=${queryFormat}`;
                 
-        const opportunityResponse = await fetch(opportunityUrl, {
+        const opportunityResponse = await webApiFetch(opportunityUrl, {
           headers: getDefaultHeaders(token),
-        });
+        }, { context: "fetch opportunity details" });
         
         // If we get a 401, throw immediately to trigger re-authentication
         if (opportunityResponse.status === 401) {
@@ -164,19 +170,25 @@ export const fetchOpportunityDetails = async (token, oppId) => {
     const opportunity = opportunityData.value[0];
     
     // Fetch activities for this opportunity
-    const activitiesUrl = `${baseUrl}/activitypointers?$filter=_regardingobjectid_value eq ${oppId}&$select=activityid,subject,activitytypecode,createdon,scheduledstart,scheduledend,actualstart,actualend&$orderby=createdon desc`;
-    
-    const activitiesResponse = await fetch(activitiesUrl, {
-      headers: getDefaultHeaders(token),
-    });
+    const activitiesUrl = `${baseUrl}/activitypointers?$filter=_regardingobjectid_value eq ${oppId}&$select=activityid,subject,activitytypecode,createdon,scheduledstart,scheduledend,actualstart,actualend&$orderby=createdon desc` +
+      `&$expand=activity_pointer_activity_parties($select=participationtypemask,_partyid_value,addressused)`;
     
     let activities = [];
     
-    if (activitiesResponse.ok) {
-      const activitiesData = await activitiesResponse.json();
-      activities = activitiesData.value || [];
-    } else {
-      console.warn(`[API] Could not fetch activities: ${activitiesResponse.status}`);
+    try {
+      const activityRecords = await fetchAllPages(activitiesUrl, token, {
+        prefer: [INCLUDE_LOOKUP_ANNOTATIONS],
+        context: "fetch opportunity activities"
+      });
+      activities = activityRecords.map(activity => ({
+        ...activity,
+        participants: normalizeActivityParties(activity.activity_pointer_activity_parties)
+      }));
+    } catch (activitiesError) {
+      if (activitiesError.message.includes("Authentication failed")) {
+        throw activitiesError;
+      }
+      console.warn(`[API] Could not fetch activities: ${activitiesError.message}`);
       // Continue without activities rather than failing completely
     }
     
@@ -217,38 +229,21 @@ export const fetchUserActivitiesForLastYear = async (token) => {
     
     // Build URL to fetch activities created by the user in the last 12 months
     // This includes ANY activity created by the user, not just ones related to opportunities
-    const url = `${baseUrl}/activitypointers?$filter=_createdby_value eq ${currentUserId} and createdon ge ${formattedDate}&$select=activityid,subject,activitytypecode,createdon,scheduledstart,scheduledend&$orderby=createdon desc&$top=5000`;
-        
-    const response = await fetch(url, {
-      headers: {
-        "Authorization": `${token}`,
-        "Accept": "application/json",
-        "OData-MaxVersion": "4.0",
-        "OData-Version": "4.0"
-      }
-    });
-    
-    if (response.status === 401) {
-      console.warn("[API] Authentication token expired or invalid");
-      throw new Error("Authentication failed. Please log in again.");
+    const url = `${baseUrl}/activitypointers?$filter=_createdby_value eq ${currentUserId} and createdon ge ${formattedDate}&$select=activityid,subject,activitytypecode,createdon,scheduledstart,scheduledend&$orderby=createdon desc`;
+    
+    // Prefer the change-tracked store, which keeps every activity created by the user
+    const { ownerIds } = await resolveScopeOwners(token);
+    const tracked = await syncTrackedActivities(token, baseUrl, ownerIds);
+    if (tracked) {
+      return tracked.activities
+        .filter(activity =>
+          activity._createdby_value?.toLowerCase() === currentUserId.toLowerCase() &&
+          new Date(activity.createdon) >= twelveMonthsAgo
+        )
+        .sort((a, b) => new Date(b.createdon) - new Date(a.createdon));
     }
     
-    if (!response.ok) {
-      let errorText = '';
-      try {
-        const errorData = await response.json();
-        errorText = JSON.stringify(errorData);
-      } catch (e) {
-        errorText = await response.text();
-      }
-      
-      console.error(`[API] API Error: ${response.status}`, errorText);
-      throw new Error(`Failed to fetch user activities: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();    
-
-    return data.value || [];
+    return await fetchAllPages(url, token, { context: "fetch user activities" });
   } catch (error) {
     console.error("[API] Error fetching user activities:", error);
     throw error;
@@ -280,71 +275,46 @@ export const fetchOpportunitiesWithActivities = async (
     const currentUserId = await getCurrentUserId(token);
         
     // Build URL to fetch open opportunities
-    const url = `${baseUrl}/opportunities?$filter=statecode eq 0 and _ownerid_value eq ${currentUserId}&$select=name,opportunityid,_customerid_value,createdon,statecode,estimatedvalue,estimatedclosedate,actualclosedate&$expand=customerid_account($select=name)`;
+    const url = `${baseUrl}/opportunities?$filter=statecode eq 0 and _ownerid_value eq ${currentUserId}&$select=name,opportunityid,_customerid_value,createdon,statecode,statuscode,salesstage,stepname,estimatedvalue,estimatedvalue_base,_transactioncurrencyid_value,exchangerate,estimatedclosedate,actualclosedate,closeprobability&$expand=customerid_account($select=name)`;
     
-    const response = await fetch(url, {
-      headers: getDefaultHeaders(token),
-    });
+    const opportunities = await fetchAllPages(url, token, { context: "fetch opportunities list" });
     
-    const data = await handleApiResponse(response, "fetch opportunities list");
-    const opportunities = data.value || [];
-    
-    // For each opportunity, fetch activities
-    const opportunitiesWithActivities = await Promise.all(
-      opportunities.map(async (opp, index) => {
-        try {
-          if (!opp.opportunityid) {
-            console.warn(`[API] Opportunity at index ${index} has no ID`, opp);
-            return { 
-              ...opp, 
-              opportunities_list_index: index,
-              activities: [], 
-              lastActivity: null 
-            };
-          }
-          
-          // Fetch activities for this opportunity
-          const activitiesUrl = `${baseUrl}/activitypointers?$filter=_regardingobjectid_value eq ${opp.opportunityid}&$select=activityid,subject,activitytypecode,scheduledstart,actualstart,createdon&$orderby=createdon desc`;
-          
-          const activitiesResponse = await fetch(activitiesUrl, {
-            headers: getDefaultHeaders(token),
-          });
-          
-          let activities = [];
-          if (activitiesResponse.ok) {
-            const activitiesData = await activitiesResponse.json();
-            activities = activitiesData.value || [];
-          } else if (activitiesResponse.status === 401) {
-            // If authentication fails during activity fetch, propagate the error
-            throw new Error("[API] Authentication failed. Please log in again.");
-          }
-    
-          return {
-            ...opp,
-            opportunities_list_index: index,
-            activities: activities,
-            lastActivity: activities.length > 0 
-              ? activities[0].createdon 
-              : null
-          };
-        } catch (error) {
-          console.error(`[API] Error processing opportunity at index ${index}:`, error);
-          
-          // If it's an auth error, propagate it
-          if (error.message.includes("[API] Authentication failed")) {
-            throw error;
-          }
-          
-          // Otherwise return the opportunity without activities
-          return {
-            ...opp,
-            opportunities_list_index: index,
-            activities: [],
-            lastActivity: null
-          };
-        }
-      })
-    );
+    // Fetch activities for all opportunities in chunked queries
+    const opportunityIds = opportunities
+      .map(opp => opp.opportunityid)
+      .filter(Boolean);
+
+    let activitiesByOpportunity = {};
+    try {
+      activitiesByOpportunity = await fetchActivitiesForOpportunities(token, opportunityIds);
+    } catch (error) {
+      // If it's an auth error, propagate it
+      if (error.message.includes("Authentication failed")) {
+        throw error;
+      }
+      
+      // Otherwise return the opportunities without activities
+      console.error("[API] Error fetching opportunity activities:", error);
+    }
+
+    const opportunitiesWithActivities = opportunities.map((opp, index) => {
+      if (!opp.opportunityid) {
+        console.warn(`[API] Opportunity at index ${index} has no ID`, opp);
+      }
+
+      const activities = opp.opportunityid
+        ? activitiesByOpportunity[opp.opportunityid.toLowerCase()] || []
+        : [];
+
+      return {
+        ...opp,
+        opportunities_list_index: index,
+        activities: activities,
+        lastActivity: activities.length > 0 
+          ? activities[0].createdon 
+          : null
+      };
+    });
 
     // Set opportunities with their activities
     if (setOpportunities) {
@@ -394,16 +364,12 @@ export const fetchClosedOpportunities = async (
     const baseUrl = await getDynamicsBaseUrl();
     const currentUserId = await getCurrentUserId(token);
         
-    const url = `${baseUrl}/opportunities?$filter=statecode ne 0 and _ownerid_value eq ${currentUserId}&$select=name,statecode,opportunityid,_customerid_value,totalamount,actualclosedate,totaldiscountamount,exchangerate,createdon&$orderby=actualclosedate desc`;
-    
-    const response = await fetch(url, {
-      headers: getDefaultHeaders(token),
-    });
+    const url = `${baseUrl}/opportunities?$filter=statecode ne 0 and _ownerid_value eq ${currentUserId}&$select=name,statecode,statuscode,opportunityid,_customerid_value,totalamount,totalamount_base,_transactioncurrencyid_value,actualclosedate,totaldiscountamount,exchangerate,createdon&$orderby=actualclosedate desc`;
     
-    const data = await handleApiResponse(response, "fetch closed opportunities");
+    const closedOpportunities = await fetchAllPages(url, token, { context: "fetch closed opportunities" });
     
     // Filter out opportunities without closing date
-    const validOpportunities = (data.value || []).filter(opp => 
+    const validOpportunities = closedOpportunities.filter(opp => 
       opp.actualclosedate && opp.createdon
     );
     
@@ -441,8 +407,9 @@ export const getCurrentOpportunityId = async () => {
     // If not in storage, try to get it from the active tab
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     const activeTab = tabs[0];
+    const customHosts = await getCustomDynamicsHosts();
 
-    if (tabs.length > 0 && activeTab?.url && activeTab.url.includes('crm.dynamics.com')) {
+    if (tabs.length > 0 && activeTab?.url && isDynamicsUrl(activeTab.url, customHosts)) {
       try {
         
         // Set up a timeout promise to avoid hanging if communication fails
@@ -472,8 +439,11 @@ export const getCurrentOpportunityId = async () => {
           // Try different URL patterns
           const urlObj = new URL(activeTab.url);
           
-          // Check query parameters
-          const idParam = urlObj.searchParams.get('id');
+          // Check query parameters, unless the form is for another record type (etn=account etc.)
+          const entityType = urlObj.searchParams.get('etn');
+          const idParam = !entityType || entityType.toLowerCase() === 'opportunity'
+            ? urlObj.searchParams.get('id')
+            : null;
           if (idParam) {
             chrome.storage.local.set({ 
               currentOpportunityId: idParam,
@@ -0,0 +1,120 @@
+/**
+ * Model-driven app detection
+ *
+ * Record links need the appid of the app the user works in, otherwise
+ * Dynamics opens the record in its default app (or asks the user to pick
+ * one). The app ID is taken from the user's Dynamics tab when it carries one,
+ * and otherwise looked up through appmodules. Whatever is found is
+ * remembered per organization in chrome.storage.
+ */
+
+import { fetchAllPages } from './webApi';
+import { normalizeOrgHost, getApiBaseUrl, findDynamicsTab } from './environment';
+
+// App preferred when the app ID has to be looked up (Sales Hub)
+const PREFERRED_APP_UNIQUE_NAMES = ['msdynce_saleshub', 'msdynce_salespro'];
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// App ID lookups currently running, and organizations where none was found
+const inFlightLookups = {};
+const orgsWithoutApp = new Set();
+
+/**
+ * Extract the app ID from a Dynamics URL
+ * @param {string} url - Dynamics URL
+ * @returns {string|null} App ID or null if the URL doesn't carry one
+ */
+export const extractAppIdFromUrl = (url) => {
+  if (!url) return null;
+
+  try {
+    const appId = new URL(url).searchParams.get('appid');
+    return appId && GUID_PATTERN.test(appId) ? appId.toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Remember the app ID used in an organization
+ * @param {string} orgHost - Instance host
+ * @param {string} appId - App module ID
+ * @returns {Promise<void>}
+ */
+export const rememberAppId = async (orgHost, appId) => {
+  const host = normalizeOrgHost(orgHost);
+  if (!host || !appId) return;
+
+  const { appIdsByOrg = {} } = await chrome.storage.local.get(['appIdsByOrg']);
+  if (appIdsByOrg[host] === appId) return;
+
+  await chrome.storage.local.set({ appIdsByOrg: { ...appIdsByOrg, [host]: appId } });
+};
+
+/**
+ * Look up an app the user can open through the appmodules entity
+ * @param {string} host - Instance host
+ * @param {string} token - Access token
+ * @returns {Promise<string|null>} App ID or null if none was found
+ */
+const lookUpAppId = async (host, token) => {
+  const url = `${getApiBaseUrl(host)}/appmodules?$select=appmoduleid,uniquename,name`;
+  const apps = await fetchAllPages(url, token, { context: "look up model-driven apps" });
+
+  const preferred = PREFERRED_APP_UNIQUE_NAMES
+    .map(uniqueName => apps.find(app => app.uniquename === uniqueName))
+    .find(Boolean);
+
+  const app = preferred || apps.find(app => /sales/i.test(app.name || '')) || null;
+  return app ? app.appmoduleid.toLowerCase() : null;
+};
+
+/**
+ * Resolve the app ID to use in record links for an organization
+ *
+ * Order: the Dynamics tab's URL, the remembered app ID, then appmodules.
+ *
+ * @param {string} orgHost - Instance host (or legacy subdomain)
+ * @returns {Promise<string|null>} App ID, or null to let Dynamics choose
+ */
+export const getAppId = async (orgHost) => {
+  const host = normalizeOrgHost(orgHost);
+  if (!host) return null;
+
+  try {
+    const tab = await findDynamicsTab(host);
+    const tabAppId = tab ? extractAppIdFromUrl(tab.url) : null;
+    if (tabAppId && new URL(tab.url).hostname.toLowerCase() === host) {
+      await rememberAppId(host, tabAppId);
+      return tabAppId;
+    }
+
+    const { appIdsByOrg = {}, accessToken } = await chrome.storage.local.get(['appIdsByOrg', 'accessToken']);
+    // Values stored by older versions weren't checked, so only trust real GUIDs
+    const storedAppId = appIdsByOrg[host];
+    if (typeof storedAppId === 'string' && GUID_PATTERN.test(storedAppId)) return storedAppId.toLowerCase();
+    if (!accessToken || orgsWithoutApp.has(host)) return null;
+
+    // Share one lookup between links rendered at the same time
+    if (!inFlightLookups[host]) {
+      inFlightLookups[host] = lookUpAppId(host, accessToken)
+        .then(async (appId) => {
+          if (appId) {
+            await rememberAppId(host, appId);
+          } else {
+            orgsWithoutApp.add(host);
+          }
+          return appId;
+        })
+        .finally(() => {
+          delete inFlightLookups[host];
+        });
+    }
+
+    return await inFlightLookups[host];
+  } catch (error) {
+    console.warn("[AppModule] Could not resolve app ID:", error);
+    return null;
+  }
+};
@@ -4,6 +4,7 @@ import { dynamicsAuth } from './dynamicsAuth';
 import { supabaseAuth } from './supabaseAuth';
 import { getSubscriptionStatus } from './subscriptions';
 import { supabase } from './supabase';  // Added this import!
+import { clearCache } from './cache';
 
 /**
  * Main login function - handles both Dynamics and Supabase data sync
@@ -122,9 +123,12 @@ export async function logout(stateFunctions = {}) {
     await chrome.storage.local.remove([
       "accessToken", "rawAccessToken", "expirationTime", 
       "tokenType", "user", "subscription", "currentOpportunityId", 
-      "lastUpdated"
+      "lastUpdated", "currentRecord"
     ]);
     
+    // Cached CRM data belongs to the signed-in user
+    await clearCache();
+    
     // Reset React state if functions provided
     for (const key in stateFunctions) {
       if (typeof stateFunctions[key] === 'function') {
@@ -0,0 +1,256 @@
+/**
+ * Persistent IndexedDB cache for Dynamics data
+ *
+ * Entries are keyed by organization, user and entity so the side panel can
+ * render the last known data instantly and revalidate in the background.
+ */
+
+import { getCurrentOrgId } from './opportunityUtils';
+
+const DB_NAME = 'lens-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// How long an entry may be shown before it is considered too old to render
+export const CACHE_TTL = {
+  openOpportunities: 24 * 60 * 60 * 1000,
+  closedOpportunities: 7 * 24 * 60 * 60 * 1000,
+  userActivities: 24 * 60 * 60 * 1000,
+  trackedOpportunities: 7 * 24 * 60 * 60 * 1000,
+  trackedActivities: 7 * 24 * 60 * 60 * 1000,
+  currencies: 7 * 24 * 60 * 60 * 1000,
+  // Stage entries can't be fetched again once a deal moves on
+  stageHistory: 365 * 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+// Approximate storage budget, measured as serialized JSON length
+const CACHE_SIZE_BUDGET = 20 * 1024 * 1024;
+
+// Only the most recently used organizations are kept
+const MAX_CACHED_ORGS = 3;
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the cache database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('orgId', 'orgId', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const buildKey = (orgId, userId, entity) => `${orgId}:${userId}:${entity}`;
+
+/**
+ * Resolve the organization and user the cache should be scoped to
+ * @returns {Promise<{orgId: string, userId: string}|null>} Cache scope or null if unknown
+ */
+export const getCacheScope = async () => {
+  try {
+    const orgId = await getCurrentOrgId();
+    const { user } = await chrome.storage.local.get(['user']);
+
+    if (!orgId || !user?.id) return null;
+
+    return { orgId, userId: user.id };
+  } catch (error) {
+    console.warn("[Cache] Could not determine cache scope:", error);
+    return null;
+  }
+};
+
+/**
+ * Read a cached entity
+ * @param {Object} scope - Cache scope from getCacheScope
+ * @param {string} entity - Entity key (e.g. openOpportunities)
+ * @returns {Promise<{data: any, syncedAt: number}|null>} Cached data or null if missing or expired
+ */
+export const readCache = async (scope, entity) => {
+  if (!scope) return null;
+
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const entry = await promisifyRequest(store.get(buildKey(scope.orgId, scope.userId, entity)));
+
+    if (!entry) return null;
+
+    // Scoped entries ("openOpportunities:team:...") share their base entity's TTL
+    const ttl = CACHE_TTL[entity] || CACHE_TTL[entity.split(':')[0]] || DEFAULT_TTL;
+    if (Date.now() - entry.syncedAt > ttl) {
+      store.delete(entry.key);
+      return null;
+    }
+
+    // Track usage so the size budget evicts the least recently used entries first
+    store.put({ ...entry, accessedAt: Date.now() });
+
+    return { data: entry.data, syncedAt: entry.syncedAt };
+  } catch (error) {
+    console.warn(`[Cache] Failed to read ${entity}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Write an entity to the cache
+ * @param {Object} scope - Cache scope from getCacheScope
+ * @param {string} entity - Entity key (e.g. openOpportunities)
+ * @param {any} data - Serializable data to store
+ * @returns {Promise<number|null>} Sync timestamp, or null if nothing was written
+ */
+export const writeCache = async (scope, entity, data) => {
+  if (!scope) return null;
+
+  try {
+    const db = await openDatabase();
+    const syncedAt = Date.now();
+    const entry = {
+      key: buildKey(scope.orgId, scope.userId, entity),
+      orgId: scope.orgId,
+      userId: scope.userId,
+      entity,
+      data,
+      syncedAt,
+      accessedAt: syncedAt,
+      size: JSON.stringify(data).length
+    };
+
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await promisifyRequest(store.put(entry));
+
+    await enforceCacheLimits();
+
+    return syncedAt;
+  } catch (error) {
+    console.warn(`[Cache] Failed to write ${entity}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get the most recent sync time across all entities in a scope
+ * @param {Object} scope - Cache scope from getCacheScope
+ * @returns {Promise<number|null>} Timestamp or null if nothing is cached
+ */
+export const getLastSyncedAt = async (scope) => {
+  if (!scope) return null;
+
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const entries = await promisifyRequest(store.index('orgId').getAll(scope.orgId));
+
+    const timestamps = entries
+      .filter(entry => entry.userId === scope.userId)
+      .map(entry => entry.syncedAt);
+
+    return timestamps.length > 0 ? Math.max(...timestamps) : null;
+  } catch (error) {
+    console.warn("[Cache] Failed to read last sync time:", error);
+    return null;
+  }
+};
+
+/**
+ * Remove every cached entry for an organization
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<void>}
+ */
+export const evictOrg = async (orgId) => {
+  if (!orgId) return;
+
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const keys = await promisifyRequest(store.index('orgId').getAllKeys(orgId));
+
+    keys.forEach(key => store.delete(key));
+  } catch (error) {
+    console.warn(`[Cache] Failed to evict organization ${orgId}:`, error);
+  }
+};
+
+/**
+ * Remove every cached entry
+ * @returns {Promise<void>}
+ */
+export const clearCache = async () => {
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await promisifyRequest(store.clear());
+  } catch (error) {
+    console.warn("[Cache] Failed to clear cache:", error);
+  }
+};
+
+/**
+ * Evict least recently used organizations and entries until the cache fits its limits
+ * @returns {Promise<void>}
+ */
+const enforceCacheLimits = async () => {
+  const db = await openDatabase();
+  const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+  const entries = await promisifyRequest(store.getAll());
+
+  // Drop whole organizations beyond the most recently used ones
+  const orgLastUsed = {};
+  entries.forEach(entry => {
+    orgLastUsed[entry.orgId] = Math.max(orgLastUsed[entry.orgId] || 0, entry.accessedAt);
+  });
+
+  const staleOrgs = Object.keys(orgLastUsed)
+    .sort((a, b) => orgLastUsed[b] - orgLastUsed[a])
+    .slice(MAX_CACHED_ORGS);
+
+  let remaining = entries.filter(entry => {
+    if (staleOrgs.includes(entry.orgId)) {
+      store.delete(entry.key);
+      return false;
+    }
+    return true;
+  });
+
+  // Then drop the least recently used entries until the size budget is met
+  let totalSize = remaining.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  remaining = remaining.sort((a, b) => a.accessedAt - b.accessedAt);
+
+  while (totalSize > CACHE_SIZE_BUDGET && remaining.length > 0) {
+    const entry = remaining.shift();
+    store.delete(entry.key);
+    totalSize -= entry.size || 0;
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * Competitor helpers
+ *
+ * Competitors are linked to opportunities through the opportunitycompetitors
+ * N:N relationship. Its intersect entity is read directly to map many
+ * opportunities to their competitors in a few round trips.
+ */
+
+import { fetchAllPages, chunkArray, buildInFilter, IN_FILTER_CHUNK_SIZE } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+
+// Entity set of the opportunitycompetitors intersect entity
+const INTERSECT_ENTITY_SET = 'opportunitycompetitorscollection';
+
+// Label for deals with no competitor recorded, the baseline in the breakdown
+export const NO_COMPETITOR = 'No competitor';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Fetch the competitors on an opportunity
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} opportunityId - ID of the opportunity
+ * @returns {Promise<Array>} Competitor records
+ */
+export const fetchOpportunityCompetitors = async (token, opportunityId) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[CompetitorUtil][fetchOpportunityCompetitors] Cannot fetch competitors: Organization ID not found. Please navigate to Dynamics CRM first.");
+  }
+
+  return fetchAllPages(
+    `${baseUrl}/opportunities(${opportunityId})/opportunitycompetitors_association?$select=competitorid,name,websiteurl,strengths,weaknesses&$orderby=name asc`,
+    token,
+    { context: "fetch opportunity competitors" }
+  );
+};
+
+/**
+ * Fetch the competitors of many opportunities
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {Array<string>} opportunityIds - IDs of the opportunities
+ * @returns {Promise<Object>} Map of lower-cased opportunity ID to competitor names
+ */
+export const fetchCompetitorsForOpportunities = async (token, opportunityIds) => {
+  if (opportunityIds.length === 0) return {};
+
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[CompetitorUtil][fetchCompetitorsForOpportunities] Cannot fetch competitors: Organization ID not found. Please navigate to Dynamics CRM first.");
+  }
+
+  const links = [];
+  for (const idChunk of chunkArray(opportunityIds, IN_FILTER_CHUNK_SIZE)) {
+    links.push(...await fetchAllPages(
+      `${baseUrl}/${INTERSECT_ENTITY_SET}?$filter=${buildInFilter('opportunityid', idChunk)}&$select=opportunityid,competitorid`,
+      token,
+      { context: "fetch opportunity competitor links" }
+    ));
+  }
+
+  const competitorIds = [...new Set(links.map(link => link.competitorid.toLowerCase()))];
+  const namesById = {};
+  for (const idChunk of chunkArray(competitorIds, IN_FILTER_CHUNK_SIZE)) {
+    const competitors = await fetchAllPages(
+      `${baseUrl}/competitors?$filter=${buildInFilter('competitorid', idChunk)}&$select=competitorid,name`,
+      token,
+      { context: "fetch competitors" }
+    );
+    competitors.forEach(competitor => {
+      namesById[competitor.competitorid.toLowerCase()] = competitor.name;
+    });
+  }
+
+  const competitorsByOpportunity = {};
+  links.forEach(link => {
+    const opportunityId = link.opportunityid.toLowerCase();
+    const name = namesById[link.competitorid.toLowerCase()];
+    if (!name) return;
+    (competitorsByOpportunity[opportunityId] = competitorsByOpportunity[opportunityId] || []).push(name);
+  });
+
+  return competitorsByOpportunity;
+};
+
+/**
+ * Get the discount given on a closed deal
+ * @param {Object} opportunity - Closed opportunity
+ * @returns {number|null} Discount as a percentage of the pre-discount amount, or null if unknown
+ */
+const getDiscountPercent = (opportunity) => {
+  const discount = opportunity.totaldiscountamount || 0;
+  const grossAmount = (opportunity.totalamount || 0) + discount;
+  return grossAmount > 0 ? (discount / grossAmount) * 100 : null;
+};
+
+/**
+ * Break down closed deals by the competitors present on them
+ * @param {Array} closedOpportunities - Closed opportunities
+ * @param {Object} competitorsByOpportunity - Result of fetchCompetitorsForOpportunities
+ * @returns {Array<{competitor: string, deals: number, won: number, lost: number, winRate: number|null, averageCycle: number|null, averageDiscount: number|null}>} Rows, most frequent competitor first and the no-competitor baseline last
+ */
+export const summarizeByCompetitor = (closedOpportunities = [], competitorsByOpportunity = {}) => {
+  const groups = {};
+
+  closedOpportunities.forEach(opp => {
+    const competitors = competitorsByOpportunity[opp.opportunityid.toLowerCase()] || [NO_COMPETITOR];
+    // A deal counts once for each competitor present
+    competitors.forEach(competitor => {
+      (groups[competitor] = groups[competitor] || []).push(opp);
+    });
+  });
+
+  const average = (values) => (values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null);
+
+  return Object.entries(groups)
+    .map(([competitor, deals]) => {
+      const won = deals.filter(opp => Number(opp.statecode) === 1);
+      const lost = deals.filter(opp => Number(opp.statecode) === 2);
+      const cycleDays = deals
+        .filter(opp => opp.actualclosedate && opp.createdon)
+        .map(opp => Math.floor((new Date(opp.actualclosedate) - new Date(opp.createdon)) / MS_PER_DAY));
+      const discounts = won.map(getDiscountPercent).filter(discount => discount !== null);
+
+      return {
+        competitor,
+        deals: deals.length,
+        won: won.length,
+        lost: lost.length,
+        winRate: won.length + lost.length > 0 ? Math.round((won.length / (won.length + lost.length)) * 100) : null,
+        averageCycle: average(cycleDays),
+        averageDiscount: average(discounts)
+      };
+    })
+    .sort((a, b) => (
+      ((a.competitor === NO_COMPETITOR) - (b.competitor === NO_COMPETITOR)) ||
+      (b.deals - a.deals)
+    ));
+};
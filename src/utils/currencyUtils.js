@@ -0,0 +1,205 @@
+/**
+ * Currency helpers for money columns
+ *
+ * Dynamics stores every money column in the record's transaction currency
+ * and mirrors it in a <column>_base column in the organization's base
+ * currency. Single values are shown in whichever currency the user picked;
+ * totals across records always use the base amounts so that deals in
+ * different currencies can be added up.
+ */
+
+import { fetchAllPages, webApiFetch, buildHeaders } from './webApi';
+import { getCurrentOrgId } from './opportunityUtils';
+import { getApiBaseUrl } from './environment';
+import { getCacheScope, readCache, writeCache } from './cache';
+
+export const CURRENCY_DISPLAY = {
+  TRANSACTION: 'transaction',
+  BASE: 'base'
+};
+
+// Currency settings fetched this session, keyed by organization host
+const currencySettingsByOrg = {};
+
+/**
+ * Get the user's currency display preference
+ * @returns {Promise<string>} One of CURRENCY_DISPLAY
+ */
+export const getCurrencyDisplay = async () => {
+  const { currencyDisplay } = await chrome.storage.local.get(['currencyDisplay']);
+  return currencyDisplay === CURRENCY_DISPLAY.BASE ? CURRENCY_DISPLAY.BASE : CURRENCY_DISPLAY.TRANSACTION;
+};
+
+/**
+ * Save the user's currency display preference
+ * @param {string} display - One of CURRENCY_DISPLAY
+ * @returns {Promise<void>}
+ */
+export const setCurrencyDisplay = async (display) => {
+  await chrome.storage.local.set({ currencyDisplay: display });
+};
+
+/**
+ * Fetch the organization's currencies and its base currency
+ * @param {string} token - Access token
+ * @returns {Promise<{currencies: Object, baseCurrencyId: string|null}>} Currencies keyed by lower-cased ID
+ */
+export const fetchCurrencySettings = async (token) => {
+  const orgId = await getCurrentOrgId();
+  if (!orgId) {
+    throw new Error("[Currency] Organization ID not found");
+  }
+
+  if (currencySettingsByOrg[orgId]) return currencySettingsByOrg[orgId];
+
+  const scope = await getCacheScope();
+  const cached = await readCache(scope, 'currencies');
+  if (cached?.data) {
+    currencySettingsByOrg[orgId] = cached.data;
+    return cached.data;
+  }
+
+  const baseUrl = getApiBaseUrl(orgId);
+  const records = await fetchAllPages(
+    `${baseUrl}/transactioncurrencies?$select=transactioncurrencyid,isocurrencycode,currencysymbol,currencyprecision,currencyname`,
+    token,
+    { context: "fetch currencies" }
+  );
+
+  const currencies = {};
+  records.forEach(record => {
+    currencies[record.transactioncurrencyid.toLowerCase()] = {
+      code: record.isocurrencycode,
+      symbol: record.currencysymbol,
+      precision: record.currencyprecision ?? 2,
+      name: record.currencyname
+    };
+  });
+
+  let baseCurrencyId = null;
+  const orgResponse = await webApiFetch(
+    `${baseUrl}/organizations?$select=_basecurrencyid_value`,
+    { headers: buildHeaders(token) },
+    { context: "fetch base currency" }
+  );
+
+  if (orgResponse.ok) {
+    const data = await orgResponse.json();
+    baseCurrencyId = data.value?.[0]?._basecurrencyid_value?.toLowerCase() || null;
+  } else {
+    console.warn(`[Currency] Could not read base currency: ${orgResponse.status}`);
+  }
+
+  const settings = { currencies, baseCurrencyId };
+  currencySettingsByOrg[orgId] = settings;
+  await writeCache(scope, 'currencies', settings);
+
+  return settings;
+};
+
+/**
+ * Get a money column in the organization's base currency
+ * @param {Object} record - Record with money columns
+ * @param {string} field - Money column (e.g. estimatedvalue)
+ * @returns {number} Base amount, or 0 if the column is empty
+ */
+export const getBaseAmount = (record, field) => {
+  if (!record) return 0;
+
+  const baseAmount = record[`${field}_base`];
+  if (baseAmount !== undefined && baseAmount !== null) return baseAmount;
+
+  const amount = record[field];
+  if (amount === undefined || amount === null) return 0;
+
+  // Older cached records have no _base column; convert with the record's rate
+  return record.exchangerate ? amount / record.exchangerate : amount;
+};
+
+/**
+ * Sum a money column across records in the organization's base currency
+ * @param {Array} records - Records with money columns
+ * @param {string} field - Money column
+ * @returns {number} Total in base currency
+ */
+export const sumBaseAmounts = (records = [], field) =>
+  records.reduce((total, record) => total + getBaseAmount(record, field), 0);
+
+/**
+ * Format an amount in a given currency
+ * @param {number} amount - Amount to format
+ * @param {string} currencyId - Transaction currency ID
+ * @param {Object} currencySettings - Result of fetchCurrencySettings
+ * @param {Object} options - { compact: true to abbreviate large amounts }
+ * @returns {string} Formatted amount
+ */
+export const formatMoney = (amount, currencyId, currencySettings, { compact = false } = {}) => {
+  const currency = currencySettings?.currencies?.[currencyId?.toLowerCase()];
+  const value = amount || 0;
+
+  if (currency?.code) {
+    try {
+      return new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: currency.code,
+        notation: compact ? 'compact' : 'standard',
+        maximumFractionDigits: compact ? 1 : currency.precision
+      }).format(value);
+    } catch (error) {
+      // Unknown ISO code, fall back to the symbol configured in Dynamics
+    }
+  }
+
+  const formatted = value.toLocaleString(undefined, {
+    notation: compact ? 'compact' : 'standard',
+    maximumFractionDigits: compact ? 1 : 2
+  });
+  return currency?.symbol ? `${currency.symbol}${formatted}` : formatted;
+};
+
+/**
+ * Format an amount that is already in the organization's base currency
+ * @param {number} amount - Base amount
+ * @param {Object} currencySettings - Result of fetchCurrencySettings
+ * @param {Object} options - Passed to formatMoney
+ * @returns {string} Formatted amount
+ */
+export const formatBaseMoney = (amount, currencySettings, options) =>
+  formatMoney(amount, currencySettings?.baseCurrencyId, currencySettings, options);
+
+/**
+ * Get a money column of a record in the currency the user chose to display
+ * @param {Object} record - Record with money columns
+ * @param {string} field - Money column
+ * @param {string} display - One of CURRENCY_DISPLAY
+ * @param {Object} currencySettings - Result of fetchCurrencySettings
+ * @returns {{amount: number, currencyId: string|null}} Amount and its currency
+ */
+export const getDisplayAmount = (record, field, display, currencySettings) => {
+  if (display === CURRENCY_DISPLAY.BASE || !record?._transactioncurrencyid_value) {
+    return { amount: getBaseAmount(record, field), currencyId: currencySettings?.baseCurrencyId || null };
+  }
+
+  return { amount: record[field] || 0, currencyId: record._transactioncurrencyid_value };
+};
+
+/**
+ * Format a money column of a record in the currency the user chose to display
+ * @param {Object} record - Record with money columns
+ * @param {string} field - Money column
+ * @param {Object} currency - { settings, display } as passed down from the popup
+ * @returns {string} Formatted amount
+ */
+export const formatRecordAmount = (record, field, currency) => {
+  const { amount, currencyId } = getDisplayAmount(record, field, currency?.display, currency?.settings);
+  return formatMoney(amount, currencyId, currency?.settings);
+};
+
+/**
+ * Format the value of a deal: the estimated value when set, otherwise the total amount
+ * @param {Object} opportunity - Open or closed opportunity
+ * @param {Object} currency - { settings, display } as passed down from the popup
+ * @returns {string} Formatted amount
+ */
+export const formatDealValue = (opportunity, currency) =>
+  formatRecordAmount(opportunity, opportunity?.estimatedvalue ? 'estimatedvalue' : 'totalamount', currency);
@@ -22,6 +22,25 @@ export const calculateDaysBetween = (startDate, endDate, allowNegative = false)
   return Math.ceil(Math.abs(diffTime) / (1000 * 60 * 60 * 24));
 };
 
+/**
+ * Format a timestamp relative to now (e.g. "just now", "5m ago", "3h ago")
+ * @param {number|string|Date} timestamp - Time to format
+ * @returns {string} Relative time label
+ */
+export const formatRelativeTime = (timestamp) => {
+  if (!timestamp) return '';
+  
+  const diffMinutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / (1000 * 60));
+  
+  if (diffMinutes < 1) return 'just now';
+  if (diffMinutes < 60) return `${diffMinutes}m ago`;
+  
+  const diffHours = Math.floor(diffMinutes / 60);
+  if (diffHours < 24) return `${diffHours}h ago`;
+  
+  return new Date(timestamp).toLocaleDateString();
+};
+
 /**
  * Generate a calendar for the specified month with activity indicators
  * @param {number} year - Year
@@ -0,0 +1,413 @@
+/**
+ * Incremental sync built on Dataverse change tracking
+ *
+ * The first pass pages through every record of a tracked entity the user can
+ * see and keeps the @odata.deltaLink. Later syncs only request that link,
+ * which returns the rows created, updated or deleted since, and merge them
+ * into the local store kept in the IndexedDB cache.
+ *
+ * Change tracking queries can't be filtered, so the store only keeps the rows
+ * in the owner scope (see isInScope on each entity) and drops the rest page by
+ * page. The first pass runs in the background; until it has finished, callers
+ * use their regular filtered queries. Entities without change tracking, or
+ * with more rows than maxRecords, keep using the regular queries, and the
+ * tracking status says so.
+ */
+
+import { fetchPage, fetchPagedCollection, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getCacheScope, readCache, writeCache } from './cache';
+
+const TRACK_CHANGES = 'odata.track-changes';
+
+// Calls made within this window reuse the last sync instead of asking for changes again
+const MIN_SYNC_INTERVAL = 15 * 1000;
+
+// How long to wait before trying change tracking again for an entity that doesn't support it or is too large
+const RETRY_INTERVAL = 24 * 60 * 60 * 1000;
+
+// The first pass only runs once per delta link, so it uses the largest page the Web API allows
+const FULL_PASS_PAGE_SIZE = 5000;
+
+export const TRACKING_STATUS = {
+  STARTING: 'starting',
+  TRACKING: 'tracking',
+  TOO_LARGE: 'tooLarge',
+  UNSUPPORTED: 'unsupported'
+};
+
+/**
+ * Entities kept in sync through change tracking
+ */
+export const TRACKED_ENTITIES = {
+  opportunities: {
+    entitySet: 'opportunities',
+    cacheKey: 'trackedOpportunities',
+    idField: 'opportunityid',
+    select: [
+      'name', 'opportunityid', '_customerid_value', '_ownerid_value', 'createdon', 'statecode',
+      'statuscode', 'salesstage', 'stepname',
+      'estimatedvalue', 'estimatedvalue_base', 'estimatedclosedate', 'actualclosedate', 'closeprobability', 'totalamount',
+      'totalamount_base', 'totaldiscountamount', 'exchangerate', '_transactioncurrencyid_value'
+    ],
+    // Rows the first pass pages through before giving up on tracking
+    maxRecords: 250000,
+    isInScope: (record, { ownerSet }) => ownerSet.has(record._ownerid_value?.toLowerCase())
+  },
+  activities: {
+    entitySet: 'activitypointers',
+    cacheKey: 'trackedActivities',
+    idField: 'activityid',
+    select: [
+      'activityid', 'subject', 'activitytypecode', 'createdon', 'scheduledstart', 'scheduledend',
+      'actualstart', 'actualend', '_regardingobjectid_value', '_createdby_value', '_ownerid_value'
+    ],
+    maxRecords: 1000000,
+    // Activities of the owners in scope, and any activity regarding one of their opportunities
+    isInScope: (record, { ownerSet, opportunityIds }) =>
+      ownerSet.has(record._ownerid_value?.toLowerCase()) ||
+      ownerSet.has(record._createdby_value?.toLowerCase()) ||
+      opportunityIds.has(record._regardingobjectid_value?.toLowerCase())
+  }
+};
+
+// In-memory copy of each tracked store, plus syncs and first passes that are currently running
+const trackedStores = {};
+const inFlightSyncs = {};
+const fullPasses = {};
+
+// Tracking status per entity, for the sync label
+const trackingStatus = {};
+const statusListeners = new Set();
+
+/**
+ * Get the change tracking status of each entity
+ * @returns {Object} Map of TRACKED_ENTITIES key to TRACKING_STATUS value
+ */
+export const getTrackingStatus = () => ({ ...trackingStatus });
+
+/**
+ * Subscribe to change tracking status updates
+ * @param {Function} listener - Called with the status map whenever it changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTrackingStatus = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+/**
+ * Describe the tracking status for the sync label
+ * @param {Object} status - Status map from getTrackingStatus
+ * @returns {{label: string, title: string}|null} Label suffix and tooltip, or null when nothing needs saying
+ */
+export const describeTrackingStatus = (status) => {
+  const entries = Object.entries(status);
+
+  const tooLarge = entries.filter(([, value]) => value === TRACKING_STATUS.TOO_LARGE).map(([entityName]) => entityName);
+  if (tooLarge.length > 0) {
+    const limits = tooLarge
+      .map(entityName => `${TRACKED_ENTITIES[entityName].maxRecords.toLocaleString()} ${TRACKED_ENTITIES[entityName].entitySet}`)
+      .join(' and ');
+    return {
+      label: "full reload",
+      title: `Only changes are loaded when you can see up to ${limits}. Your organization has more, so ${tooLarge.join(' and ')} are fully reloaded on every sync.`
+    };
+  }
+
+  if (entries.some(([, value]) => value === TRACKING_STATUS.STARTING)) {
+    return {
+      label: "preparing faster sync",
+      title: "Lens is reading your records once in the background. After that, syncs only load what changed."
+    };
+  }
+
+  return null;
+};
+
+const setTrackingStatus = (entityName, status) => {
+  if (trackingStatus[entityName] === status) return;
+
+  if (status) {
+    trackingStatus[entityName] = status;
+  } else {
+    delete trackingStatus[entityName];
+  }
+
+  const snapshot = getTrackingStatus();
+  statusListeners.forEach(listener => {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      console.error("[DeltaSync] Status listener failed:", error);
+    }
+  });
+};
+
+/**
+ * Merge a page of changes into a record map, keeping only rows in scope
+ * @param {Object} records - Map of record ID to record
+ * @param {Array} changes - Changed rows returned by a tracked query or delta link
+ * @param {Object} definition - Tracked entity definition
+ * @param {Object} scopeContext - Owners (and opportunities) in scope
+ */
+const applyChanges = (records, changes, definition, scopeContext) => {
+  changes.forEach(change => {
+    // Deleted rows come back as $deletedEntity entries carrying only the ID
+    if (change['@odata.context']?.includes('$deletedEntity')) {
+      delete records[change.id];
+      return;
+    }
+
+    const id = change[definition.idField];
+    if (!id) return;
+
+    // Rows that moved out of scope leave the store
+    if (definition.isInScope(change, scopeContext)) {
+      records[id] = change;
+    } else {
+      delete records[id];
+    }
+  });
+};
+
+const isFatalSyncError = (error) =>
+  error.message.includes("Authentication failed") ||
+  error.message.includes("limiting requests");
+
+/**
+ * Page through every record of a tracked entity and start a new delta link
+ * @returns {Promise<Object|null>} Tracked store, { tooLarge: true } past maxRecords, or null without change tracking
+ */
+const runFullPass = async (token, baseUrl, definition, scopeContext) => {
+  const startedAt = new Date().toISOString();
+  const records = {};
+  let cursor = `${baseUrl}/${definition.entitySet}?$select=${definition.select.join(',')}`;
+  let scanned = 0;
+  let deltaLink = null;
+
+  while (cursor) {
+    if (scanned >= definition.maxRecords) {
+      return { tooLarge: true };
+    }
+
+    const page = await fetchPage(cursor, token, {
+      maxPageSize: FULL_PASS_PAGE_SIZE,
+      prefer: [TRACK_CHANGES, INCLUDE_LOOKUP_ANNOTATIONS],
+      context: `start change tracking for ${definition.entitySet}`
+    });
+
+    // Only rows in scope are kept, so memory stays bounded by the scope rather than the org
+    applyChanges(records, page.value, definition, scopeContext);
+    scanned += page.value.length;
+    cursor = page.nextLink;
+    deltaLink = page.data['@odata.deltaLink'] || null;
+  }
+
+  if (!deltaLink) return null;
+
+  return {
+    records,
+    deltaLink,
+    trackedSince: startedAt,
+    // Opportunities whose activities were all seen by this pass
+    coveredIds: scopeContext.opportunityIds ? [...scopeContext.opportunityIds] : undefined
+  };
+};
+
+/**
+ * Ask for the changes since the stored delta link and merge them in
+ * @returns {Promise<Object>} Updated tracked store
+ */
+const applyDeltaLink = async (token, store, definition, scopeContext) => {
+  const { records, deltaLink, truncated } = await fetchPagedCollection(store.deltaLink, token, {
+    prefer: [TRACK_CHANGES, INCLUDE_LOOKUP_ANNOTATIONS],
+    context: `fetch changes for ${definition.entitySet}`
+  });
+
+  if (truncated || !deltaLink) {
+    throw new Error(`[DeltaSync] Incomplete change set for ${definition.entitySet}`);
+  }
+
+  const recordMap = { ...store.records };
+  applyChanges(recordMap, records, definition, scopeContext);
+
+  // Rows can also leave the scope without changing themselves (e.g. their opportunity was reassigned)
+  Object.keys(recordMap).forEach(id => {
+    if (!definition.isInScope(recordMap[id], scopeContext)) {
+      delete recordMap[id];
+    }
+  });
+
+  return { ...store, records: recordMap, deltaLink };
+};
+
+/**
+ * Start the first pass in the background, unless one is already running
+ */
+const startFullPass = (token, baseUrl, scope, entityName, storeKey, keys, scopeContext) => {
+  if (fullPasses[storeKey]) return;
+
+  const definition = TRACKED_ENTITIES[entityName];
+  const saveStore = async (store) => {
+    const nextStore = { ...store, ...keys };
+    trackedStores[storeKey] = nextStore;
+    await writeCache(scope, definition.cacheKey, nextStore);
+  };
+
+  setTrackingStatus(entityName, TRACKING_STATUS.STARTING);
+
+  fullPasses[storeKey] = (async () => {
+    try {
+      const result = await runFullPass(token, baseUrl, definition, scopeContext);
+
+      if (!result || result.tooLarge) {
+        const status = result ? TRACKING_STATUS.TOO_LARGE : TRACKING_STATUS.UNSUPPORTED;
+        console.warn(`[DeltaSync] Not tracking changes for ${definition.entitySet} (${status}), using regular queries`);
+        // Remember so regular queries are used without another pass on every refresh
+        await saveStore({ status, checkedAt: Date.now() });
+        setTrackingStatus(entityName, status);
+        return;
+      }
+
+      await saveStore({ ...result, syncedAt: Date.now() });
+      setTrackingStatus(entityName, TRACKING_STATUS.TRACKING);
+    } catch (error) {
+      if (isFatalSyncError(error)) {
+        // Try again on the next sync
+        console.warn(`[DeltaSync] First pass for ${definition.entitySet} interrupted:`, error);
+        setTrackingStatus(entityName, null);
+        return;
+      }
+
+      console.warn(`[DeltaSync] Change tracking unavailable for ${definition.entitySet}:`, error);
+      await saveStore({ status: TRACKING_STATUS.UNSUPPORTED, checkedAt: Date.now() });
+      setTrackingStatus(entityName, TRACKING_STATUS.UNSUPPORTED);
+    } finally {
+      delete fullPasses[storeKey];
+    }
+  })();
+};
+
+const runSync = async (token, baseUrl, scope, entityName, storeKey, keys, scopeContext) => {
+  const definition = TRACKED_ENTITIES[entityName];
+  let store = trackedStores[storeKey];
+
+  if (!store) {
+    const cached = await readCache(scope, definition.cacheKey);
+    store = cached?.data || null;
+  }
+
+  // A delta link only returns the columns it was started with, and the store only the owners it was loaded for
+  if (store && (store.select !== keys.select || store.owners !== keys.owners)) {
+    store = null;
+  }
+
+  if (store?.status && Date.now() - store.checkedAt < RETRY_INTERVAL) {
+    setTrackingStatus(entityName, store.status);
+    return null;
+  }
+
+  if (store?.deltaLink) {
+    try {
+      const nextStore = { ...await applyDeltaLink(token, store, definition, scopeContext), syncedAt: Date.now() };
+      trackedStores[storeKey] = nextStore;
+      await writeCache(scope, definition.cacheKey, nextStore);
+      setTrackingStatus(entityName, TRACKING_STATUS.TRACKING);
+      return nextStore;
+    } catch (error) {
+      if (isFatalSyncError(error)) throw error;
+
+      // Expired or invalid delta links are recovered with a new first pass
+      console.warn(`[DeltaSync] Delta sync failed for ${definition.entitySet}, starting over:`, error);
+    }
+  }
+
+  startFullPass(token, baseUrl, scope, entityName, storeKey, keys, scopeContext);
+  return null;
+};
+
+/**
+ * Bring a tracked store up to date
+ * @returns {Promise<Object|null>} Tracked store, or null while it isn't available
+ */
+const syncStore = async (token, baseUrl, entityName, ownerIds, scopeContext) => {
+  const definition = TRACKED_ENTITIES[entityName];
+  if (!definition || !baseUrl || ownerIds.length === 0) return null;
+
+  const scope = await getCacheScope();
+  if (!scope) return null;
+
+  const storeKey = `${scope.orgId}:${scope.userId}:${entityName}`;
+  const keys = {
+    select: definition.select.join(','),
+    owners: [...ownerIds].sort().join(',')
+  };
+  const current = trackedStores[storeKey];
+
+  if (current?.records && current.owners === keys.owners && Date.now() - current.syncedAt < MIN_SYNC_INTERVAL) {
+    return current;
+  }
+
+  // Share one sync between callers that ask for the same owners at the same time
+  const flightKey = `${storeKey}:${keys.owners}`;
+  if (!inFlightSyncs[flightKey]) {
+    inFlightSyncs[flightKey] = runSync(token, baseUrl, scope, entityName, storeKey, keys, scopeContext)
+      .finally(() => {
+        delete inFlightSyncs[flightKey];
+      });
+  }
+
+  return inFlightSyncs[flightKey];
+};
+
+/**
+ * Bring a tracked entity up to date and return the records of the given owners
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {string} entityName - Key of TRACKED_ENTITIES (e.g. opportunities)
+ * @param {Array<string>} ownerIds - Lower-cased IDs of the owners in scope
+ * @returns {Promise<Array|null>} Records of those owners, or null to fall back to regular queries
+ */
+export const syncTrackedEntity = async (token, baseUrl, entityName, ownerIds = []) => {
+  const store = await syncStore(token, baseUrl, entityName, ownerIds, { ownerSet: new Set(ownerIds) });
+  return store ? Object.values(store.records) : null;
+};
+
+/**
+ * Bring the tracked activities up to date
+ *
+ * The store holds the activities of the owners in scope and every activity
+ * regarding their opportunities. Activities regarding other records are only
+ * there when an owner in scope owns or created them, so callers query those
+ * records' activities (coveredIds says which opportunities are complete).
+ *
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {Array<string>} ownerIds - Lower-cased IDs of the owners in scope
+ * @returns {Promise<{activities: Array, coveredIds: Set<string>}|null>} Activities and the opportunities they fully cover, or null to fall back to regular queries
+ */
+export const syncTrackedActivities = async (token, baseUrl, ownerIds = []) => {
+  // Which opportunities are in scope comes from the tracked opportunities
+  const opportunities = await syncTrackedEntity(token, baseUrl, 'opportunities', ownerIds);
+  if (!opportunities) return null;
+
+  const opportunityIds = new Set(opportunities.map(opportunity => opportunity.opportunityid.toLowerCase()));
+  const store = await syncStore(token, baseUrl, 'activities', ownerIds, {
+    ownerSet: new Set(ownerIds),
+    opportunityIds
+  });
+  if (!store) return null;
+
+  // Opportunities created since the first pass have had all their activities tracked as changes;
+  // older ones that joined the scope later (e.g. reassigned) may have activities the store never saw
+  const previouslyCovered = new Set(store.coveredIds || []);
+  const trackedSince = new Date(store.trackedSince);
+  const coveredIds = new Set(opportunities
+    .filter(opportunity => {
+      const id = opportunity.opportunityid.toLowerCase();
+      return previouslyCovered.has(id) || new Date(opportunity.createdon) >= trackedSince;
+    })
+    .map(opportunity => opportunity.opportunityid.toLowerCase()));
+
+  return { activities: Object.values(store.records), coveredIds };
+};
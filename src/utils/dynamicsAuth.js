@@ -1,5 +1,8 @@
 // dynamicsAuth.js - Handles Dynamics CRM authentication
 
+import { webApiFetch } from './webApi';
+import { normalizeOrgHost, getApiBaseUrl, getAuthScope, getLoginHost } from './environment';
+
 // Authentication constants
 const CLIENT_ID = "f71910da-e7e2-4deb-b99f-cc00eeddb1d0";
 const REDIRECT_URI = chrome.identity.getRedirectURL();
@@ -12,7 +15,7 @@ export async function loginWithDynamicsCrm() {
   try {
     // Get organization ID
     const { currentOrgId, organizationId } = await chrome.storage.local.get(['currentOrgId', 'organizationId']);
-    const orgId = currentOrgId || organizationId;
+    const orgId = normalizeOrgHost(currentOrgId || organizationId);
     
     if (!orgId) {
       throw new Error("Please navigate to your Dynamics CRM environment first.");
@@ -72,11 +75,11 @@ export async function loginWithDynamicsCrm() {
 
 /**
  * Get the Dynamics CRM auth URL
- * @param {string} orgId - Organization ID
+ * @param {string} orgId - Organization ID (full instance host)
  * @returns {string} Auth URL
  */
 function getDynamicsCrmAuthUrl(orgId) {
-  const scope = `https://${orgId}.crm.dynamics.com/.default`;
+  const scope = getAuthScope(orgId);
   
   const authParams = new URLSearchParams({
     client_id: CLIENT_ID,
@@ -89,7 +92,8 @@ function getDynamicsCrmAuthUrl(orgId) {
     nonce: Math.random().toString(36).substring(2)
   });
   
-  return `https://login.microsoftonline.com/common/oauth2/v2.0/authorize?${authParams.toString()}`;
+  // Sovereign clouds issue tokens from their own login host
+  return `https://${getLoginHost(orgId)}/common/oauth2/v2.0/authorize?${authParams.toString()}`;
 }
 
 /**
@@ -100,22 +104,22 @@ function getDynamicsCrmAuthUrl(orgId) {
 export async function fetchUserInfo(token) {
   try {
     const { currentOrgId, organizationId } = await chrome.storage.local.get(['currentOrgId', 'organizationId']);
-    const orgId = currentOrgId || organizationId;
+    const orgId = normalizeOrgHost(currentOrgId || organizationId);
     
     if (!orgId) {
       throw new Error("Organization ID not found");
     }
     
     // Query the WhoAmI endpoint
-    const url = `https://${orgId}.crm.dynamics.com/api/data/v9.2/WhoAmI`;
-    const response = await fetch(url, {
+    const url = `${getApiBaseUrl(orgId)}/WhoAmI`;
+    const response = await webApiFetch(url, {
       headers: {
         "Authorization": token,
         "Accept": "application/json",
         "OData-MaxVersion": "4.0",
         "OData-Version": "4.0"
       }
-    });
+    }, { context: "fetch user info" });
     
     if (!response.ok) {
       throw new Error(`Failed to fetch user info: ${response.status}`);
@@ -124,15 +128,15 @@ export async function fetchUserInfo(token) {
     const data = await response.json();
     
     // Get user details
-    const userDetailsUrl = `https://${orgId}.crm.dynamics.com/api/data/v9.2/systemusers(${data.UserId})`;
-    const userResponse = await fetch(userDetailsUrl, {
+    const userDetailsUrl = `${getApiBaseUrl(orgId)}/systemusers(${data.UserId})`;
+    const userResponse = await webApiFetch(userDetailsUrl, {
       headers: {
         "Authorization": token,
         "Accept": "application/json",
         "OData-MaxVersion": "4.0",
         "OData-Version": "4.0"
       }
-    });
+    }, { context: "fetch user details" });
     
     if (!userResponse.ok) {
       return {
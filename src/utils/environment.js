@@ -0,0 +1,213 @@
+/**
+ * Dynamics environment detection
+ *
+ * Environments are identified by their full instance host
+ * (e.g. contoso.crm4.dynamics.com) so regional, sovereign and custom
+ * domains all resolve to the right API, auth scope and record URLs.
+ *
+ * contentScript.js, xrmBridge.js, service-worker.js and the manifest can't
+ * import this module; the build writes DYNAMICS_CLOUDS into them (see
+ * dynamics-hosts.js), so this list is the only one to edit.
+ */
+
+// Commercial regions: crm (North America) and crm2 ... crm21, which include GCC (crm9)
+const COMMERCIAL_REGIONS = ['crm', ...Array.from({ length: 20 }, (_, i) => `crm${i + 2}`)];
+
+// Known Dynamics 365 clouds, the instance domains they serve and the login host that issues their tokens
+export const DYNAMICS_CLOUDS = [
+  {
+    name: 'Commercial regions and GCC',
+    pattern: /^[a-z0-9-]+\.crm([2-9]|1\d|2[01])?\.dynamics\.com$/i,
+    domains: COMMERCIAL_REGIONS.map(region => `${region}.dynamics.com`),
+    loginHost: 'login.microsoftonline.com'
+  },
+  {
+    name: 'GCC High',
+    pattern: /^[a-z0-9-]+\.crm\.microsoftdynamics\.us$/i,
+    domains: ['crm.microsoftdynamics.us'],
+    loginHost: 'login.microsoftonline.us'
+  },
+  {
+    name: 'DoD',
+    pattern: /^[a-z0-9-]+\.crm\.appsplatform\.us$/i,
+    domains: ['crm.appsplatform.us'],
+    loginHost: 'login.microsoftonline.us'
+  },
+  {
+    name: 'China (operated by 21Vianet)',
+    pattern: /^[a-z0-9-]+\.crm\.dynamics\.cn$/i,
+    domains: ['crm.dynamics.cn'],
+    loginHost: 'login.chinacloudapi.cn'
+  }
+];
+
+// Manifest match patterns covering exactly the instance domains above
+export const DYNAMICS_MATCH_PATTERNS = DYNAMICS_CLOUDS
+  .flatMap(cloud => cloud.domains)
+  .map(domain => `https://*.${domain}/*`);
+
+const DEFAULT_LOGIN_HOST = 'login.microsoftonline.com';
+
+export const API_VERSION = 'v9.2';
+
+/**
+ * Get the hosts the user has added as custom Dynamics domains
+ * @returns {Promise<Array<string>>} Custom hosts
+ */
+export const getCustomDynamicsHosts = async () => {
+  try {
+    const { customDynamicsHosts } = await chrome.storage.local.get(['customDynamicsHosts']);
+    return Array.isArray(customDynamicsHosts) ? customDynamicsHosts : [];
+  } catch (error) {
+    console.warn("[Env] Could not read custom Dynamics hosts:", error);
+    return [];
+  }
+};
+
+/**
+ * Check whether a host belongs to a known Dynamics cloud
+ * @param {string} host - Host name
+ * @returns {boolean} Whether the host is a Dynamics instance
+ */
+export const isKnownDynamicsHost = (host) =>
+  !!host && DYNAMICS_CLOUDS.some(cloud => cloud.pattern.test(host));
+
+/**
+ * Extract the Dynamics instance host from a URL
+ * @param {string} url - Any URL
+ * @param {Array<string>} customHosts - Additional hosts treated as Dynamics
+ * @returns {string|null} Host (e.g. contoso.crm4.dynamics.com) or null if not a Dynamics URL
+ */
+export const parseDynamicsHost = (url, customHosts = []) => {
+  if (!url) return null;
+
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:') return null;
+
+    const host = hostname.toLowerCase();
+    if (isKnownDynamicsHost(host) || customHosts.includes(host)) {
+      return host;
+    }
+  } catch (error) {
+    // Not a valid URL
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a URL points at a Dynamics instance
+ * @param {string} url - Any URL
+ * @param {Array<string>} customHosts - Additional hosts treated as Dynamics
+ * @returns {boolean} Whether the URL is a Dynamics URL
+ */
+export const isDynamicsUrl = (url, customHosts = []) => !!parseDynamicsHost(url, customHosts);
+
+/**
+ * Turn a stored organization value into a full host
+ *
+ * Older versions stored only the subdomain of a crm.dynamics.com host.
+ *
+ * @param {string} orgValue - Stored host or legacy subdomain
+ * @returns {string|null} Full host
+ */
+export const normalizeOrgHost = (orgValue) => {
+  if (!orgValue) return null;
+  const value = orgValue.toLowerCase();
+  return value.includes('.') ? value : `${value}.crm.dynamics.com`;
+};
+
+/**
+ * Get the short organization name (first label of the host) for display
+ * @param {string} host - Instance host
+ * @returns {string} Organization name
+ */
+export const getOrgName = (host) => (host ? host.split('.')[0] : '');
+
+/**
+ * Build the Web API base URL for an instance
+ * @param {string} host - Instance host
+ * @returns {string} Base URL for API calls
+ */
+export const getApiBaseUrl = (host) => `https://${host}/api/data/${API_VERSION}`;
+
+/**
+ * Build the OAuth scope for an instance
+ * @param {string} host - Instance host
+ * @returns {string} Scope requesting the instance's default permissions
+ */
+export const getAuthScope = (host) => `https://${host}/.default`;
+
+/**
+ * Get the login host that issues tokens for an instance's cloud
+ * @param {string} host - Instance host
+ * @returns {string} Login host
+ */
+export const getLoginHost = (host) => {
+  const cloud = DYNAMICS_CLOUDS.find(c => c.pattern.test(host || ''));
+  return cloud ? cloud.loginHost : DEFAULT_LOGIN_HOST;
+};
+
+/**
+ * Build a URL that opens a record in the model-driven app
+ * @param {string} host - Instance host
+ * @param {string} entityName - Entity logical name (e.g. opportunity)
+ * @param {string} recordId - Record ID
+ * @param {string} appId - Optional app module ID
+ * @returns {string} Record URL
+ */
+export const getRecordUrl = (host, entityName, recordId, appId = null) => {
+  const appParam = appId ? `appid=${appId}&` : '';
+  return `https://${host}/main.aspx?${appParam}pagetype=entityrecord&etn=${entityName}&id=${recordId}`;
+};
+
+/**
+ * Find the browser tab showing a Dynamics instance
+ *
+ * Prefers the active tab of the given environment, then any tab of that
+ * environment, then any Dynamics tab.
+ *
+ * @param {string} orgHost - Preferred instance host (or legacy subdomain)
+ * @returns {Promise<Object|null>} Chrome tab or null if none is open
+ */
+export const findDynamicsTab = async (orgHost = null) => {
+  const customHosts = await getCustomDynamicsHosts();
+  const tabs = await chrome.tabs.query({});
+  const dynamicsTabs = tabs.filter(tab => isDynamicsUrl(tab.url, customHosts));
+  const preferredHost = normalizeOrgHost(orgHost);
+  const isOrgTab = (tab) => !!preferredHost && parseDynamicsHost(tab.url, customHosts) === preferredHost;
+
+  return dynamicsTabs.find(tab => isOrgTab(tab) && tab.active)
+    || dynamicsTabs.find(isOrgTab)
+    || dynamicsTabs.find(tab => tab.active)
+    || dynamicsTabs[0]
+    || null;
+};
+
+/**
+ * Register the host of a URL as a custom Dynamics domain
+ *
+ * Requests host access for the domain first, so this must be called from a
+ * user gesture.
+ *
+ * @param {string} url - URL of a page on the custom domain
+ * @returns {Promise<string|null>} Added host, or null if access was not granted
+ */
+export const addCustomDynamicsHost = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:') {
+    throw new Error("[Env] Custom Dynamics domains must use https");
+  }
+
+  const host = hostname.toLowerCase();
+  const granted = await chrome.permissions.request({ origins: [`https://${host}/*`] });
+  if (!granted) return null;
+
+  const customHosts = await getCustomDynamicsHosts();
+  if (!customHosts.includes(host)) {
+    await chrome.storage.local.set({ customDynamicsHosts: [...customHosts, host] });
+  }
+
+  return host;
+};
@@ -0,0 +1,244 @@
+/**
+ * Utility functions for working with Dynamics CRM leads
+ *
+ * Leads follow the owner scope of the opportunity list. Conversion analytics
+ * link leads to the opportunities they were qualified into through the
+ * opportunity's originatingleadid.
+ */
+
+import { fetchAllPages, webApiFetch, buildHeaders, chunkArray, buildInFilter, IN_FILTER_CHUNK_SIZE, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl, fetchActivitiesForOpportunity, fetchActivitiesForOpportunities, fetchNotesForRecord } from './opportunityUtils';
+import { resolveScopeOwners, fetchForOwners } from './teamScope';
+
+const LEAD_SELECT = 'leadid,fullname,subject,companyname,jobtitle,emailaddress1,telephone1,createdon,statecode,statuscode,leadsourcecode,leadqualitycode,estimatedvalue,estimatedclosedate,_ownerid_value';
+
+// Lead statecode values
+export const LEAD_STATES = {
+  OPEN: 0,
+  QUALIFIED: 1,
+  DISQUALIFIED: 2
+};
+
+// How far back conversion analytics look
+const CONVERSION_WINDOW_MONTHS = 12;
+
+/**
+ * Get a lead's display name
+ * @param {Object} lead - Lead record
+ * @returns {string} Full name, falling back to topic and company
+ */
+export const getLeadName = (lead) => lead.fullname || lead.subject || lead.companyname || 'Unnamed lead';
+
+/**
+ * Get a lead's source label
+ * @param {Object} lead - Lead record with formatted value annotations
+ * @returns {string} Lead source
+ */
+export const getLeadSourceLabel = (lead) => (
+  lead['leadsourcecode@OData.Community.Display.V1.FormattedValue'] || 'No source'
+);
+
+/**
+ * Fetch the open leads in the current owner scope, with their activities
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {Function} setLoading - State setter for loading indicator
+ * @param {Function} setError - State setter for error message
+ * @param {Function} setLeads - State setter for the leads list
+ * @returns {Promise<void>}
+ */
+export const fetchMyOpenLeads = async (token, setLoading, setError, setLeads) => {
+  try {
+    setLoading(true);
+    setError(null);
+
+    const baseUrl = await getDynamicsBaseUrl();
+    if (!baseUrl) {
+      throw new Error("[LeadUtil][fetchMyOpenLeads] Cannot fetch leads: Organization ID not found. Please navigate to Dynamics CRM first.");
+    }
+
+    const { ownerIds } = await resolveScopeOwners(token);
+    const leads = await fetchForOwners(ownerIds, ownerFilter => fetchAllPages(
+      `${baseUrl}/leads?$filter=statecode eq ${LEAD_STATES.OPEN} and ${ownerFilter}&$select=${LEAD_SELECT}&$orderby=createdon desc`,
+      token,
+      { prefer: [INCLUDE_LOOKUP_ANNOTATIONS], context: "fetch leads" }
+    ));
+
+    let activitiesByLead = {};
+    try {
+      activitiesByLead = await fetchActivitiesForOpportunities(token, leads.map(lead => lead.leadid));
+    } catch (activitiesError) {
+      if (activitiesError.message.includes("Authentication failed")) {
+        throw activitiesError;
+      }
+      // Show the list without activities rather than failing completely
+      console.error("[LeadUtil][fetchMyOpenLeads] Error fetching activities:", activitiesError);
+    }
+
+    setLeads(leads.map(lead => ({
+      ...lead,
+      activities: activitiesByLead[lead.leadid.toLowerCase()] || []
+    })));
+  } catch (error) {
+    console.error("[LeadUtil][fetchMyOpenLeads] Error fetching leads:", error);
+    setError(`Failed to fetch leads: ${error.message}`);
+  } finally {
+    setLoading(false);
+  }
+};
+
+/**
+ * Fetch a lead and its activities
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} leadId - ID of the lead
+ * @param {Function} setLoading - State setter for loading indicator
+ * @param {Function} setError - State setter for error message
+ * @param {Function} setLeadData - State setter for { lead, activities }
+ * @returns {Promise<void>}
+ */
+export const fetchLeadDetails = async (token, leadId, setLoading, setError, setLeadData) => {
+  try {
+    setLoading(true);
+    setError(null);
+
+    const baseUrl = await getDynamicsBaseUrl();
+    if (!baseUrl) {
+      throw new Error("[LeadUtil][fetchLeadDetails] Cannot fetch lead: Organization ID not found. Please navigate to Dynamics CRM first.");
+    }
+
+    const response = await webApiFetch(
+      `${baseUrl}/leads(${leadId})?$select=${LEAD_SELECT}`,
+      { headers: buildHeaders(token, { prefer: [INCLUDE_LOOKUP_ANNOTATIONS] }) },
+      { context: "fetch lead" }
+    );
+
+    if (response.status === 401) {
+      throw new Error("[LeadUtil] Authentication failed. Please log in again.");
+    }
+
+    if (!response.ok) {
+      throw new Error(`[LeadUtil] Failed to fetch lead: ${response.status}`);
+    }
+
+    const lead = await response.json();
+    const activities = (await fetchActivitiesForOpportunity(token, leadId))
+      .sort((a, b) => new Date(b.createdon) - new Date(a.createdon));
+    const notes = await fetchNotesForRecord(token, leadId);
+
+    setLeadData({ lead, activities, notes });
+  } catch (error) {
+    console.error("[LeadUtil][fetchLeadDetails] Error fetching lead:", error);
+    setError(`Failed to fetch lead: ${error.message}`);
+  } finally {
+    setLoading(false);
+  }
+};
+
+/**
+ * Work out conversion figures from leads and the opportunities qualified from them
+ * @param {Array} leads - Leads created in the analysis window
+ * @param {Array} opportunities - Opportunities with _originatingleadid_value in those leads
+ * @returns {Object} Overall conversion rate, average days to qualify and per-source figures
+ */
+export const calculateConversionStats = (leads = [], opportunities = []) => {
+  const leadsById = {};
+  leads.forEach(lead => {
+    leadsById[lead.leadid.toLowerCase()] = lead;
+  });
+
+  // A lead can be qualified into more than one opportunity; count the lead once
+  const opportunitiesByLead = {};
+  opportunities.forEach(opp => {
+    const leadId = opp._originatingleadid_value?.toLowerCase();
+    if (!leadsById[leadId]) return;
+    (opportunitiesByLead[leadId] = opportunitiesByLead[leadId] || []).push(opp);
+  });
+
+  // Conversion is measured against leads that have been decided either way
+  const decidedLeads = leads.filter(lead => lead.statecode !== LEAD_STATES.OPEN);
+  const convertedLeadIds = Object.keys(opportunitiesByLead);
+
+  const qualifyDays = convertedLeadIds.map(leadId => {
+    const firstOpportunity = opportunitiesByLead[leadId]
+      .reduce((first, opp) => (new Date(opp.createdon) < new Date(first.createdon) ? opp : first));
+    return Math.max(0, Math.floor(
+      (new Date(firstOpportunity.createdon) - new Date(leadsById[leadId].createdon)) / (1000 * 60 * 60 * 24)
+    ));
+  });
+
+  const bySource = {};
+  leads.forEach(lead => {
+    const source = getLeadSourceLabel(lead);
+    const entry = bySource[source] = bySource[source] || { source, leads: 0, converted: 0, won: 0, lost: 0 };
+    const leadOpportunities = opportunitiesByLead[lead.leadid.toLowerCase()] || [];
+
+    entry.leads++;
+    if (leadOpportunities.length > 0) entry.converted++;
+    entry.won += leadOpportunities.filter(opp => Number(opp.statecode) === 1).length;
+    entry.lost += leadOpportunities.filter(opp => Number(opp.statecode) === 2).length;
+  });
+
+  return {
+    totalLeads: leads.length,
+    decidedLeads: decidedLeads.length,
+    convertedLeads: convertedLeadIds.length,
+    conversionRate: decidedLeads.length > 0
+      ? Math.round((convertedLeadIds.length / decidedLeads.length) * 100)
+      : 0,
+    averageDaysToQualify: qualifyDays.length > 0
+      ? Math.round(qualifyDays.reduce((sum, days) => sum + days, 0) / qualifyDays.length)
+      : null,
+    sources: Object.values(bySource)
+      .map(entry => ({
+        ...entry,
+        winRate: entry.won + entry.lost > 0 ? Math.round((entry.won / (entry.won + entry.lost)) * 100) : null
+      }))
+      .sort((a, b) => b.leads - a.leads)
+  };
+};
+
+/**
+ * Fetch lead conversion analytics for the current owner scope
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {Function} setLoading - State setter for loading indicator
+ * @param {Function} setError - State setter for error message
+ * @param {Function} setStats - State setter for the result of calculateConversionStats
+ * @returns {Promise<void>}
+ */
+export const fetchLeadConversionStats = async (token, setLoading, setError, setStats) => {
+  try {
+    setLoading(true);
+    setError(null);
+
+    const baseUrl = await getDynamicsBaseUrl();
+    if (!baseUrl) {
+      throw new Error("[LeadUtil][fetchLeadConversionStats] Cannot fetch leads: Organization ID not found. Please navigate to Dynamics CRM first.");
+    }
+
+    const since = new Date();
+    since.setMonth(since.getMonth() - CONVERSION_WINDOW_MONTHS);
+
+    const { ownerIds } = await resolveScopeOwners(token);
+    const leads = await fetchForOwners(ownerIds, ownerFilter => fetchAllPages(
+      `${baseUrl}/leads?$filter=createdon ge ${since.toISOString()} and ${ownerFilter}&$select=leadid,createdon,statecode,leadsourcecode`,
+      token,
+      { prefer: [INCLUDE_LOOKUP_ANNOTATIONS], context: "fetch leads for conversion analytics" }
+    ));
+
+    // Opportunities may be owned by someone else than the lead, so look them up by lead
+    const opportunities = [];
+    for (const idChunk of chunkArray(leads.map(lead => lead.leadid), IN_FILTER_CHUNK_SIZE)) {
+      opportunities.push(...await fetchAllPages(
+        `${baseUrl}/opportunities?$filter=${buildInFilter('_originatingleadid_value', idChunk)}&$select=opportunityid,createdon,statecode,_originatingleadid_value`,
+        token,
+        { context: "fetch converted opportunities" }
+      ));
+    }
+
+    setStats(calculateConversionStats(leads, opportunities));
+  } catch (error) {
+    console.error("[LeadUtil][fetchLeadConversionStats] Error fetching conversion analytics:", error);
+    setError(`Failed to fetch lead conversion analytics: ${error.message}`);
+  } finally {
+    setLoading(false);
+  }
+};
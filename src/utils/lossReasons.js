@@ -0,0 +1,172 @@
+/**
+ * Loss reason analysis
+ *
+ * The reason a deal was lost is the opportunity's status reason (statuscode),
+ * set together with the OpportunityClose activity when it was closed. The
+ * close activity itself carries the free-text description and competitor.
+ * Its own statuscode only says whether the activity was completed or
+ * canceled, which happens when a closed opportunity is reopened.
+ */
+
+import { fetchAllPages, chunkArray, buildInFilter, IN_FILTER_CHUNK_SIZE, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+import { getBaseAmount } from './currencyUtils';
+import { getChoiceLabel } from './metadata';
+
+export const LOSS_PERIODS = {
+  L3M: 'l3m',
+  L12M: 'l12m',
+  ALL: 'all'
+};
+
+export const LOSS_PERIOD_LABELS = {
+  [LOSS_PERIODS.L3M]: 'Last 3 months',
+  [LOSS_PERIODS.L12M]: 'Last 12 months',
+  [LOSS_PERIODS.ALL]: 'All time'
+};
+
+const PERIOD_MONTHS = {
+  [LOSS_PERIODS.L3M]: 3,
+  [LOSS_PERIODS.L12M]: 12
+};
+
+// Deal value bands in base currency; max is exclusive
+export const VALUE_BANDS = [
+  { key: 'all', label: 'Any value', min: 0, max: Infinity },
+  { key: 'small', label: 'Under 10k', min: 0, max: 10000 },
+  { key: 'medium', label: '10k – 50k', min: 10000, max: 50000 },
+  { key: 'large', label: '50k – 250k', min: 50000, max: 250000 },
+  { key: 'enterprise', label: '250k and up', min: 250000, max: Infinity }
+];
+
+// Lost opportunities statecode
+const LOST_STATE = 2;
+
+// Completed OpportunityClose activities; canceled ones belong to reopened deals
+const CLOSE_COMPLETED_STATE = 1;
+
+/**
+ * Get the status reasons the user chose to leave out of the win rate
+ * @returns {Promise<Array<number>>} Excluded statuscode values
+ */
+export const getWinRateExclusions = async () => {
+  const { winRateExcludedReasons } = await chrome.storage.local.get(['winRateExcludedReasons']);
+  return Array.isArray(winRateExcludedReasons) ? winRateExcludedReasons : [];
+};
+
+/**
+ * Save the status reasons to leave out of the win rate
+ * @param {Array<number>} statusCodes - Excluded statuscode values
+ * @returns {Promise<void>}
+ */
+export const setWinRateExclusions = async (statusCodes) => {
+  await chrome.storage.local.set({ winRateExcludedReasons: statusCodes });
+};
+
+/**
+ * Leave out closed deals with an excluded status reason
+ * @param {Array} closedOpportunities - Closed opportunities
+ * @param {Array<number>} excludedReasons - Excluded statuscode values
+ * @returns {Array} Closed opportunities that count towards the win rate
+ */
+export const excludeReasons = (closedOpportunities = [], excludedReasons = []) => (
+  excludedReasons.length === 0
+    ? closedOpportunities
+    : closedOpportunities.filter(opp => !excludedReasons.includes(Number(opp.statuscode)))
+);
+
+/**
+ * Get the value of a closed deal in base currency
+ * @param {Object} opportunity - Closed opportunity
+ * @returns {number} Estimated value, or total amount when no estimate was set
+ */
+export const getDealBaseValue = (opportunity) => (
+  getBaseAmount(opportunity, opportunity.estimatedvalue ? 'estimatedvalue' : 'totalamount')
+);
+
+/**
+ * Filter closed deals by close period and value band
+ * @param {Array} closedOpportunities - Closed opportunities
+ * @param {Object} filters - { period: LOSS_PERIODS value, band: VALUE_BANDS key }
+ * @returns {Array} Matching closed opportunities
+ */
+export const filterClosedDeals = (closedOpportunities = [], { period = LOSS_PERIODS.L12M, band = 'all' } = {}) => {
+  const valueBand = VALUE_BANDS.find(entry => entry.key === band) || VALUE_BANDS[0];
+
+  let since = null;
+  if (PERIOD_MONTHS[period]) {
+    since = new Date();
+    since.setMonth(since.getMonth() - PERIOD_MONTHS[period]);
+  }
+
+  return closedOpportunities.filter(opp => {
+    if (since && (!opp.actualclosedate || new Date(opp.actualclosedate) < since)) return false;
+    const value = getDealBaseValue(opp);
+    return value >= valueBand.min && value < valueBand.max;
+  });
+};
+
+/**
+ * Fetch the close description and competitor of lost opportunities
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {Array<string>} opportunityIds - IDs of the lost opportunities
+ * @returns {Promise<Object>} Map of lower-cased opportunity ID to { description, competitor, closedOn }
+ */
+export const fetchLossDetails = async (token, opportunityIds) => {
+  if (opportunityIds.length === 0) return {};
+
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[LossReasons][fetchLossDetails] Cannot fetch close records: Organization ID not found. Please navigate to Dynamics CRM first.");
+  }
+
+  const closes = [];
+  for (const idChunk of chunkArray(opportunityIds, IN_FILTER_CHUNK_SIZE)) {
+    closes.push(...await fetchAllPages(
+      `${baseUrl}/opportunitycloses?$filter=${buildInFilter('_opportunityid_value', idChunk)} and statecode eq ${CLOSE_COMPLETED_STATE}&$select=activityid,_opportunityid_value,description,subject,_competitorid_value,actualend,createdon&$orderby=createdon desc`,
+      token,
+      { prefer: [INCLUDE_LOOKUP_ANNOTATIONS], context: "fetch opportunity close records" }
+    ));
+  }
+
+  // Newest first, so the first close seen for a deal is its latest one
+  const detailsByOpportunity = {};
+  closes.forEach(close => {
+    const opportunityId = close._opportunityid_value?.toLowerCase();
+    if (!opportunityId || detailsByOpportunity[opportunityId]) return;
+
+    detailsByOpportunity[opportunityId] = {
+      description: close.description || null,
+      competitor: close['_competitorid_value@OData.Community.Display.V1.FormattedValue'] || null,
+      closedOn: close.actualend || close.createdon
+    };
+  });
+
+  return detailsByOpportunity;
+};
+
+/**
+ * Group lost deals by status reason
+ * @param {Array} closedOpportunities - Closed opportunities, already filtered
+ * @param {Object} choices - Opportunity choice map
+ * @returns {Array<{statuscode: number, reason: string, count: number, value: number}>} Reasons by number of deals lost
+ */
+export const summarizeLossReasons = (closedOpportunities = [], choices = null) => {
+  const reasons = {};
+
+  closedOpportunities
+    .filter(opp => Number(opp.statecode) === LOST_STATE)
+    .forEach(opp => {
+      const statuscode = Number(opp.statuscode);
+      const entry = reasons[statuscode] = reasons[statuscode] || {
+        statuscode,
+        reason: getChoiceLabel(choices, 'statuscode', statuscode, opp) || 'No reason',
+        count: 0,
+        value: 0
+      };
+      entry.count += 1;
+      entry.value += getDealBaseValue(opp);
+    });
+
+  return Object.values(reasons).sort((a, b) => b.count - a.count || b.value - a.value);
+};
@@ -0,0 +1,217 @@
+/**
+ * Dataverse metadata service
+ *
+ * Reads choice (option set) labels from EntityDefinitions so status reasons,
+ * sales stages and custom choice columns can be shown by name instead of
+ * number. Labels come back in the signed-in user's UI language
+ * (UserLocalizedLabel) and are cached per organization and user.
+ */
+
+import { fetchAllPages } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+import { getCacheScope, readCache, writeCache } from './cache';
+
+// Choice attribute types and how their options are exposed
+const CHOICE_ATTRIBUTE_TYPES = [
+  'Microsoft.Dynamics.CRM.StateAttributeMetadata',
+  'Microsoft.Dynamics.CRM.StatusAttributeMetadata',
+  'Microsoft.Dynamics.CRM.PicklistAttributeMetadata'
+];
+
+// Built-in labels used until metadata has loaded
+const DEFAULT_STATE_LABELS = {
+  0: 'Open',
+  1: 'Won',
+  2: 'Lost'
+};
+
+// Metadata loaded this session, plus loads currently running
+const metadataByScope = {};
+const inFlightLoads = {};
+
+const getLabel = (labelMetadata) =>
+  labelMetadata?.UserLocalizedLabel?.Label ||
+  labelMetadata?.LocalizedLabels?.[0]?.Label ||
+  null;
+
+/**
+ * Turn attribute metadata into a label lookup
+ * @param {Array} attributes - Choice attribute metadata
+ * @returns {Object} Map of attribute logical name to { displayName, isCustom, options, states }
+ */
+const buildChoiceMap = (attributes) => {
+  const choices = {};
+
+  attributes.forEach(attribute => {
+    const optionSet = attribute.OptionSet || attribute.GlobalOptionSet;
+    if (!optionSet?.Options) return;
+
+    const options = {};
+    const states = {};
+    optionSet.Options.forEach(option => {
+      options[option.Value] = getLabel(option.Label) || String(option.Value);
+
+      // Status reasons also record the state they belong to
+      if (option.State !== undefined) {
+        states[option.Value] = option.State;
+      }
+    });
+
+    choices[attribute.LogicalName] = {
+      displayName: getLabel(attribute.DisplayName) || attribute.LogicalName,
+      isCustom: !!attribute.IsCustomAttribute,
+      options,
+      states
+    };
+  });
+
+  return choices;
+};
+
+/**
+ * Load the choice columns of an entity from the Web API
+ * @param {string} token - Access token
+ * @param {string} entityName - Entity logical name
+ * @returns {Promise<Object>} Choice map
+ */
+const loadEntityChoices = async (token, entityName) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[Metadata] Organization ID not found");
+  }
+
+  const attributes = [];
+
+  for (const attributeType of CHOICE_ATTRIBUTE_TYPES) {
+    const expand = attributeType.endsWith('PicklistAttributeMetadata')
+      ? 'OptionSet($select=Options),GlobalOptionSet($select=Options)'
+      : 'OptionSet($select=Options)';
+
+    const url = `${baseUrl}/EntityDefinitions(LogicalName='${entityName}')/Attributes/${attributeType}` +
+      `?$select=LogicalName,DisplayName,IsCustomAttribute&$expand=${expand}`;
+
+    const records = await fetchAllPages(url, token, { context: `read ${entityName} choice labels` });
+    attributes.push(...records);
+  }
+
+  return buildChoiceMap(attributes);
+};
+
+/**
+ * Get the choice labels of an entity, cached per organization and user
+ * @param {string} token - Access token
+ * @param {string} entityName - Entity logical name (e.g. opportunity)
+ * @returns {Promise<Object>} Map of attribute logical name to choice metadata
+ */
+export const fetchEntityChoices = async (token, entityName) => {
+  const scope = await getCacheScope();
+  const cacheEntity = `metadata:${entityName}`;
+  const scopeKey = scope ? `${scope.orgId}:${scope.userId}:${entityName}` : entityName;
+
+  if (metadataByScope[scopeKey]) return metadataByScope[scopeKey];
+
+  const cached = await readCache(scope, cacheEntity);
+  if (cached?.data) {
+    metadataByScope[scopeKey] = cached.data;
+    return cached.data;
+  }
+
+  // Share one load between components that ask at the same time
+  if (!inFlightLoads[scopeKey]) {
+    inFlightLoads[scopeKey] = loadEntityChoices(token, entityName)
+      .then(async (choices) => {
+        metadataByScope[scopeKey] = choices;
+        await writeCache(scope, cacheEntity, choices);
+        return choices;
+      })
+      .finally(() => {
+        delete inFlightLoads[scopeKey];
+      });
+  }
+
+  return inFlightLoads[scopeKey];
+};
+
+/**
+ * Get the label of a choice value
+ *
+ * Falls back to the formatted value annotation on the record when the
+ * metadata hasn't loaded, and to the raw number after that.
+ *
+ * @param {Object} choices - Result of fetchEntityChoices
+ * @param {string} attribute - Attribute logical name
+ * @param {number} value - Choice value
+ * @param {Object} record - Optional record carrying formatted value annotations
+ * @returns {string|null} Label, or null if the value is empty
+ */
+export const getChoiceLabel = (choices, attribute, value, record = null) => {
+  if (value === undefined || value === null) return null;
+
+  const label = choices?.[attribute]?.options?.[value];
+  if (label) return label;
+
+  const formatted = record?.[`${attribute}@OData.Community.Display.V1.FormattedValue`];
+  if (formatted) return formatted;
+
+  if (attribute === 'statecode' && DEFAULT_STATE_LABELS[value]) {
+    return DEFAULT_STATE_LABELS[value];
+  }
+
+  return String(value);
+};
+
+/**
+ * Describe the status of an opportunity, e.g. "Won (Signed contract)"
+ * @param {Object} opportunity - Opportunity with statecode and statuscode
+ * @param {Object} choices - Opportunity choice map
+ * @returns {string} Status label
+ */
+export const getOpportunityStatusLabel = (opportunity, choices) => {
+  if (!opportunity) return '';
+
+  const state = getChoiceLabel(choices, 'statecode', opportunity.statecode, opportunity);
+  const reason = getChoiceLabel(choices, 'statuscode', opportunity.statuscode, opportunity);
+
+  if (!reason || reason === state) return state || '';
+  return state ? `${state} (${reason})` : reason;
+};
+
+/**
+ * Get the stage an opportunity is in
+ *
+ * Prefers the business process stage name (stepname) and falls back to the
+ * sales stage choice column.
+ *
+ * @param {Object} opportunity - Opportunity record
+ * @param {Object} choices - Opportunity choice map
+ * @returns {string|null} Stage name, or null if none is set
+ */
+export const getOpportunityStageLabel = (opportunity, choices) => {
+  if (!opportunity) return null;
+
+  if (opportunity.stepname) {
+    // Stage names are usually prefixed with their order, e.g. "2-Develop"
+    return opportunity.stepname.replace(/^\d+-/, '');
+  }
+
+  return getChoiceLabel(choices, 'salesstage', opportunity.salesstage, opportunity);
+};
+
+/**
+ * List the custom choice columns that have a value on a record
+ * @param {Object} record - Record with all columns
+ * @param {Object} choices - Entity choice map
+ * @returns {Array<{attribute: string, displayName: string, label: string}>} Filled custom choices
+ */
+export const getCustomChoiceValues = (record, choices) => {
+  if (!record || !choices) return [];
+
+  return Object.entries(choices)
+    .filter(([attribute, choice]) => choice.isCustom && record[attribute] !== undefined && record[attribute] !== null)
+    .map(([attribute, choice]) => ({
+      attribute,
+      displayName: choice.displayName,
+      label: getChoiceLabel(choices, attribute, record[attribute], record)
+    }))
+    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+};
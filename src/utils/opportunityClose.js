@@ -0,0 +1,156 @@
+/**
+ * Closing opportunities as won or lost
+ *
+ * Dynamics doesn't allow closing an opportunity by updating its state. The
+ * WinOpportunity and LoseOpportunity actions take an OpportunityClose record
+ * (actual revenue, close date, competitor, description) and set the status
+ * reason in one step.
+ */
+
+import { fetchAllPages, webApiFetch, buildHeaders, readErrorText, getThrottleErrorMessage, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+
+export const CLOSE_OUTCOMES = {
+  WON: 'won',
+  LOST: 'lost'
+};
+
+// State each outcome moves the opportunity to, the action that does it and the built-in status reasons
+const OUTCOME_SETTINGS = {
+  [CLOSE_OUTCOMES.WON]: {
+    statecode: 1,
+    action: 'WinOpportunity',
+    defaultReasons: { 3: 'Won' }
+  },
+  [CLOSE_OUTCOMES.LOST]: {
+    statecode: 2,
+    action: 'LoseOpportunity',
+    defaultReasons: { 4: 'Canceled', 5: 'Out-Sold' }
+  }
+};
+
+// Competitors loaded this session, keyed by organization URL
+const competitorsByOrg = {};
+
+/**
+ * List the status reasons available for an outcome
+ * @param {Object} choices - Opportunity choice map from fetchEntityChoices
+ * @param {string} outcome - CLOSE_OUTCOMES value
+ * @returns {Array<{value: number, label: string}>} Status reasons
+ */
+export const getCloseStatusReasons = (choices, outcome) => {
+  const settings = OUTCOME_SETTINGS[outcome];
+  const statusChoice = choices?.statuscode;
+
+  const reasons = statusChoice
+    ? Object.entries(statusChoice.options)
+        .filter(([value]) => statusChoice.states[value] === settings.statecode)
+    : [];
+
+  return (reasons.length > 0 ? reasons : Object.entries(settings.defaultReasons))
+    .map(([value, label]) => ({ value: Number(value), label }));
+};
+
+/**
+ * Fetch the competitors that can be recorded on a close
+ * @param {string} token - Access token
+ * @returns {Promise<Array<{id: string, name: string}>>} Competitors by name
+ */
+export const fetchCompetitors = async (token) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[OpportunityClose] Organization ID not found");
+  }
+
+  if (competitorsByOrg[baseUrl]) return competitorsByOrg[baseUrl];
+
+  const records = await fetchAllPages(
+    `${baseUrl}/competitors?$select=competitorid,name&$orderby=name`,
+    token,
+    { context: "fetch competitors" }
+  );
+
+  competitorsByOrg[baseUrl] = records.map(record => ({ id: record.competitorid, name: record.name }));
+  return competitorsByOrg[baseUrl];
+};
+
+/**
+ * Close an opportunity as won or lost
+ * @param {string} token - Access token
+ * @param {Object} opportunity - Opportunity to close
+ * @param {Object} values - Close details
+ * @param {string} values.outcome - CLOSE_OUTCOMES value
+ * @param {number} values.statuscode - Status reason
+ * @param {number} values.actualRevenue - Actual revenue
+ * @param {string} values.closeDate - Close date (YYYY-MM-DD)
+ * @param {string} values.competitorId - Optional competitor ID
+ * @param {string} values.description - Optional description
+ * @returns {Promise<Object>} The closed opportunity record
+ */
+export const closeOpportunity = async (token, opportunity, values) => {
+  const settings = OUTCOME_SETTINGS[values.outcome];
+  if (!settings) {
+    throw new Error(`[OpportunityClose] Unknown outcome: ${values.outcome}`);
+  }
+
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[OpportunityClose] Organization ID not found");
+  }
+
+  const opportunityClose = {
+    subject: `${values.outcome === CLOSE_OUTCOMES.WON ? 'Won' : 'Lost'}: ${opportunity.name || 'Opportunity'}`,
+    actualrevenue: values.actualRevenue === '' || values.actualRevenue === null ? null : Number(values.actualRevenue),
+    actualend: values.closeDate,
+    description: values.description || null,
+    "opportunityid@odata.bind": `/opportunities(${opportunity.opportunityid})`
+  };
+
+  if (values.competitorId) {
+    opportunityClose["competitorid@odata.bind"] = `/competitors(${values.competitorId})`;
+  }
+
+  const context = `close opportunity as ${values.outcome}`;
+  const response = await webApiFetch(`${baseUrl}/${settings.action}`, {
+    method: 'POST',
+    headers: buildHeaders(token),
+    body: JSON.stringify({
+      OpportunityClose: opportunityClose,
+      Status: Number(values.statuscode)
+    })
+  }, { context });
+
+  if (response.status === 401) {
+    throw new Error("[OpportunityClose] Authentication failed. Please log in again.");
+  }
+
+  const throttleMessage = getThrottleErrorMessage(response, context);
+  if (throttleMessage) {
+    throw new Error(`[OpportunityClose] ${throttleMessage}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`[OpportunityClose] Failed to ${context}: ${response.status} ${await readErrorText(response)}`);
+  }
+
+  // Read the record back so totals and close date match what Dynamics saved
+  const recordResponse = await webApiFetch(
+    `${baseUrl}/opportunities(${opportunity.opportunityid})`,
+    { headers: buildHeaders(token, { prefer: [INCLUDE_LOOKUP_ANNOTATIONS] }) },
+    { context: "fetch closed opportunity" }
+  );
+
+  if (!recordResponse.ok) {
+    // The close succeeded; fall back to what we know locally
+    console.warn(`[OpportunityClose] Could not read closed opportunity: ${recordResponse.status}`);
+    return {
+      ...opportunity,
+      statecode: settings.statecode,
+      statuscode: Number(values.statuscode),
+      actualclosedate: values.closeDate,
+      actualvalue: opportunityClose.actualrevenue
+    };
+  }
+
+  return recordResponse.json();
+};
@@ -2,8 +2,26 @@
  * Utility functions for working with Dynamics CRM Opportunities
  */
 
-// Dynamic BASE_URL - will be set after determining organization ID
-let BASE_URL = null;
+import { fetchAllPages, chunkArray, buildInFilter, IN_FILTER_CHUNK_SIZE, webApiFetch, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { syncTrackedEntity, syncTrackedActivities } from './deltaSync';
+import {
+  parseDynamicsHost,
+  isDynamicsUrl,
+  getCustomDynamicsHosts,
+  normalizeOrgHost,
+  getApiBaseUrl,
+  getRecordUrl
+} from './environment';
+import { getAppId } from './appModule';
+import { getOpportunityStatusLabel, getOpportunityStageLabel } from './metadata';
+import { normalizeActivityParties } from './activityUtils';
+import { toNoteActivity } from './activityWrites';
+import { resolveScopeOwners, fetchForOwners } from './teamScope';
+import { getViewSetting, fetchViewRecords } from './savedViews';
+
+// Columns loaded for the open and closed opportunity lists
+const OPEN_OPPORTUNITY_QUERY = '$select=name,opportunityid,_customerid_value,_ownerid_value,createdon,statecode,statuscode,salesstage,stepname,estimatedvalue,estimatedvalue_base,_transactioncurrencyid_value,exchangerate,estimatedclosedate,actualclosedate,closeprobability&$expand=customerid_account($select=name)';
+const CLOSED_OPPORTUNITY_QUERY = '$select=name,statecode,statuscode,_customerid_value,_ownerid_value,opportunityid,estimatedvalue,estimatedvalue_base,totalamount,totalamount_base,_transactioncurrencyid_value,actualclosedate,totaldiscountamount,exchangerate,createdon&$orderby=actualclosedate desc';
 
 
 // Token debug helper
@@ -24,19 +42,18 @@ const debugToken = (token) => {
 
 
 /**
- * Extract organization ID from Dynamics CRM URL
+ * Extract organization ID (the full instance host) from Dynamics CRM URL
  * @param {string} url - Dynamics CRM URL
- * @returns {string|null} Organization ID or null if not found
+ * @param {Array<string>} customHosts - Additional hosts treated as Dynamics
+ * @returns {string|null} Instance host (e.g. contoso.crm4.dynamics.com) or null if not found
  */
-export const extractOrgIdFromUrl = (url) => {
+export const extractOrgIdFromUrl = (url, customHosts = []) => {
   if (!url) return null;
   
-  // Pattern for org ID in CRM URLs (e.g., https://orgXXXXXXX.crm.dynamics.com)
-  const orgPattern = /https:\/\/([^.]+)\.crm\.dynamics\.com/;
-  const matches = url.match(orgPattern);
+  const host = parseDynamicsHost(url, customHosts);
   
-  if (matches && matches[1]) {
-    return matches[1];
+  if (host) {
+    return host;
   }
   console.warn("Could not extract organization ID from URL:", url);
   return null;
@@ -46,7 +63,7 @@ export const extractOrgIdFromUrl = (url) => {
 
 /**
  * Get the current organization ID from storage or active tab
- * @returns {Promise<string|null>} Organization ID or null if not found
+ * @returns {Promise<string|null>} Instance host (e.g. contoso.crm4.dynamics.com) or null if not found
  */
 export const getCurrentOrgId = async () => {
   try {
@@ -55,15 +72,16 @@ export const getCurrentOrgId = async () => {
     
     // Use whichever is available
     if (currentOrgId || organizationId) {
-      const usedOrgId = currentOrgId || organizationId;
+      const usedOrgId = normalizeOrgHost(currentOrgId || organizationId);
       return usedOrgId;
     }
     
     // If not in storage, try to get it from the active tab
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     const activeTab = tabs[0];
+    const customHosts = await getCustomDynamicsHosts();
     
-    if (activeTab?.url && activeTab.url.includes('crm.dynamics.com')) {
+    if (activeTab?.url && isDynamicsUrl(activeTab.url, customHosts)) {
       try {
         const response = await new Promise((resolve, reject) => {
           try {
@@ -87,23 +105,24 @@ export const getCurrentOrgId = async () => {
         });
         
         if (response?.organizationId) {
+          const orgHost = normalizeOrgHost(response.organizationId);
+          
           // Store for later use
           chrome.storage.local.set({ 
-            currentOrgId: response.organizationId,
-            organizationId: response.organizationId,
+            currentOrgId: orgHost,
+            organizationId: orgHost,
             lastOrgIdUpdated: Date.now() 
           });
           
-          return response.organizationId;
+          return orgHost;
         }
       } catch (error) {
         console.warn("Could not communicate with content script:", error);
         
         // Try to extract from URL directly as fallback
         if (activeTab.url) {
-          const match = activeTab.url.match(/https:\/\/([^.]+)\.crm\.dynamics\.com/i);
-          if (match && match[1]) {
-            const extractedOrgId = match[1];
+          const extractedOrgId = parseDynamicsHost(activeTab.url, customHosts);
+          if (extractedOrgId) {
             
             // Store the ID
             chrome.storage.local.set({ 
@@ -130,20 +149,74 @@ export const getCurrentOrgId = async () => {
  * @returns {Promise<string|null>} Base URL for API calls or null if org ID not found
  */
 export const getDynamicsBaseUrl = async () => {
-  // Return cached value if available
-  if (BASE_URL) return BASE_URL;
-  
-  const orgId = await getCurrentOrgId();
+  // Resolved on every call so switching environments never reuses a stale host
+  const orgHost = await getCurrentOrgId();
   
-  if (!orgId) {
+  if (!orgHost) {
     console.error("Cannot create base URL: No organization ID available");
     return null;
   }
   
-  BASE_URL = `https://${orgId}.crm.dynamics.com/api/data/v9.2`;
-  return BASE_URL;
+  return getApiBaseUrl(orgHost);
 };
 
+/**
+ * Give a change-tracked opportunity the same customer shape as an expanded query
+ * @param {Object} opportunity - Opportunity with formatted value annotations
+ * @returns {Object} Opportunity with customerid_account.name set
+ */
+const withCustomerName = (opportunity) => {
+  const customerName = opportunity['_customerid_value@OData.Community.Display.V1.FormattedValue'];
+  if (opportunity.customerid_account || !customerName) return opportunity;
+
+  return {
+    ...opportunity,
+    customerid_account: { name: customerName }
+  };
+};
+
+/**
+ * Check whether a record is owned by one of the given owners
+ * @param {Object} record - Record with _ownerid_value
+ * @param {Set<string>} ownerIds - Lower-cased owner IDs
+ * @returns {boolean} Whether the record is in scope
+ */
+const isOwnedBy = (record, ownerIds) => ownerIds.has(record._ownerid_value?.toLowerCase());
+
+/**
+ * Get the open opportunities of the given owners from the change-tracked store
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} baseUrl - Web API base URL
+ * @param {Array<string>} ownerIds - Owners in the current scope
+ * @returns {Promise<Array|null>} Open opportunities, or null if change tracking is unavailable
+ */
+const getTrackedOpenOpportunities = async (token, baseUrl, ownerIds) => {
+  const tracked = await syncTrackedEntity(token, baseUrl, 'opportunities', ownerIds);
+  if (!tracked) return null;
+
+  const ownerSet = new Set(ownerIds);
+  return tracked
+    .filter(opportunity => opportunity.statecode === 0 && isOwnedBy(opportunity, ownerSet))
+    .map(withCustomerName);
+};
+
+/**
+ * Fetch the open opportunities of the given owners
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} baseUrl - Web API base URL
+ * @param {Array<string>} ownerIds - Owners in the current scope
+ * @param {string} context - Description of the request for error messages
+ * @returns {Promise<Array>} Open opportunities
+ */
+const fetchOpenOpportunitiesForOwners = async (token, baseUrl, ownerIds, context) => (
+  await getTrackedOpenOpportunities(token, baseUrl, ownerIds) ||
+  await fetchForOwners(ownerIds, ownerFilter => fetchAllPages(
+    `${baseUrl}/opportunities?$filter=statecode eq 0 and ${ownerFilter}&${OPEN_OPPORTUNITY_QUERY}`,
+    token,
+    { prefer: [INCLUDE_LOOKUP_ANNOTATIONS], context }
+  ))
+);
+
 
 /**
  * Fetch current user information with customized response handling
@@ -168,7 +241,7 @@ export const getCurrentUserId = async (token) => {
       formattedToken = `Bearer ${token}`;
     }
 
-    const response = await fetch(`${baseUrl}/WhoAmI`, {
+    const response = await webApiFetch(`${baseUrl}/WhoAmI`, {
       method: 'GET',
       headers: {
         "Authorization": `${token}`,
@@ -177,7 +250,7 @@ export const getCurrentUserId = async (token) => {
         "OData-Version": "4.0",
         "Content-Type": "application/json"
       }
-    });
+    }, { context: "fetch current user" });
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -236,8 +309,9 @@ export const getCurrentOpportunityId = async () => {
     // If not in storage, try to get from active tab
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     const activeTab = tabs[0];
+    const customHosts = await getCustomDynamicsHosts();
     
-    if (activeTab?.url && activeTab.url.includes('crm.dynamics.com')) {
+    if (activeTab?.url && isDynamicsUrl(activeTab.url, customHosts)) {
       return new Promise((resolve, reject) => {
         try {
           chrome.tabs.sendMessage(
@@ -268,7 +342,36 @@ export const getCurrentOpportunityId = async () => {
 };
 
 /**
- * Fetch activities related to an opportunity
+ * Fetch the notes of a record as timeline entries
+ *
+ * Notes are kept apart from the activities: they are shown in the timeline but
+ * are not customer contact, so they don't count in activity figures.
+ *
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} recordId - ID of the opportunity or lead
+ * @returns {Promise<Array>} Notes in the shape of activities, newest first
+ */
+export const fetchNotesForRecord = async (token, recordId) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    console.error("Cannot fetch notes: Organization ID not found");
+    return [];
+  }
+
+  const notesUrl = `${baseUrl}/annotations?$filter=_objectid_value eq ${recordId}&$select=annotationid,subject,notetext,createdon&$orderby=createdon desc`;
+
+  try {
+    const notes = await fetchAllPages(notesUrl, token, { context: "fetch notes" });
+    return notes.map(toNoteActivity);
+  } catch (error) {
+    // Notes are secondary; the rest of the view still loads without them
+    console.warn("[OppUtil][fetchNotesForRecord] Could not fetch notes:", error);
+    return [];
+  }
+};
+
+/**
+ * Fetch activities related to an opportunity, with their participants
  * @param {string} token - Access token for Dynamics CRM
  * @param {string} opportunityId - ID of the opportunity
  * @returns {Promise<Array>} Array of activity objects
@@ -281,37 +384,81 @@ export const fetchActivitiesForOpportunity = async (token, opportunityId) => {
     return [];
   }
   
-  const activitiesUrl = `${baseUrl}/activitypointers?$filter=_regardingobjectid_value eq '${opportunityId}'&$select=activityid,subject,activitytypecode,actualstart,actualend,createdon,scheduledstart`;
+  const activitiesUrl = `${baseUrl}/activitypointers?$filter=_regardingobjectid_value eq '${opportunityId}'&$select=activityid,subject,activitytypecode,actualstart,actualend,createdon,scheduledstart` +
+    `&$expand=activity_pointer_activity_parties($select=participationtypemask,_partyid_value,addressused)`;
 
   try {
-    const response = await fetch(activitiesUrl, {
-      headers: {
-        "Authorization": `${token}`,
-        "Accept": "application/json",
-        "OData-MaxVersion": "4.0",
-        "OData-Version": "4.0"
-      }
+    const activities = await fetchAllPages(activitiesUrl, token, {
+      prefer: [INCLUDE_LOOKUP_ANNOTATIONS],
+      context: "fetch activities"
     });
-    
-    // Handle authentication error
-    if (response.status === 401) {
-      console.warn("Authentication token expired or invalid when fetching activities");
-      return [];
-    }
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to fetch activities: ${response.status} - ${errorText}`);
-    }
 
-    const data = await response.json();
-    return data.value || [];
+    return activities.map(activity => ({
+      ...activity,
+      participants: normalizeActivityParties(activity.activity_pointer_activity_parties)
+    }));
   } catch (error) {
+    // Authentication errors are surfaced by the opportunity fetch itself
     console.error("Error fetching activities:", error);
     return [];
   }
 };
 
+/**
+ * Fetch activities for many opportunities in a few round trips
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {Array<string>} opportunityIds - IDs of the opportunities
+ * @returns {Promise<Object>} Map of opportunity ID to its activities, newest first
+ */
+export const fetchActivitiesForOpportunities = async (token, opportunityIds) => {
+  const activitiesByOpportunity = {};
+  opportunityIds.forEach(id => {
+    activitiesByOpportunity[id.toLowerCase()] = [];
+  });
+
+  if (opportunityIds.length === 0) return activitiesByOpportunity;
+
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[OppUtil][fetchActivitiesForOpportunities] Cannot fetch activities: Organization ID not found");
+  }
+
+  // Prefer the change-tracked store, which only pulls what changed since the last load
+  const { ownerIds } = await resolveScopeOwners(token);
+  const tracked = await syncTrackedActivities(token, baseUrl, ownerIds);
+  let queryIds = opportunityIds;
+
+  if (tracked) {
+    tracked.activities
+      .filter(activity => tracked.coveredIds.has(activity._regardingobjectid_value?.toLowerCase()))
+      .filter(activity => activitiesByOpportunity[activity._regardingobjectid_value.toLowerCase()])
+      .sort((a, b) => new Date(b.createdon) - new Date(a.createdon))
+      .forEach(activity => {
+        activitiesByOpportunity[activity._regardingobjectid_value.toLowerCase()].push(activity);
+      });
+
+    // Records outside the scope (e.g. leads or someone else's deals) still need a query
+    queryIds = opportunityIds.filter(id => !tracked.coveredIds.has(id.toLowerCase()));
+  }
+
+  // One query per chunk of IDs instead of one query per opportunity
+  for (const idChunk of chunkArray(queryIds, IN_FILTER_CHUNK_SIZE)) {
+    const activitiesUrl = `${baseUrl}/activitypointers?$filter=${buildInFilter('_regardingobjectid_value', idChunk)}&$select=activityid,subject,activitytypecode,scheduledstart,actualstart,createdon,_regardingobjectid_value&$orderby=createdon desc`;
+
+    const activities = await fetchAllPages(activitiesUrl, token, { context: "fetch opportunity activities" });
+
+    // Results are ordered by createdon, so each opportunity's list stays newest first
+    activities.forEach(activity => {
+      const regardingId = activity._regardingobjectid_value?.toLowerCase();
+      if (regardingId && activitiesByOpportunity[regardingId]) {
+        activitiesByOpportunity[regardingId].push(activity);
+      }
+    });
+  }
+
+  return activitiesByOpportunity;
+};
+
 /**
  * Fetch details for a specific opportunity
  * @param {string} token - Access token for Dynamics CRM
@@ -320,6 +467,7 @@ export const fetchActivitiesForOpportunity = async (token, opportunityId) => {
  * @param {Function} setError - State setter for error message
  * @param {Function} setCurrentOpportunity - State setter for opportunity details
  * @param {Function} setActivities - State setter for activities list
+ * @param {Function} setNotes - State setter for the notes shown in the timeline
  * @returns {Promise<void>}
  */
 export const fetchOpportunityDetails = async (
@@ -328,7 +476,8 @@ export const fetchOpportunityDetails = async (
   setLoading, 
   setError, 
   setCurrentOpportunity, 
-  setActivities
+  setActivities,
+  setNotes
 ) => {
   if (!oppId) return;
   
@@ -359,7 +508,7 @@ export const fetchOpportunityDetails = async (
     for (const url of formats) {
       
       try {
-        const response = await fetch(url, {
+        const response = await webApiFetch(url, {
           headers: { 
             "Authorization": `${token}`,
             "Accept": "application/json",
@@ -367,7 +516,7 @@ export const fetchOpportunityDetails = async (
             "OData-Version": "4.0",
             "Content-Type": "application/json"
           },
-        });
+        }, { context: "fetch opportunity details" });
                 
         // Check for authentication error
         if (response.status === 401) {
@@ -423,6 +572,10 @@ export const fetchOpportunityDetails = async (
     const activityData = await fetchActivitiesForOpportunity(token, oppId);
     setActivities(activityData);
     
+    if (setNotes) {
+      setNotes(await fetchNotesForRecord(token, oppId));
+    }
+    
   } catch (error) {
     console.error("[OppUtil][fetchOpportunityDetails] Error fetching opportunity details:", error);
     setError(`[OppUtil][fetchOpportunityDetails] Failed to fetch opportunity details: ${error.message}`);
@@ -457,99 +610,49 @@ export const fetchOpportunitiesWithActivities = async (
       throw new Error("[OppUtil][fetchOpportunitiesWithActivities] Cannot fetch opportunities: Organization ID not found. Please navigate to Dynamics CRM first.");
     }
     
-    // Get current user ID first
-    const currentUserId = await getCurrentUserId(token);
-    
-    if (!currentUserId) {
-      throw new Error("[OppUtil][fetchOpportunitiesWithActivities] Could not determine current user ID");
-    }
-    
-    // Build the URL to fetch open opportunities for current user
-    const url = `${baseUrl}/opportunities?$filter=statecode eq 0 and _ownerid_value eq ${currentUserId}&$select=name,opportunityid,_customerid_value,createdon,statecode,estimatedvalue,estimatedclosedate,actualclosedate&$expand=customerid_account($select=name)`;
-        
-    const response = await fetch(url, {
-      headers: { 
-        "Authorization": `${token}`,
-        "Accept": "application/json",
-        "OData-MaxVersion": "4.0",
-        "OData-Version": "4.0"
-      },
-    });
-    
-    if (response.status === 401) {
-      console.warn("[OppUtil][fetchOpportunitiesWithActivities] Status 401: Authentication token expired or invalid.");
-      throw new Error("[OppUtil][fetchOpportunitiesWithActivities] Status 401: Authentication failed. Please log in again.");
-    }
-    
-    if (!response.ok) {
-      let errorText = '';
-      try {
-        const errorData = await response.json();
-        errorText = JSON.stringify(errorData);
-      } catch (e) {
-        errorText = await response.text();
+    // A picked Dynamics view replaces the built-in owner filter
+    const view = await getViewSetting();
+    let opportunities;
+    if (view) {
+      const viewRecords = await fetchViewRecords(token, baseUrl, view, "fetch opportunities list");
+      opportunities = viewRecords.map(withCustomerName);
+    } else {
+      // Owners in the selected scope (just the current user unless a team scope is picked)
+      const { ownerIds } = await resolveScopeOwners(token);
+      opportunities = await fetchOpenOpportunitiesForOwners(token, baseUrl, ownerIds, "fetch opportunities list");
+    }
+    
+    // Fetch activities for all opportunities in chunked queries
+    const opportunityIds = opportunities
+      .map(opportunity => opportunity.opportunityid)
+      .filter(Boolean);
+
+    let activitiesByOpportunity = {};
+    try {
+      activitiesByOpportunity = await fetchActivitiesForOpportunities(token, opportunityIds);
+    } catch (activitiesError) {
+      if (activitiesError.message.includes("Authentication failed")) {
+        throw activitiesError;
       }
-      
-      console.error(`[OppUtil][fetchOpportunitiesWithActivities] API Error: ${response.status}`, errorText);
-      throw new Error(`[OppUtil][fetchOpportunitiesWithActivities] Failed to fetch data: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    
-    // Fetch activities for each opportunity
-    const opportunitiesWithActivities = await Promise.all(
-      (data.value || []).map(async (opportunity, index) => {
-        try {
-          // Ensure opportunity object always has an activities array
-          const opportunityId = opportunity.opportunityid;
-          if (!opportunityId) {
-            console.warn(`[OppUtil][fetchOpportunitiesWithActivities] Skipping opportunity at index ${index} without ID`, opportunity);
-            return { 
-              ...opportunity, 
-              opportunities_list_index: index, // Use a more explicit name
-              activities: [], 
-              lastActivity: null 
-            };
-          }
-          
-          // Fetch activities for this opportunity
-          const baseUrl = await getDynamicsBaseUrl();
-          const activitiesUrl = `${baseUrl}/activitypointers?$filter=_regardingobjectid_value eq ${opportunityId}&$select=activityid,subject,activitytypecode,scheduledstart,actualstart,createdon&$orderby=createdon desc`;
-          
-          const activitiesResponse = await fetch(activitiesUrl, {
-            headers: { 
-              "Authorization": `${token}`,
-              "Accept": "application/json",
-              "OData-MaxVersion": "4.0",
-              "OData-Version": "4.0"
-            },
-          });
-          
-          let activities = [];
-          if (activitiesResponse.ok) {
-            const activitiesData = await activitiesResponse.json();
-            activities = activitiesData.value || [];
-          }
-    
-          return {
-            ...opportunity,
-            opportunities_list_index: index,
-            activities: activities,
-            lastActivity: activities.length > 0 
-              ? activities[0].createdon 
-              : null
-          };
-        } catch (error) {
-          console.error(`[OppUtil][fetchOpportunitiesWithActivities] Error processing opportunity at index ${index}:`, error);
-          return {
-            ...opportunity,
-            opportunities_list_index: index,
-            activities: [],
-            lastActivity: null
-          };
-        }
-      })
-    );
+      // Show the list without activities rather than failing completely
+      console.error("[OppUtil][fetchOpportunitiesWithActivities] Error fetching activities:", activitiesError);
+    }
+
+    const opportunitiesWithActivities = opportunities.map((opportunity, index) => {
+      // Ensure opportunity object always has an activities array
+      const activities = opportunity.opportunityid
+        ? activitiesByOpportunity[opportunity.opportunityid.toLowerCase()] || []
+        : [];
+
+      return {
+        ...opportunity,
+        opportunities_list_index: index,
+        activities: activities,
+        lastActivity: activities.length > 0 
+          ? activities[0].createdon 
+          : null
+      };
+    });
 
     // Set opportunities with their activities
     setOpportunities(opportunitiesWithActivities);
@@ -570,7 +673,7 @@ export const fetchOpportunitiesWithActivities = async (
 };
 
 /**
- * Fetch all open opportunities owned by the current user
+ * Fetch all open opportunities owned by the current user, or their team in a team scope
  * @param {string} token - Access token for Dynamics CRM
  * @param {Function} setLoading - State setter for loading indicator
  * @param {Function} setError - State setter for error message
@@ -593,47 +696,13 @@ export const fetchMyOpenOpportunities = async (
       throw new Error("[OppUtil][fetchMyOpenOpportunities] Cannot fetch opportunities: Organization ID not found. Please navigate to Dynamics CRM first.");
     }
     
-    // First get the current user ID
-    const currentUserId = await getCurrentUserId(token);
-    
-    if (!currentUserId) {
-      throw new Error("[OppUtil][fetchMyOpenOpportunities] Could not determine current user ID");
-    }
-        
-    // Build the URL to fetch open opportunities for current user
-    const url = `${baseUrl}/opportunities?$filter=statecode eq 0 and _ownerid_value eq ${currentUserId}&$select=name,opportunityid,_customerid_value,createdon,statecode,estimatedvalue,estimatedclosedate,actualclosedate&$expand=customerid_account($select=name)`;
-    
-    const response = await fetch(url, {
-      headers: {
-        "Authorization": `${token}`,
-        "Accept": "application/json",
-        "OData-MaxVersion": "4.0",
-        "OData-Version": "4.0"
-      }
-    });
-    
-    if (response.status === 401) {
-      console.warn("[OppUtil][fetchMyOpenOpportunities] Authentication token expired or invalid");
-      throw new Error("[OppUtil][fetchMyOpenOpportunities] Authentication failed. Please log in again.");
-    }
+    // Owners in the selected scope (just the current user unless a team scope is picked)
+    const { ownerIds } = await resolveScopeOwners(token);
     
-    if (!response.ok) {
-      let errorText = '';
-      try {
-        const errorData = await response.json();
-        errorText = JSON.stringify(errorData);
-      } catch (e) {
-        errorText = await response.text();
-      }
-      
-      console.error(`[OppUtil][fetchMyOpenOpportunities] API Error: ${response.status}`, errorText);
-      throw new Error(`[OppUtil][fetchMyOpenOpportunities] Failed to fetch opportunities: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
+    const opportunities = await fetchOpenOpportunitiesForOwners(token, baseUrl, ownerIds, "fetch opportunities");
 
     // Set opportunities in state
-    setOpportunities(data.value || []);
+    setOpportunities(opportunities);
   } catch (error) {
     console.error("[OppUtil][fetchMyOpenOpportunities] Error fetching opportunities:", error);
     setError(`[OppUtil][fetchMyOpenOpportunities] Failed to fetch opportunities list: ${error.message}`);
@@ -643,7 +712,7 @@ export const fetchMyOpenOpportunities = async (
 };
 
 /**
- * Fetch closed opportunities for the current user
+ * Fetch closed opportunities for the current user, or their team in a team scope
  * @param {string} token - Access token for Dynamics CRM
  * @param {Function} setLoading - State setter for loading indicator
  * @param {Function} setError - State setter for error message
@@ -667,47 +736,25 @@ export const fetchClosedOpportunities = async (
       throw new Error("[OppUtil][fetchClosedOpportunities] Cannot fetch closed opportunities: Organization ID not found. Please navigate to Dynamics CRM first.");
     }
     
-    // Get current user ID first
-    const currentUserId = await getCurrentUserId(token);
+    // Owners in the selected scope (just the current user unless a team scope is picked)
+    const { ownerIds } = await resolveScopeOwners(token);
     
-    if (!currentUserId) {
-      throw new Error("[OppUtil][fetchClosedOpportunities] Could not determine current user ID");
-    }
+    const ownerSet = new Set(ownerIds);
     
-    // Build the URL to fetch closed opportunities for current user
-    const url = `${baseUrl}/opportunities?$filter=statecode ne 0 and _ownerid_value eq ${currentUserId}&$select=name,statecode,_customerid_value,opportunityid,totalamount,actualclosedate,totaldiscountamount,exchangerate,createdon&$orderby=actualclosedate desc`;
+    const trackedOpportunities = await syncTrackedEntity(token, baseUrl, 'opportunities', ownerIds);
+    const closedOpportunities = trackedOpportunities
+      ? trackedOpportunities.filter(opp => opp.statecode !== 0 && isOwnedBy(opp, ownerSet))
+      : await fetchForOwners(ownerIds, ownerFilter => fetchAllPages(
+          `${baseUrl}/opportunities?$filter=statecode ne 0 and ${ownerFilter}&${CLOSED_OPPORTUNITY_QUERY}`,
+          token,
+          { prefer: [INCLUDE_LOOKUP_ANNOTATIONS], context: "fetch closed opportunities" }
+        ));
     
-    const response = await fetch(url, {
-      headers: {
-        "Authorization": `${token}`,
-        "Accept": "application/json",
-        "OData-MaxVersion": "4.0",
-        "OData-Version": "4.0"
-      },
-    });
-    
-    if (response.status === 401) {
-      console.warn("[OppUtil][fetchClosedOpportunities] Authentication token expired or invalid");
-      throw new Error("[OppUtil][fetchClosedOpportunities] Authentication failed. Please log in again.");
-    }
-    
-    if (!response.ok) {
-      let errorText = '';
-      try {
-        const errorData = await response.json();
-        errorText = JSON.stringify(errorData);
-      } catch (e) {
-        errorText = await response.text();
-      }
-      
-      console.error(`[OppUtil][fetchClosedOpportunities] API Error: ${response.status}`, errorText);
-      throw new Error(`[OppUtil][fetchClosedOpportunities] Failed to fetch closed opportunities: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
+    // Owner chunks each come back sorted, so sort the combined list again
+    closedOpportunities.sort((a, b) => new Date(b.actualclosedate) - new Date(a.actualclosedate));
     
     // Filter out opportunities without closing date
-    const validOpportunities = (data.value || []).filter(opp => 
+    const validOpportunities = closedOpportunities.filter(opp => 
       opp.actualclosedate && opp.createdon
     );
     
@@ -736,19 +783,21 @@ export const getOpportunityUrl = async (opportunityId) => {
   
   const orgId = await getCurrentOrgId();
   if (!orgId) {
-    console.error("[OppUtil][fetchClosedOpportunities] Cannot generate opportunity URL: Organization ID not found");
+    console.error("[OppUtil][getOpportunityUrl] Cannot generate opportunity URL: Organization ID not found");
     return '';
   }
   
-  return `https://${orgId}.crm.dynamics.com/main.aspx?appid=e82f31a2-d4e4-ef11-9341-6045bd0438e7&pagetype=entityrecord&etn=opportunity&id=${opportunityId}`;
+  const appId = await getAppId(orgId);
+  return getRecordUrl(orgId, 'opportunity', opportunityId, appId);
 };
 
 /**
  * Format opportunity data for display
  * @param {Object} opportunity - Raw opportunity data from API
+ * @param {Object} choices - Opportunity choice labels from the metadata service
  * @returns {Object} Formatted opportunity data
  */
-export const formatOpportunityData = (opportunity) => {
+export const formatOpportunityData = (opportunity, choices = null) => {
   if (!opportunity) return null;
   
   return {
@@ -756,7 +805,8 @@ export const formatOpportunityData = (opportunity) => {
     name: opportunity.name || 'Unnamed Opportunity',
     customer: opportunity.customerid_account?.name || 'No Customer',
     estimatedValue: opportunity.estimatedvalue || 0,
-    status: getStatusLabel(opportunity.statecode),
+    status: getOpportunityStatusLabel(opportunity, choices),
+    stage: getOpportunityStageLabel(opportunity, choices),
     createdOn: new Date(opportunity.createdon).toLocaleDateString(),
     estimatedCloseDate: opportunity.estimatedclosedate 
       ? new Date(opportunity.estimatedclosedate).toLocaleDateString() 
@@ -767,20 +817,6 @@ export const formatOpportunityData = (opportunity) => {
   };
 };
 
-/**
- * Convert status code to user-friendly label
- * @param {number} statusCode - Dynamics CRM status code
- * @returns {string} User-friendly status label
- */
-const getStatusLabel = (statusCode) => {
-  switch (statusCode) {
-    case 0: return 'Open';
-    case 1: return 'Won';
-    case 2: return 'Lost';
-    default: return `Status ${statusCode}`;
-  }
-};
-
 /**
  * Calculate statistics about an opportunity's activities
  * @param {Array} activities - Array of activity objects
@@ -0,0 +1,181 @@
+/**
+ * Inline edits of opportunity fields with optimistic concurrency
+ *
+ * Every update is sent with If-Match on the record's @odata.etag, so a change
+ * someone else saved in the meantime is never silently overwritten. When the
+ * ETag no longer matches, the current values are returned instead so the UI
+ * can ask the rep which version to keep.
+ */
+
+import { webApiFetch, buildHeaders, readErrorText, getThrottleErrorMessage, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+
+// Fields that can be edited inline, with how each one is entered
+export const EDITABLE_OPPORTUNITY_FIELDS = {
+  estimatedclosedate: { label: 'Est. close date', type: 'date' },
+  estimatedvalue: { label: 'Est. value', type: 'number' },
+  closeprobability: { label: 'Probability', type: 'percent' }
+};
+
+// Columns returned after a save or a conflict; the base amount is recalculated by Dynamics
+const UPDATED_RECORD_SELECT = [
+  ...Object.keys(EDITABLE_OPPORTUNITY_FIELDS),
+  'estimatedvalue_base', 'exchangerate', 'modifiedon', '_modifiedby_value'
+].join(',');
+
+// Xrm form types (formContext.ui.getFormType) on which the record can be saved
+const FORM_TYPES = {
+  CREATE: 1,
+  UPDATE: 2
+};
+
+/**
+ * Explain why inline edits are off while the opportunity is open on a form
+ *
+ * Saving from the panel while the form has unsaved changes would make the form
+ * overwrite the edit (or fail on save), and a form that isn't in update mode
+ * has no saved record to edit or is read-only.
+ *
+ * @param {Object|null} formState - Form type and unsaved changes reported for the open form
+ * @returns {string|null} Reason to show, or null when inline edits are allowed
+ */
+export const getFormEditBlockReason = (formState) => {
+  if (!formState) return null;
+
+  if (formState.isDirty) {
+    return "Save or discard the changes on the form to edit here.";
+  }
+
+  if (formState.formType === FORM_TYPES.CREATE) {
+    return "Save the new opportunity on the form to edit here.";
+  }
+
+  if (formState.formType !== null && formState.formType !== undefined && formState.formType !== FORM_TYPES.UPDATE) {
+    return "The form is read-only, so editing here is off.";
+  }
+
+  return null;
+};
+
+/**
+ * Pick the editable values of an opportunity
+ * @param {Object} opportunity - Opportunity record
+ * @param {Array<string>} fields - Fields to pick (defaults to every editable field)
+ * @returns {Object} Map of field to value
+ */
+export const pickEditableValues = (opportunity, fields = Object.keys(EDITABLE_OPPORTUNITY_FIELDS)) => {
+  const values = {};
+  fields.forEach(field => {
+    values[field] = opportunity?.[field] ?? null;
+  });
+  return values;
+};
+
+/**
+ * Convert an input value into the value sent to the Web API
+ * @param {string} field - Editable field name
+ * @param {string|number|null} value - Value entered by the rep
+ * @returns {string|number|null} API value
+ */
+export const toApiValue = (field, value) => {
+  if (value === '' || value === null || value === undefined) return null;
+
+  switch (EDITABLE_OPPORTUNITY_FIELDS[field]?.type) {
+    // Date-only column: send just the date so no time zone shifts it
+    case 'date': return String(value).substring(0, 10);
+    case 'percent': return Math.min(100, Math.max(0, Math.round(Number(value))));
+    case 'number': return Number(value);
+    default: return value;
+  }
+};
+
+/**
+ * Fetch the current editable values of an opportunity
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {string} opportunityId - Opportunity ID
+ * @returns {Promise<Object>} Current record, including its ETag
+ */
+const fetchCurrentValues = async (token, baseUrl, opportunityId) => {
+  const response = await webApiFetch(
+    `${baseUrl}/opportunities(${opportunityId})?$select=${UPDATED_RECORD_SELECT}`,
+    { headers: buildHeaders(token, { prefer: [INCLUDE_LOOKUP_ANNOTATIONS] }) },
+    { context: "fetch current opportunity values" }
+  );
+
+  if (!response.ok) {
+    throw new Error(`[OpportunityWrites] Failed to fetch current values: ${response.status} ${await readErrorText(response)}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Update opportunity fields if nobody else changed the record
+ * @param {string} token - Access token
+ * @param {string} opportunityId - Opportunity ID
+ * @param {Object} changes - Map of field to new value
+ * @param {string} etag - ETag of the version the rep was looking at
+ * @returns {Promise<{conflict: boolean, record: Object}>} Updated record, or the current record when there was a conflict
+ */
+export const updateOpportunityFields = async (token, opportunityId, changes, etag) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[OpportunityWrites] Organization ID not found");
+  }
+
+  const body = {};
+  Object.entries(changes).forEach(([field, value]) => {
+    if (!EDITABLE_OPPORTUNITY_FIELDS[field]) {
+      throw new Error(`[OpportunityWrites] Field can't be edited inline: ${field}`);
+    }
+    body[field] = toApiValue(field, value);
+  });
+
+  const context = "update opportunity";
+  const response = await webApiFetch(`${baseUrl}/opportunities(${opportunityId})?$select=${UPDATED_RECORD_SELECT}`, {
+    method: 'PATCH',
+    headers: {
+      ...buildHeaders(token, { prefer: ['return=representation', INCLUDE_LOOKUP_ANNOTATIONS] }),
+      // Without an ETag still require the record to exist, so PATCH never creates one
+      "If-Match": etag || '*'
+    },
+    body: JSON.stringify(body)
+  }, { context });
+
+  if (response.status === 401) {
+    throw new Error("[OpportunityWrites] Authentication failed. Please log in again.");
+  }
+
+  if (response.status === 412) {
+    return { conflict: true, record: await fetchCurrentValues(token, baseUrl, opportunityId) };
+  }
+
+  const throttleMessage = getThrottleErrorMessage(response, context);
+  if (throttleMessage) {
+    throw new Error(`[OpportunityWrites] ${throttleMessage}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`[OpportunityWrites] Failed to ${context}: ${response.status} ${await readErrorText(response)}`);
+  }
+
+  return { conflict: false, record: await response.json() };
+};
+
+/**
+ * Format an editable value for messages such as the undo prompt
+ * @param {string} field - Editable field name
+ * @param {string|number|null} value - Field value
+ * @returns {string} Display value
+ */
+export const formatEditableValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return 'empty';
+
+  switch (EDITABLE_OPPORTUNITY_FIELDS[field]?.type) {
+    case 'date': return new Date(`${String(value).substring(0, 10)}T00:00:00`).toLocaleDateString();
+    case 'percent': return `${value}%`;
+    case 'number': return Number(value).toLocaleString();
+    default: return String(value);
+  }
+};
@@ -0,0 +1,276 @@
+/**
+ * Business process flow (BPF) helpers for the opportunity sales process
+ *
+ * Dataverse keeps the active stage of each BPF instance, when that stage was
+ * entered and the path of stages traversed, but not when earlier stages were
+ * entered. Lens records every stage entry it sees in the cache, so stage
+ * durations become more complete the longer it is used.
+ */
+
+import { fetchAllPages, chunkArray, buildInFilter, IN_FILTER_CHUNK_SIZE } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+import { getCacheScope, readCache, writeCache } from './cache';
+
+const BPF_ENTITY_SET = 'opportunitysalesprocesses';
+const BPF_SELECT = [
+  'businessprocessflowinstanceid', '_bpf_opportunityid_value', '_processid_value', '_activestageid_value',
+  'traversedpath', 'activestagestartedon', 'createdon', 'completedon', 'statecode'
+].join(',');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Convert a BPF instance record into the shape used by the UI
+ * @param {Object} record - opportunitysalesprocess record
+ * @returns {Object} Process instance
+ */
+const toProcessInstance = (record) => ({
+  id: record.businessprocessflowinstanceid,
+  opportunityId: record._bpf_opportunityid_value?.toLowerCase(),
+  processId: record._processid_value,
+  activeStageId: record._activestageid_value,
+  traversedStageIds: (record.traversedpath || '').split(',').map(id => id.trim()).filter(Boolean),
+  activeStageStartedOn: record.activestagestartedon,
+  createdOn: record.createdon,
+  completedOn: record.completedon,
+  isActive: record.statecode === 0
+});
+
+/**
+ * Pick the instance to show when an opportunity has several (e.g. after a process switch)
+ * @param {Array} instances - Process instances of one opportunity
+ * @returns {Object|null} Active instance, or the most recently started one
+ */
+const pickCurrentInstance = (instances) => {
+  if (instances.length === 0) return null;
+
+  return instances.find(instance => instance.isActive) ||
+    [...instances].sort((a, b) => new Date(b.activeStageStartedOn) - new Date(a.activeStageStartedOn))[0];
+};
+
+// Stage entries older than this are dropped, in line with the cache entry's own TTL
+const STAGE_HISTORY_MAX_AGE_DAYS = 365;
+
+// Process instances kept in the stage history, most recently moved first
+const STAGE_HISTORY_MAX_INSTANCES = 5000;
+
+// Stage history updates run one after another so concurrent loads don't overwrite each other's entries
+let stageHistoryWrites = Promise.resolve();
+
+/**
+ * Drop old stage entries and cap the number of instances kept
+ * @param {Object} history - Stage history keyed by instance ID, then stage ID
+ * @returns {Object} Pruned stage history
+ */
+const pruneStageHistory = (history) => {
+  const cutoff = Date.now() - STAGE_HISTORY_MAX_AGE_DAYS * MS_PER_DAY;
+
+  const latestEntries = Object.entries(history)
+    .map(([instanceId, entries]) => {
+      const recent = Object.fromEntries(
+        Object.entries(entries).filter(([, enteredOn]) => new Date(enteredOn).getTime() >= cutoff)
+      );
+      const latest = Math.max(0, ...Object.values(recent).map(enteredOn => new Date(enteredOn).getTime()));
+      return { instanceId, entries: recent, latest };
+    })
+    .filter(({ entries }) => Object.keys(entries).length > 0)
+    .sort((a, b) => b.latest - a.latest)
+    .slice(0, STAGE_HISTORY_MAX_INSTANCES);
+
+  return Object.fromEntries(latestEntries.map(({ instanceId, entries }) => [instanceId, entries]));
+};
+
+/**
+ * Remember when each stage of the given instances was entered
+ * @param {Object} scope - Cache scope
+ * @param {Array} instances - Process instances
+ * @returns {Promise<Object>} Updated stage history keyed by instance ID, then stage ID
+ */
+const recordStageEntries = (scope, instances) => {
+  const update = stageHistoryWrites.then(async () => {
+    const cached = await readCache(scope, 'stageHistory');
+    let history = { ...(cached?.data || {}) };
+    let changed = false;
+
+    instances.forEach(instance => {
+      if (!instance.activeStageId || !instance.activeStageStartedOn) return;
+
+      const entries = history[instance.id] || {};
+      if (entries[instance.activeStageId] !== instance.activeStageStartedOn) {
+        history[instance.id] = { ...entries, [instance.activeStageId]: instance.activeStageStartedOn };
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      history = pruneStageHistory(history);
+      await writeCache(scope, 'stageHistory', history);
+    }
+
+    return history;
+  });
+
+  // A failed update must not block the ones queued after it
+  stageHistoryWrites = update.catch(() => {});
+  return update;
+};
+
+/**
+ * Fetch the sales process instance of an opportunity
+ * @param {string} token - Access token
+ * @param {string} opportunityId - Opportunity ID
+ * @returns {Promise<Object|null>} Process instance, or null if the opportunity has none
+ */
+export const fetchOpportunityProcess = async (token, opportunityId) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[Process] Organization ID not found");
+  }
+
+  const url = `${baseUrl}/${BPF_ENTITY_SET}?$filter=_bpf_opportunityid_value eq ${opportunityId}&$select=${BPF_SELECT}`;
+  const records = await fetchAllPages(url, token, { context: "fetch sales process" });
+  const instance = pickCurrentInstance(records.map(toProcessInstance));
+
+  if (instance) {
+    await recordStageEntries(await getCacheScope(), [instance]);
+  }
+
+  return instance;
+};
+
+/**
+ * Fetch the stages of a process in display order
+ * @param {string} token - Access token
+ * @param {Object} instance - Process instance (its traversed path orders the stages)
+ * @returns {Promise<Array<{id: string, name: string}>>} Ordered stages
+ */
+export const fetchProcessStages = async (token, instance) => {
+  if (!instance?.processId) return [];
+
+  const scope = await getCacheScope();
+  const cacheEntity = `processStages:${instance.processId}`;
+  let stages = (await readCache(scope, cacheEntity))?.data;
+
+  if (!stages) {
+    const baseUrl = await getDynamicsBaseUrl();
+    const url = `${baseUrl}/processstages?$filter=_processid_value eq ${instance.processId}&$select=processstageid,stagename,stagecategory`;
+    const records = await fetchAllPages(url, token, { context: "fetch process stages" });
+
+    stages = records.map(record => ({
+      id: record.processstageid,
+      name: record.stagename,
+      category: record.stagecategory
+    }));
+    await writeCache(scope, cacheEntity, stages);
+  }
+
+  // Traversed stages in path order, then the rest by sales stage category
+  const traversed = instance.traversedStageIds
+    .map(id => stages.find(stage => stage.id === id))
+    .filter(Boolean);
+  const remaining = stages
+    .filter(stage => !instance.traversedStageIds.includes(stage.id))
+    .sort((a, b) => (a.category ?? Infinity) - (b.category ?? Infinity));
+
+  return [...traversed, ...remaining];
+};
+
+/**
+ * Work out how many days an instance spent in each traversed stage
+ * @param {Object} instance - Process instance
+ * @param {Object} history - Recorded stage entries for this instance
+ * @param {string} closedOn - When the deal closed, used as the exit of the last stage
+ * @returns {Object} Map of stage ID to days, for stages whose entry and exit are known
+ */
+const getStageDurations = (instance, history = {}, closedOn = null) => {
+  const entries = { ...history };
+  const path = instance.traversedStageIds;
+  if (path.length === 0) return {};
+
+  // The first stage starts with the instance, the active one when it was entered
+  entries[path[0]] = entries[path[0]] || instance.createdOn;
+  if (instance.activeStageId && instance.activeStageStartedOn) {
+    entries[instance.activeStageId] = instance.activeStageStartedOn;
+  }
+
+  const durations = {};
+  path.forEach((stageId, index) => {
+    const enteredOn = entries[stageId];
+    const exitedOn = index < path.length - 1
+      ? entries[path[index + 1]]
+      : (instance.completedOn || closedOn);
+
+    if (enteredOn && exitedOn) {
+      const days = (new Date(exitedOn) - new Date(enteredOn)) / MS_PER_DAY;
+      if (days >= 0) durations[stageId] = days;
+    }
+  });
+
+  return durations;
+};
+
+/**
+ * Get the number of days an instance has been in its active stage
+ * @param {Object} instance - Process instance
+ * @returns {number} Whole days in the current stage
+ */
+export const getDaysInActiveStage = (instance) => {
+  if (!instance?.activeStageStartedOn) return 0;
+  return Math.max(0, Math.floor((Date.now() - new Date(instance.activeStageStartedOn)) / MS_PER_DAY));
+};
+
+/**
+ * Collect how long won deals spent in each stage
+ * @param {string} token - Access token
+ * @param {Array} closedOpportunities - Closed opportunities (only won deals are used)
+ * @returns {Promise<Object>} Map of stage ID to { medianDays, dealCount }
+ */
+export const fetchWonStageBenchmarks = async (token, closedOpportunities = []) => {
+  const wonDeals = closedOpportunities.filter(opp => opp.statecode === 1 || opp.statecode === '1');
+  if (wonDeals.length === 0) return {};
+
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) return {};
+
+  const closedOnById = {};
+  wonDeals.forEach(opp => {
+    closedOnById[opp.opportunityid.toLowerCase()] = opp.actualclosedate;
+  });
+
+  // Benchmarks only change when the won deals do, so reuse them until then
+  const scope = await getCacheScope();
+  const wonDealKey = Object.keys(closedOnById).sort().join(',');
+  const cached = (await readCache(scope, 'stageBenchmarks'))?.data;
+  if (cached?.wonDealKey === wonDealKey) {
+    return cached.benchmarks;
+  }
+
+  const records = [];
+  for (const idChunk of chunkArray(Object.keys(closedOnById), IN_FILTER_CHUNK_SIZE)) {
+    const url = `${baseUrl}/${BPF_ENTITY_SET}?$filter=${buildInFilter('_bpf_opportunityid_value', idChunk)}&$select=${BPF_SELECT}`;
+    records.push(...await fetchAllPages(url, token, { context: "fetch won deal sales processes" }));
+  }
+
+  const instances = records.map(toProcessInstance);
+  const history = await recordStageEntries(scope, instances);
+
+  const daysByStage = {};
+  instances.forEach(instance => {
+    const durations = getStageDurations(instance, history[instance.id], closedOnById[instance.opportunityId]);
+    Object.entries(durations).forEach(([stageId, days]) => {
+      daysByStage[stageId] = [...(daysByStage[stageId] || []), days];
+    });
+  });
+
+  const benchmarks = {};
+  Object.entries(daysByStage).forEach(([stageId, days]) => {
+    const sorted = [...days].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+    benchmarks[stageId] = { medianDays: Math.round(median), dealCount: sorted.length };
+  });
+
+  await writeCache(scope, 'stageBenchmarks', { wonDealKey, benchmarks });
+  return benchmarks;
+};
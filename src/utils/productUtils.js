@@ -0,0 +1,131 @@
+/**
+ * Opportunity product line helpers
+ *
+ * Line amounts are in the opportunity's transaction currency, with _base
+ * columns in the organization's base currency for roll-ups across deals.
+ */
+
+import { fetchAllPages, chunkArray, buildInFilter, IN_FILTER_CHUNK_SIZE, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+import { getBaseAmount } from './currencyUtils';
+
+const PRODUCT_LINE_SELECT = [
+  'opportunityproductid', '_opportunityid_value', '_productid_value', 'productdescription', 'isproductoverridden',
+  'quantity', 'priceperunit', 'priceperunit_base', 'manualdiscountamount', 'manualdiscountamount_base',
+  'extendedamount', 'extendedamount_base', '_transactioncurrencyid_value', 'exchangerate', 'sequencenumber'
+].join(',');
+
+// Differences below this are rounding, not a mismatch
+const RECONCILE_TOLERANCE = 0.01;
+
+/**
+ * Get the display name of a product line
+ * @param {Object} line - opportunityproduct record with formatted value annotations
+ * @returns {string} Catalog product name, or the write-in description
+ */
+export const getProductLineName = (line) => (
+  line['_productid_value@OData.Community.Display.V1.FormattedValue'] ||
+  line.productdescription ||
+  'Unnamed product'
+);
+
+/**
+ * Fetch the product lines of an opportunity
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} opportunityId - ID of the opportunity
+ * @returns {Promise<Array>} Product lines in their form order
+ */
+export const fetchOpportunityProducts = async (token, opportunityId) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[ProductUtil][fetchOpportunityProducts] Cannot fetch products: Organization ID not found. Please navigate to Dynamics CRM first.");
+  }
+
+  return fetchAllPages(
+    `${baseUrl}/opportunityproducts?$filter=_opportunityid_value eq ${opportunityId}&$select=${PRODUCT_LINE_SELECT}&$orderby=sequencenumber asc`,
+    token,
+    { prefer: [INCLUDE_LOOKUP_ANNOTATIONS], context: "fetch opportunity products" }
+  );
+};
+
+/**
+ * Fetch the product lines of many opportunities in a few round trips
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {Array<string>} opportunityIds - IDs of the opportunities
+ * @returns {Promise<Array>} Product lines of all the opportunities
+ */
+export const fetchProductsForOpportunities = async (token, opportunityIds) => {
+  if (opportunityIds.length === 0) return [];
+
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[ProductUtil][fetchProductsForOpportunities] Cannot fetch products: Organization ID not found. Please navigate to Dynamics CRM first.");
+  }
+
+  const lines = [];
+  for (const idChunk of chunkArray(opportunityIds, IN_FILTER_CHUNK_SIZE)) {
+    lines.push(...await fetchAllPages(
+      `${baseUrl}/opportunityproducts?$filter=${buildInFilter('_opportunityid_value', idChunk)}&$select=${PRODUCT_LINE_SELECT}`,
+      token,
+      { prefer: [INCLUDE_LOOKUP_ANNOTATIONS], context: "fetch product lines" }
+    ));
+  }
+  return lines;
+};
+
+/**
+ * Reconcile the product lines against the opportunity's estimated value
+ * @param {Object} opportunity - Opportunity record
+ * @param {Array} lines - Its product lines
+ * @returns {{lineTotal: number, headerAmount: number|null, difference: number, isMismatch: boolean}} Reconciliation in the transaction currency
+ */
+export const reconcileProductLines = (opportunity, lines = []) => {
+  const lineTotal = lines.reduce((total, line) => total + (line.extendedamount || 0), 0);
+  const headerAmount = opportunity?.estimatedvalue ?? null;
+  const difference = headerAmount === null ? lineTotal : lineTotal - headerAmount;
+
+  return {
+    lineTotal,
+    headerAmount,
+    difference,
+    isMismatch: lines.length > 0 && Math.abs(difference) >= RECONCILE_TOLERANCE
+  };
+};
+
+/**
+ * Roll up product lines across open deals: what we sell to whom
+ * @param {Array} opportunities - Open opportunities with customer names
+ * @param {Array} lines - Product lines of those opportunities
+ * @returns {Array<{product: string, dealCount: number, quantity: number, amount: number, customers: Array<string>}>} Products by base amount
+ */
+export const summarizeProductMix = (opportunities = [], lines = []) => {
+  const customerByOpportunity = {};
+  opportunities.forEach(opp => {
+    customerByOpportunity[opp.opportunityid.toLowerCase()] =
+      opp.customerid_account?.name || opp['_customerid_value@OData.Community.Display.V1.FormattedValue'] || 'No customer';
+  });
+
+  const products = {};
+  lines.forEach(line => {
+    const opportunityId = line._opportunityid_value?.toLowerCase();
+    if (!customerByOpportunity[opportunityId]) return;
+
+    const product = getProductLineName(line);
+    const entry = products[product] = products[product] || {
+      product, opportunityIds: new Set(), customers: new Set(), quantity: 0, amount: 0
+    };
+
+    entry.opportunityIds.add(opportunityId);
+    entry.customers.add(customerByOpportunity[opportunityId]);
+    entry.quantity += line.quantity || 0;
+    entry.amount += getBaseAmount(line, 'extendedamount');
+  });
+
+  return Object.values(products)
+    .map(({ opportunityIds, customers, ...entry }) => ({
+      ...entry,
+      dealCount: opportunityIds.size,
+      customers: [...customers].sort((a, b) => a.localeCompare(b))
+    }))
+    .sort((a, b) => b.amount - a.amount);
+};
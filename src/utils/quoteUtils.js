@@ -0,0 +1,148 @@
+/**
+ * Quotes and orders linked to an opportunity
+ *
+ * Each quote revision is its own record with the same quote number. Amounts
+ * are in the opportunity's transaction currency.
+ */
+
+import { fetchAllPages, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+
+export const QUOTE_STATES = {
+  DRAFT: 0,
+  ACTIVE: 1,
+  WON: 2,
+  CLOSED: 3
+};
+
+// Drafts untouched for this many days are flagged as stale
+export const STALE_DRAFT_DAYS = 14;
+
+// Active quotes expiring within this many days are flagged
+export const EXPIRING_SOON_DAYS = 7;
+
+// Differences below this are rounding, not a mismatch
+const COMPARE_TOLERANCE = 0.01;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const QUOTE_SELECT = [
+  'quoteid', 'name', 'quotenumber', 'revisionnumber', 'statecode', 'statuscode', 'totalamount', 'totalamount_base',
+  '_transactioncurrencyid_value', 'exchangerate', 'effectivefrom', 'effectiveto', 'expireson', 'createdon', 'modifiedon'
+].join(',');
+
+const ORDER_SELECT = [
+  'salesorderid', 'name', 'ordernumber', 'statecode', 'statuscode', 'totalamount', 'totalamount_base',
+  '_transactioncurrencyid_value', 'exchangerate', '_quoteid_value', 'createdon'
+].join(',');
+
+/**
+ * Fetch the quotes and orders of an opportunity
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} opportunityId - ID of the opportunity
+ * @returns {Promise<{quotes: Array, orders: Array}>} Quotes and orders, newest first
+ */
+export const fetchOpportunityQuotes = async (token, opportunityId) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[QuoteUtil][fetchOpportunityQuotes] Cannot fetch quotes: Organization ID not found. Please navigate to Dynamics CRM first.");
+  }
+
+  const options = { prefer: [INCLUDE_LOOKUP_ANNOTATIONS] };
+  const quotes = await fetchAllPages(
+    `${baseUrl}/quotes?$filter=_opportunityid_value eq ${opportunityId}&$select=${QUOTE_SELECT}&$orderby=createdon desc`,
+    token,
+    { ...options, context: "fetch opportunity quotes" }
+  );
+
+  let orders = [];
+  try {
+    orders = await fetchAllPages(
+      `${baseUrl}/salesorders?$filter=_opportunityid_value eq ${opportunityId}&$select=${ORDER_SELECT}&$orderby=createdon desc`,
+      token,
+      { ...options, context: "fetch opportunity orders" }
+    );
+  } catch (ordersError) {
+    if (ordersError.message.includes("Authentication failed")) {
+      throw ordersError;
+    }
+    // Users without access to orders still get their quotes
+    console.error("[QuoteUtil][fetchOpportunityQuotes] Error fetching orders:", ordersError);
+  }
+
+  return { quotes, orders };
+};
+
+/**
+ * Get the date a quote stops being valid
+ * @param {Object} quote - Quote record
+ * @returns {Date|null} Effective-to date, falling back to the expiry date
+ */
+const getQuoteExpiry = (quote) => {
+  const expiry = quote.effectiveto || quote.expireson;
+  return expiry ? new Date(expiry) : null;
+};
+
+/**
+ * Work out whether a quote needs attention
+ * @param {Object} quote - Quote record
+ * @param {Date} now - Reference date
+ * @returns {{type: string, label: string}|null} Flag for stale drafts and soon-to-expire or expired active quotes
+ */
+export const getQuoteFlag = (quote, now = new Date()) => {
+  const state = Number(quote.statecode);
+
+  if (state === QUOTE_STATES.DRAFT) {
+    const idleDays = Math.floor((now - new Date(quote.modifiedon || quote.createdon)) / MS_PER_DAY);
+    return idleDays > STALE_DRAFT_DAYS
+      ? { type: 'stale', label: `Draft untouched for ${idleDays} days` }
+      : null;
+  }
+
+  if (state === QUOTE_STATES.ACTIVE) {
+    const expiry = getQuoteExpiry(quote);
+    if (!expiry) return null;
+
+    const daysLeft = Math.ceil((expiry - now) / MS_PER_DAY);
+    if (daysLeft < 0) return { type: 'expired', label: `Expired ${Math.abs(daysLeft)} days ago` };
+    if (daysLeft <= EXPIRING_SOON_DAYS) {
+      return { type: 'expiring', label: daysLeft === 0 ? 'Expires today' : `Expires in ${daysLeft} days` };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pick the quote that stands for the deal: the newest active or won quote, else the newest draft
+ * @param {Array} quotes - Quotes, newest first
+ * @returns {Object|null} Current quote
+ */
+export const getCurrentQuote = (quotes = []) => (
+  quotes.find(quote => [QUOTE_STATES.ACTIVE, QUOTE_STATES.WON].includes(Number(quote.statecode))) ||
+  quotes.find(quote => Number(quote.statecode) === QUOTE_STATES.DRAFT) ||
+  null
+);
+
+/**
+ * Compare the current quote's total to the opportunity's estimated value
+ * @param {Object} opportunity - Opportunity record
+ * @param {Array} quotes - Its quotes, newest first
+ * @returns {{quote: Object, quoteTotal: number, estimatedValue: number|null, difference: number, isMismatch: boolean}|null} Comparison in the transaction currency, or null without quotes
+ */
+export const compareQuoteToEstimate = (opportunity, quotes = []) => {
+  const quote = getCurrentQuote(quotes);
+  if (!quote) return null;
+
+  const quoteTotal = quote.totalamount || 0;
+  const estimatedValue = opportunity?.estimatedvalue ?? null;
+  const difference = estimatedValue === null ? quoteTotal : quoteTotal - estimatedValue;
+
+  return {
+    quote,
+    quoteTotal,
+    estimatedValue,
+    difference,
+    isMismatch: Math.abs(difference) >= COMPARE_TOLERANCE
+  };
+};
@@ -0,0 +1,115 @@
+/**
+ * Strict allowlist HTML sanitizer for email bodies
+ *
+ * Email HTML comes from outside the organization, so everything that isn't
+ * known to be harmless is dropped: scripts, styles, event handlers, forms,
+ * frames and images (remote images would also leak that the email was read).
+ * Only basic formatting, lists, tables and http/https/mailto links survive.
+ */
+
+const ALLOWED_TAGS = new Set([
+  'a', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'li', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'sup',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+// Elements removed together with everything inside them
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'form', 'input', 'button', 'select', 'textarea', 'link', 'meta', 'base',
+  'svg', 'math', 'template', 'noscript', 'head', 'title'
+]);
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan']
+};
+
+const ALLOWED_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Check that a link only points at a web page or an email address
+ * @param {string} href - Link target
+ * @returns {boolean} Whether the link is safe to keep
+ */
+const isSafeUrl = (href) => {
+  try {
+    return ALLOWED_URL_PROTOCOLS.includes(new URL(href, 'https://invalid.invalid').protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Copy a node into the output document if it is allowed
+ * @param {Node} node - Node from the parsed input
+ * @param {Document} outputDocument - Document building the sanitized output
+ * @returns {Node|DocumentFragment|null} Sanitized copy, or null to drop it
+ */
+const sanitizeNode = (node, outputDocument) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return outputDocument.createTextNode(node.textContent);
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+
+  const tagName = node.tagName.toLowerCase();
+  if (DROPPED_TAGS.has(tagName)) {
+    return null;
+  }
+
+  // Unknown elements are unwrapped so their text stays readable
+  const output = ALLOWED_TAGS.has(tagName)
+    ? outputDocument.createElement(tagName)
+    : outputDocument.createDocumentFragment();
+
+  if (ALLOWED_TAGS.has(tagName)) {
+    (ALLOWED_ATTRIBUTES[tagName] || []).forEach(attribute => {
+      const value = node.getAttribute(attribute);
+      if (value === null) return;
+      if (attribute === 'href' && !isSafeUrl(value)) return;
+
+      output.setAttribute(attribute, value);
+    });
+
+    if (tagName === 'a') {
+      output.setAttribute('target', '_blank');
+      output.setAttribute('rel', 'noopener noreferrer');
+    }
+  }
+
+  node.childNodes.forEach(child => {
+    const sanitizedChild = sanitizeNode(child, outputDocument);
+    if (sanitizedChild) {
+      output.appendChild(sanitizedChild);
+    }
+  });
+
+  return output;
+};
+
+/**
+ * Sanitize untrusted HTML for rendering with dangerouslySetInnerHTML
+ * @param {string} html - Untrusted HTML (e.g. an email description)
+ * @returns {string} Sanitized HTML
+ */
+export const sanitizeHtml = (html) => {
+  if (!html) return '';
+
+  // DOMParser documents are inert: scripts don't run and resources don't load
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  const outputDocument = document.implementation.createHTMLDocument('');
+  const container = outputDocument.createElement('div');
+
+  parsed.body.childNodes.forEach(child => {
+    const sanitizedChild = sanitizeNode(child, outputDocument);
+    if (sanitizedChild) {
+      container.appendChild(sanitizedChild);
+    }
+  });
+
+  return container.innerHTML;
+};
@@ -0,0 +1,191 @@
+/**
+ * Dynamics views as the opportunity list source
+ *
+ * Teams curate system views (savedqueries) and personal views (userqueries)
+ * in Dynamics. When the user picks one, the open opportunity list runs that
+ * view's FetchXML instead of the built-in owner filter. The columns the list
+ * needs are added to the query, so views with few columns still render.
+ */
+
+import { fetchAllPages, fetchAllFetchXmlPages, webApiFetch, buildHeaders } from './webApi';
+import { getDynamicsBaseUrl, getCurrentOrgId } from './opportunityUtils';
+
+export const VIEW_TYPES = {
+  SYSTEM: 'system',
+  PERSONAL: 'personal'
+};
+
+// Entity set and key column per view type
+const VIEW_SOURCES = {
+  [VIEW_TYPES.SYSTEM]: { entitySet: 'savedqueries', idField: 'savedqueryid' },
+  [VIEW_TYPES.PERSONAL]: { entitySet: 'userqueries', idField: 'userqueryid' }
+};
+
+// querytype 0 is a regular public/personal view (not a lookup, quick find or association view)
+const VIEW_FILTER = "returnedtypecode eq 'opportunity' and querytype eq 0 and statecode eq 0";
+
+// Columns the list, cards and activity enrichment rely on
+const REQUIRED_ATTRIBUTES = [
+  'opportunityid', 'name', 'customerid', 'ownerid', 'createdon', 'statecode', 'statuscode',
+  'salesstage', 'stepname', 'estimatedvalue', 'estimatedvalue_base', 'transactioncurrencyid',
+  'exchangerate', 'estimatedclosedate', 'actualclosedate', 'closeprobability'
+];
+
+// Views loaded this session, keyed by organization URL
+const viewsByOrg = {};
+
+/**
+ * Get the saved list view for the current organization
+ * @returns {Promise<{id: string, type: string, name: string}|null>} Picked view, or null for the built-in list
+ */
+export const getViewSetting = async () => {
+  const host = await getCurrentOrgId();
+  if (!host) return null;
+
+  const { opportunityViewsByOrg = {} } = await chrome.storage.local.get(['opportunityViewsByOrg']);
+  const view = opportunityViewsByOrg[host];
+  return view && VIEW_SOURCES[view.type] ? view : null;
+};
+
+/**
+ * Save the list view for the current organization
+ *
+ * View IDs only exist in the organization they were picked in, so each
+ * organization keeps its own choice.
+ *
+ * @param {{id: string, type: string, name: string}|null} view - Picked view, or null for the built-in list
+ * @returns {Promise<void>}
+ */
+export const setViewSetting = async (view) => {
+  const host = await getCurrentOrgId();
+  if (!host) return;
+
+  const { opportunityViewsByOrg = {} } = await chrome.storage.local.get(['opportunityViewsByOrg']);
+  const views = { ...opportunityViewsByOrg };
+  if (view) {
+    views[host] = view;
+  } else {
+    delete views[host];
+  }
+
+  await chrome.storage.local.set({ opportunityViewsByOrg: views });
+  // Drop the single view saved by earlier versions
+  await chrome.storage.local.remove('opportunityView');
+};
+
+/**
+ * Suffix that keeps cached lists of different views apart
+ * @param {Object|null} view - Picked view
+ * @returns {string} Empty for the built-in list
+ */
+export const getViewCacheSuffix = (view) => (view ? `:view:${view.id}` : '');
+
+/**
+ * Fetch the system and personal opportunity views
+ * @param {string} token - Access token
+ * @returns {Promise<Array<{id: string, type: string, name: string}>>} System views then personal views, by name
+ */
+export const fetchOpportunityViews = async (token) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[SavedViews] Organization ID not found");
+  }
+
+  if (viewsByOrg[baseUrl]) return viewsByOrg[baseUrl];
+
+  const loadViews = async (type) => {
+    const { entitySet, idField } = VIEW_SOURCES[type];
+    const records = await fetchAllPages(
+      `${baseUrl}/${entitySet}?$filter=${VIEW_FILTER}&$select=${idField},name&$orderby=name`,
+      token,
+      { context: `fetch ${type} views` }
+    );
+    return records.map(record => ({ id: record[idField], type, name: record.name }));
+  };
+
+  const systemViews = await loadViews(VIEW_TYPES.SYSTEM);
+
+  // Personal views are a nice-to-have; keep the system views if they can't be read
+  let personalViews = [];
+  try {
+    personalViews = await loadViews(VIEW_TYPES.PERSONAL);
+  } catch (error) {
+    if (error.message.includes("Authentication failed")) throw error;
+    console.warn("[SavedViews] Could not load personal views:", error);
+  }
+
+  viewsByOrg[baseUrl] = [...systemViews, ...personalViews];
+  return viewsByOrg[baseUrl];
+};
+
+/**
+ * Add the columns the list needs to a view's FetchXML
+ * @param {string} fetchXml - View FetchXML
+ * @returns {string} FetchXML selecting at least REQUIRED_ATTRIBUTES
+ */
+const withRequiredAttributes = (fetchXml) => {
+  const query = new DOMParser().parseFromString(fetchXml, 'application/xml');
+  const fetchElement = query.documentElement;
+
+  if (fetchElement.getAttribute('aggregate') === 'true') {
+    throw new Error("[SavedViews] Aggregate views can't be used as the opportunity list");
+  }
+
+  const entity = fetchElement.getElementsByTagName('entity')[0];
+  if (!entity) {
+    throw new Error("[SavedViews] View FetchXML has no entity");
+  }
+
+  // Only look at the root entity's own columns, not those of linked entities
+  const children = Array.from(entity.children);
+  if (children.some(child => child.nodeName === 'all-attributes')) {
+    return fetchXml;
+  }
+
+  const selected = new Set(children
+    .filter(child => child.nodeName === 'attribute')
+    .map(child => child.getAttribute('name')));
+
+  REQUIRED_ATTRIBUTES
+    .filter(name => !selected.has(name))
+    .forEach(name => {
+      const attribute = query.createElement('attribute');
+      attribute.setAttribute('name', name);
+      entity.insertBefore(attribute, entity.firstChild);
+    });
+
+  return new XMLSerializer().serializeToString(query);
+};
+
+/**
+ * Run a view and return its opportunities
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {{id: string, type: string}} view - View to run
+ * @param {string} context - Description of the request for error messages
+ * @returns {Promise<Array>} Opportunities in the view
+ */
+export const fetchViewRecords = async (token, baseUrl, view, context) => {
+  const { entitySet } = VIEW_SOURCES[view.type];
+
+  const response = await webApiFetch(
+    `${baseUrl}/${entitySet}(${view.id})?$select=fetchxml`,
+    { headers: buildHeaders(token) },
+    { context: "fetch view definition" }
+  );
+
+  if (response.status === 401) {
+    throw new Error("[SavedViews] Authentication failed. Please log in again.");
+  }
+
+  if (response.status === 404) {
+    throw new Error(`[SavedViews] The view ${view.name || view.id} no longer exists in this organization. Pick another view.`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`[SavedViews] Failed to fetch view ${view.name || view.id}: ${response.status}`);
+  }
+
+  const { fetchxml } = await response.json();
+  return fetchAllFetchXmlPages(`${baseUrl}/opportunities`, withRequiredAttributes(fetchxml), token, { context });
+};
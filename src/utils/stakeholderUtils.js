@@ -0,0 +1,169 @@
+/**
+ * Stakeholder map helpers for a single opportunity
+ *
+ * Stakeholders come from the opportunity's primary contact, its connections
+ * (with connection roles such as Decision Maker or Champion) and everyone on
+ * the customer side who took part in its activities.
+ */
+
+import { fetchAllPages, chunkArray, buildInFilter, IN_FILTER_CHUNK_SIZE, INCLUDE_LOOKUP_ANNOTATIONS } from './webApi';
+import { getDynamicsBaseUrl } from './opportunityUtils';
+import { getActivityDate } from './activityUtils';
+
+// Connection roles that must stay engaged, compared case-insensitively
+export const KEY_STAKEHOLDER_ROLES = ['decision maker', 'champion', 'economic buyer', 'executive sponsor'];
+
+// Key stakeholders without a touch in this many days are flagged
+export const STAKEHOLDER_ENGAGEMENT_DAYS = 21;
+
+// Our own side of the deal, not stakeholders
+const INTERNAL_PARTY_TYPES = ['systemuser', 'team', 'queue'];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Fetch the active connections of an opportunity
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} baseUrl - Web API base URL
+ * @param {string} opportunityId - ID of the opportunity
+ * @returns {Promise<Array<{key: string, name: string, entityType: string|null, role: string|null}>>} Connected records
+ */
+const fetchOpportunityConnections = async (token, baseUrl, opportunityId) => {
+  const connections = await fetchAllPages(
+    `${baseUrl}/connections?$filter=_record1id_value eq ${opportunityId} and statecode eq 0&$select=connectionid,_record2id_value,_record2roleid_value`,
+    token,
+    { prefer: [INCLUDE_LOOKUP_ANNOTATIONS], context: "fetch opportunity connections" }
+  );
+
+  return connections
+    .filter(connection => connection._record2id_value)
+    .map(connection => ({
+      key: connection._record2id_value.toLowerCase(),
+      name: connection['_record2id_value@OData.Community.Display.V1.FormattedValue'],
+      entityType: connection['_record2id_value@Microsoft.Dynamics.CRM.lookuplogicalname'] || null,
+      role: connection['_record2roleid_value@OData.Community.Display.V1.FormattedValue'] || null
+    }));
+};
+
+/**
+ * Fetch contacts by ID
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {string} baseUrl - Web API base URL
+ * @param {Array<string>} contactIds - IDs of the contacts
+ * @returns {Promise<Array>} Contact records
+ */
+const fetchContacts = async (token, baseUrl, contactIds) => {
+  const contacts = [];
+  for (const idChunk of chunkArray(contactIds, IN_FILTER_CHUNK_SIZE)) {
+    contacts.push(...await fetchAllPages(
+      `${baseUrl}/contacts?$filter=${buildInFilter('contactid', idChunk)}&$select=contactid,fullname,jobtitle,emailaddress1`,
+      token,
+      { context: "fetch stakeholder contacts" }
+    ));
+  }
+  return contacts;
+};
+
+/**
+ * Fetch the records the stakeholder map is built from, apart from activities
+ * @param {string} token - Access token for Dynamics CRM
+ * @param {Object} opportunity - Opportunity record
+ * @returns {Promise<{primaryContactId: string|null, connections: Array, contacts: Array}>} Stakeholder records
+ */
+export const fetchStakeholderRecords = async (token, opportunity) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[Stakeholders][fetchStakeholderRecords] Cannot fetch stakeholders: Organization ID not found. Please navigate to Dynamics CRM first.");
+  }
+
+  const primaryContactId = opportunity._parentcontactid_value?.toLowerCase() || null;
+  const connections = (await fetchOpportunityConnections(token, baseUrl, opportunity.opportunityid))
+    .filter(connection => !INTERNAL_PARTY_TYPES.includes(connection.entityType));
+
+  const contactIds = [...new Set([
+    primaryContactId,
+    ...connections.filter(connection => connection.entityType === 'contact').map(connection => connection.key)
+  ].filter(Boolean))];
+
+  return {
+    primaryContactId,
+    connections,
+    contacts: contactIds.length > 0 ? await fetchContacts(token, baseUrl, contactIds) : []
+  };
+};
+
+/**
+ * Combine contacts, connection roles and activity participation into a stakeholder map
+ * @param {Object} records - Result of fetchStakeholderRecords
+ * @param {Array} activities - Opportunity activities with participants
+ * @returns {Array<Object>} Stakeholders, flagged key roles first, then by last contact
+ */
+export const buildStakeholderMap = ({ primaryContactId = null, connections = [], contacts = [] } = {}, activities = []) => {
+  const stakeholders = {};
+  const getStakeholder = (key, name, entityType) => {
+    if (!stakeholders[key]) {
+      stakeholders[key] = { key, name, entityType, jobTitle: null, roles: [], isPrimary: false, touches: 0, lastContact: null };
+    }
+    return stakeholders[key];
+  };
+
+  contacts.forEach(contact => {
+    const stakeholder = getStakeholder(contact.contactid.toLowerCase(), contact.fullname || contact.emailaddress1, 'contact');
+    stakeholder.jobTitle = contact.jobtitle || null;
+  });
+
+  if (primaryContactId && stakeholders[primaryContactId]) {
+    stakeholders[primaryContactId].isPrimary = true;
+  }
+
+  connections.forEach(connection => {
+    const stakeholder = getStakeholder(connection.key, connection.name, connection.entityType);
+    if (connection.role && !stakeholder.roles.includes(connection.role)) {
+      stakeholder.roles.push(connection.role);
+    }
+  });
+
+  activities.forEach(activity => {
+    const activityDate = getActivityDate(activity);
+    (activity.participants || [])
+      .filter(participant => !INTERNAL_PARTY_TYPES.includes(participant.entityType))
+      .forEach(participant => {
+        const stakeholder = getStakeholder(participant.key, participant.name, participant.entityType);
+        stakeholder.touches += 1;
+        if (activityDate && (!stakeholder.lastContact || activityDate > stakeholder.lastContact)) {
+          stakeholder.lastContact = activityDate;
+        }
+      });
+  });
+
+  const now = new Date();
+  return Object.values(stakeholders)
+    .map(stakeholder => {
+      const daysSinceContact = stakeholder.lastContact
+        ? Math.floor((now - stakeholder.lastContact) / MS_PER_DAY)
+        : null;
+      const isKeyRole = stakeholder.roles.some(role => KEY_STAKEHOLDER_ROLES.includes(role.toLowerCase()));
+
+      return {
+        ...stakeholder,
+        daysSinceContact,
+        isKeyRole,
+        isUnengaged: isKeyRole && (daysSinceContact === null || daysSinceContact > STAKEHOLDER_ENGAGEMENT_DAYS)
+      };
+    })
+    .sort((a, b) => (
+      (b.isUnengaged - a.isUnengaged) ||
+      (b.isKeyRole - a.isKeyRole) ||
+      ((a.daysSinceContact ?? Infinity) - (b.daysSinceContact ?? Infinity)) ||
+      (a.name || '').localeCompare(b.name || '')
+    ));
+};
+
+/**
+ * Count the stakeholders engaged within the engagement window
+ * @param {Array} stakeholders - Result of buildStakeholderMap
+ * @returns {number} Stakeholders touched in the last STAKEHOLDER_ENGAGEMENT_DAYS days
+ */
+export const countEngagedStakeholders = (stakeholders = []) => stakeholders
+  .filter(stakeholder => stakeholder.daysSinceContact !== null && stakeholder.daysSinceContact <= STAKEHOLDER_ENGAGEMENT_DAYS)
+  .length;
@@ -0,0 +1,276 @@
+/**
+ * Owner scope for the opportunity fetchers
+ *
+ * By default Lens shows the signed-in user's own opportunities. Managers on
+ * the Team plan can widen that to their direct reports (systemuser
+ * parentsystemuserid), their whole reporting line, their business unit or an
+ * owner team they belong to. The scope resolves to a list of owner IDs that
+ * every opportunity query filters on.
+ */
+
+import { fetchAllPages, webApiFetch, buildHeaders, chunkArray, buildInFilter, IN_FILTER_CHUNK_SIZE } from './webApi';
+import { getDynamicsBaseUrl, getCurrentOrgId, getCurrentUserId } from './opportunityUtils';
+
+export const SCOPE_TYPES = {
+  MINE: 'mine',
+  DIRECT_REPORTS: 'directReports',
+  ALL_REPORTS: 'allReports',
+  BUSINESS_UNIT: 'businessUnit',
+  TEAM: 'team'
+};
+
+export const SCOPE_LABELS = {
+  [SCOPE_TYPES.MINE]: 'My opportunities',
+  [SCOPE_TYPES.DIRECT_REPORTS]: 'My direct reports',
+  [SCOPE_TYPES.ALL_REPORTS]: 'Everyone reporting to me',
+  [SCOPE_TYPES.BUSINESS_UNIT]: 'My business unit',
+  [SCOPE_TYPES.TEAM]: 'Team'
+};
+
+export const DEFAULT_SCOPE = { type: SCOPE_TYPES.MINE, teamId: null };
+
+// Subscription feature that unlocks every scope other than MINE
+export const TEAM_SCOPE_FEATURE = 'benchmarkTeamPerformance';
+
+// Reporting lines deeper than this are cut off rather than walked forever
+const MAX_HIERARCHY_DEPTH = 10;
+
+const USER_SELECT = 'systemuserid,fullname';
+
+// Resolved owners this session, keyed by organization and scope
+const ownersByScope = {};
+const inFlightResolves = {};
+
+/**
+ * Get the saved owner scope
+ * @returns {Promise<{type: string, teamId: string|null}>} Owner scope
+ */
+export const getScopeSetting = async () => {
+  const { ownerScope } = await chrome.storage.local.get(['ownerScope']);
+  return ownerScope && SCOPE_LABELS[ownerScope.type] ? ownerScope : DEFAULT_SCOPE;
+};
+
+/**
+ * Save the owner scope
+ * @param {{type: string, teamId: string|null}} scope - Owner scope
+ * @returns {Promise<void>}
+ */
+export const setScopeSetting = async (scope) => {
+  await chrome.storage.local.set({ ownerScope: scope });
+};
+
+/**
+ * Whether a scope covers more than the signed-in user
+ * @param {Object} scope - Owner scope
+ * @returns {boolean} True for team scopes
+ */
+export const isTeamScope = (scope) => !!scope && scope.type !== SCOPE_TYPES.MINE;
+
+/**
+ * Suffix that keeps cached lists of different scopes apart
+ * @param {Object} scope - Owner scope
+ * @returns {string} Empty for MINE, so existing cache entries keep working
+ */
+export const getScopeCacheSuffix = (scope) => (
+  isTeamScope(scope) ? `:${scope.type}${scope.teamId ? `:${scope.teamId}` : ''}` : ''
+);
+
+/**
+ * Fetch the users matching a filter
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {string} filter - $filter expression
+ * @returns {Promise<Array>} Enabled users
+ */
+const fetchUsers = (token, baseUrl, filter) => fetchAllPages(
+  `${baseUrl}/systemusers?$filter=${filter} and isdisabled eq false&$select=${USER_SELECT}`,
+  token,
+  { context: "fetch team members" }
+);
+
+/**
+ * Walk the reporting line below a user
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {string} managerId - User at the top of the line
+ * @param {boolean} recursive - Whether to include reports of reports
+ * @returns {Promise<Array>} Users reporting to the manager
+ */
+const fetchReports = async (token, baseUrl, managerId, recursive) => {
+  const reports = [];
+  const seen = new Set([managerId.toLowerCase()]);
+  let managerIds = [managerId];
+
+  for (let depth = 0; depth < MAX_HIERARCHY_DEPTH && managerIds.length > 0; depth++) {
+    const level = [];
+    for (const idChunk of chunkArray(managerIds, IN_FILTER_CHUNK_SIZE)) {
+      level.push(...await fetchUsers(token, baseUrl, buildInFilter('_parentsystemuserid_value', idChunk)));
+    }
+
+    const newUsers = level.filter(user => !seen.has(user.systemuserid.toLowerCase()));
+    newUsers.forEach(user => seen.add(user.systemuserid.toLowerCase()));
+    reports.push(...newUsers);
+
+    if (!recursive) break;
+    managerIds = newUsers.map(user => user.systemuserid);
+  }
+
+  return reports;
+};
+
+/**
+ * Fetch the users in the signed-in user's business unit
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {string} userId - Signed-in user ID
+ * @returns {Promise<Array>} Users in the business unit
+ */
+const fetchBusinessUnitUsers = async (token, baseUrl, userId) => {
+  const response = await webApiFetch(
+    `${baseUrl}/systemusers(${userId})?$select=_businessunitid_value`,
+    { headers: buildHeaders(token) },
+    { context: "fetch business unit" }
+  );
+
+  if (!response.ok) {
+    throw new Error(`[TeamScope] Failed to fetch business unit: ${response.status}`);
+  }
+
+  const { _businessunitid_value: businessUnitId } = await response.json();
+  return fetchUsers(token, baseUrl, `_businessunitid_value eq ${businessUnitId}`);
+};
+
+/**
+ * Fetch the owner teams the signed-in user belongs to
+ * @param {string} token - Access token
+ * @returns {Promise<Array<{id: string, name: string}>>} Teams by name
+ */
+export const fetchMyTeams = async (token) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[TeamScope] Organization ID not found");
+  }
+
+  const userId = await getCurrentUserId(token);
+  const teams = await fetchAllPages(
+    `${baseUrl}/systemusers(${userId})/teammembership_association?$select=teamid,name,teamtype`,
+    token,
+    { context: "fetch my teams" }
+  );
+
+  // Only owner teams (teamtype 0) can own opportunities
+  return teams
+    .filter(team => team.teamtype === 0)
+    .map(team => ({ id: team.teamid, name: team.name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Resolve the owners covered by a scope
+ * @param {string} token - Access token
+ * @param {string} baseUrl - Web API base URL
+ * @param {Object} scope - Owner scope
+ * @returns {Promise<{ownerIds: Array<string>, owners: Object}>} Owner IDs plus a map of lower-cased ID to name
+ */
+const loadScopeOwners = async (token, baseUrl, scope) => {
+  const userId = await getCurrentUserId(token);
+  if (!userId) {
+    throw new Error("[TeamScope] Could not determine current user ID");
+  }
+
+  let users = [];
+  const extraOwners = {};
+
+  switch (scope.type) {
+    case SCOPE_TYPES.DIRECT_REPORTS:
+      users = await fetchReports(token, baseUrl, userId, false);
+      break;
+    case SCOPE_TYPES.ALL_REPORTS:
+      users = await fetchReports(token, baseUrl, userId, true);
+      break;
+    case SCOPE_TYPES.BUSINESS_UNIT:
+      users = await fetchBusinessUnitUsers(token, baseUrl, userId);
+      break;
+    case SCOPE_TYPES.TEAM:
+      if (!scope.teamId) break;
+      users = await fetchAllPages(
+        `${baseUrl}/teams(${scope.teamId})/teammembership_association?$select=${USER_SELECT}`,
+        token,
+        { context: "fetch team members" }
+      );
+      // Records owned by the team itself belong in the team's pipeline too
+      extraOwners[scope.teamId.toLowerCase()] = null;
+      break;
+    default:
+      break;
+  }
+
+  // The manager's own deals are always part of the scope
+  const owners = { [userId.toLowerCase()]: null, ...extraOwners };
+  users.forEach(user => {
+    owners[user.systemuserid.toLowerCase()] = user.fullname;
+  });
+
+  return { ownerIds: Object.keys(owners), owners };
+};
+
+/**
+ * Resolve the owners covered by the saved scope, cached for the session
+ * @param {string} token - Access token
+ * @returns {Promise<{scope: Object, ownerIds: Array<string>, owners: Object}>} Scope and its owners
+ */
+export const resolveScopeOwners = async (token) => {
+  const baseUrl = await getDynamicsBaseUrl();
+  if (!baseUrl) {
+    throw new Error("[TeamScope] Organization ID not found");
+  }
+
+  const scope = await getScopeSetting();
+  const scopeKey = `${await getCurrentOrgId()}${getScopeCacheSuffix(scope)}`;
+
+  if (ownersByScope[scopeKey]) return ownersByScope[scopeKey];
+
+  // Share one resolve between the open and closed fetchers
+  if (!inFlightResolves[scopeKey]) {
+    inFlightResolves[scopeKey] = loadScopeOwners(token, baseUrl, scope)
+      .then(result => {
+        ownersByScope[scopeKey] = { scope, ...result };
+        return ownersByScope[scopeKey];
+      })
+      .finally(() => {
+        delete inFlightResolves[scopeKey];
+      });
+  }
+
+  return inFlightResolves[scopeKey];
+};
+
+/**
+ * Run a query once per chunk of owners and combine the results
+ * @param {Array<string>} ownerIds - Owner IDs
+ * @param {Function} fetchChunk - Called with an owner $filter expression; resolves to records
+ * @returns {Promise<Array>} Records for every owner
+ */
+export const fetchForOwners = async (ownerIds, fetchChunk) => {
+  if (ownerIds.length === 1) {
+    return fetchChunk(`_ownerid_value eq ${ownerIds[0]}`);
+  }
+
+  const records = [];
+  for (const idChunk of chunkArray(ownerIds, IN_FILTER_CHUNK_SIZE)) {
+    records.push(...await fetchChunk(buildInFilter('_ownerid_value', idChunk)));
+  }
+  return records;
+};
+
+/**
+ * Get the name of a record's owner
+ * @param {Object} record - Record with _ownerid_value
+ * @param {Object} owners - Owner names from resolveScopeOwners
+ * @returns {string} Owner name
+ */
+export const getOwnerName = (record, owners = {}) => (
+  record['_ownerid_value@OData.Community.Display.V1.FormattedValue'] ||
+  owners[record._ownerid_value?.toLowerCase()] ||
+  'Unknown owner'
+);
@@ -0,0 +1,512 @@
+/**
+ * Shared request layer for the Dynamics 365 Web API
+ *
+ * Every collection query goes through fetchAllPages so that results follow
+ * @odata.nextLink instead of silently stopping at the first page, and every
+ * request goes through webApiFetch so that it respects the service-protection
+ * limits Dynamics enforces per user.
+ */
+
+// Page size requested through the Prefer header (Dataverse caps this at 5000)
+export const DEFAULT_MAX_PAGE_SIZE = 500;
+
+// Hard safety ceilings so a runaway query can't freeze the side panel
+export const MAX_PAGES = 100;
+export const MAX_RECORDS = 50000;
+
+// Request scheduling and retry settings
+const MAX_CONCURRENT_REQUESTS = 4;
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+// Prefer value that returns lookup display names and target entity types
+export const INCLUDE_LOOKUP_ANNOTATIONS = 'odata.include-annotations="OData.Community.Display.V1.FormattedValue,Microsoft.Dynamics.CRM.lookuplogicalname"';
+
+// FetchXML queries also need the paging annotations to read past the first page
+const FETCHXML_PAGING_ANNOTATIONS = 'odata.include-annotations="OData.Community.Display.V1.FormattedValue,Microsoft.Dynamics.CRM.lookuplogicalname,Microsoft.Dynamics.CRM.fetchxmlpagingcookie,Microsoft.Dynamics.CRM.morerecords"';
+
+// Statuses Dynamics returns when service-protection limits are hit
+const THROTTLE_STATUSES = [429, 503];
+
+// Scheduler state, shared by every request made from this page
+let activeRequests = 0;
+let drainTimer = null;
+const pendingRequests = [];
+const throttleListeners = new Set();
+const throttleState = {
+  throttledUntil: null,
+  lastThrottleStatus: null,
+  lastThrottleAt: null,
+  retryCount: 0
+};
+
+/**
+ * Get a snapshot of the scheduler and throttling state
+ * @returns {Object} Active and queued request counts plus throttle details
+ */
+export const getThrottleState = () => ({
+  ...throttleState,
+  activeRequests,
+  queuedRequests: pendingRequests.length,
+  isThrottled: !!throttleState.throttledUntil && throttleState.throttledUntil > Date.now()
+});
+
+/**
+ * Subscribe to scheduler and throttling state changes
+ * @param {Function} listener - Called with the latest state snapshot
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToThrottleState = (listener) => {
+  throttleListeners.add(listener);
+  return () => throttleListeners.delete(listener);
+};
+
+const notifyThrottleListeners = () => {
+  const snapshot = getThrottleState();
+  throttleListeners.forEach(listener => {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      console.error("[WebApi] Throttle listener failed:", error);
+    }
+  });
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start queued requests while there are free slots and no throttle window
+ */
+const drainQueue = () => {
+  const throttleRemaining = throttleState.throttledUntil
+    ? throttleState.throttledUntil - Date.now()
+    : 0;
+
+  if (throttleRemaining > 0) {
+    // Resume once the Retry-After window has passed
+    if (!drainTimer) {
+      drainTimer = setTimeout(() => {
+        drainTimer = null;
+        drainQueue();
+      }, throttleRemaining);
+    }
+    notifyThrottleListeners();
+    return;
+  }
+
+  while (activeRequests < MAX_CONCURRENT_REQUESTS && pendingRequests.length > 0) {
+    activeRequests++;
+    pendingRequests.shift()();
+  }
+
+  notifyThrottleListeners();
+};
+
+const acquireSlot = () => new Promise(resolve => {
+  pendingRequests.push(resolve);
+  drainQueue();
+});
+
+const releaseSlot = () => {
+  activeRequests = Math.max(0, activeRequests - 1);
+  drainQueue();
+};
+
+/**
+ * Work out how long to wait before retrying a throttled request
+ * @param {Response|null} response - Throttled response, if any
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (response, attempt) => {
+  const retryAfter = response?.headers?.get('Retry-After');
+
+  if (retryAfter) {
+    // Retry-After is either a number of seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.min(seconds * 1000, MAX_BACKOFF_MS);
+    }
+
+    const retryDate = Date.parse(retryAfter);
+    if (!Number.isNaN(retryDate)) {
+      return Math.min(Math.max(retryDate - Date.now(), 0), MAX_BACKOFF_MS);
+    }
+  }
+
+  // Exponential backoff with a little jitter so parallel requests spread out
+  const backoff = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  return backoff + Math.floor(Math.random() * 250);
+};
+
+const markThrottled = (status, delay) => {
+  const until = Date.now() + delay;
+  throttleState.throttledUntil = Math.max(throttleState.throttledUntil || 0, until);
+  throttleState.lastThrottleStatus = status;
+  throttleState.lastThrottleAt = Date.now();
+
+  // Pauses the queue and notifies listeners again once the window has passed
+  drainQueue();
+};
+
+// Statuses whose responses can't carry a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Download the whole body of a response
+ * @param {Response} response - Fetch response whose body hasn't been read
+ * @returns {Promise<Response>} Equivalent response backed by the downloaded body
+ */
+const bufferResponse = async (response) => {
+  const body = NULL_BODY_STATUSES.includes(response.status) ? null : await response.arrayBuffer();
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+};
+
+/**
+ * Send a request to the Web API through the shared scheduler
+ *
+ * Caps the number of requests in flight, counting a request until its body
+ * has been downloaded, and, when Dynamics answers 429 or 503,
+ * pauses the whole queue for the Retry-After window. Only GET requests are
+ * retried automatically, since they are idempotent.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - Options passed to fetch
+ * @param {Object} schedulerOptions - Scheduler options
+ * @param {string} schedulerOptions.context - Description of the request for log messages
+ * @returns {Promise<Response>} The final response
+ */
+export const webApiFetch = async (url, options = {}, { context = "call the API" } = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  const canRetry = method === 'GET';
+  let attempt = 0;
+
+  while (true) {
+    await acquireSlot();
+
+    let response;
+    try {
+      // Hold the slot until the body is downloaded, so large pages count against the cap too
+      response = await bufferResponse(await fetch(url, options));
+    } catch (networkError) {
+      releaseSlot();
+
+      if (!canRetry || attempt >= MAX_RETRIES) throw networkError;
+
+      const delay = getRetryDelay(null, attempt);
+      console.warn(`[WebApi] Network error during ${context}, retrying in ${delay}ms:`, networkError);
+      attempt++;
+      throttleState.retryCount++;
+      await wait(delay);
+      continue;
+    }
+
+    releaseSlot();
+
+    if (!THROTTLE_STATUSES.includes(response.status)) {
+      return response;
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    markThrottled(response.status, delay);
+
+    if (!canRetry || attempt >= MAX_RETRIES) {
+      return response;
+    }
+
+    console.warn(`[WebApi] Throttled (${response.status}) during ${context}, retrying in ${delay}ms`);
+    attempt++;
+    throttleState.retryCount++;
+    await wait(delay);
+  }
+};
+
+/**
+ * Build a readable error message for a response that is still throttled after retrying
+ * @param {Response} response - Fetch response object
+ * @param {string} context - Description of the request
+ * @returns {string|null} Error message, or null if the response is not throttled
+ */
+export const getThrottleErrorMessage = (response, context) => {
+  if (!THROTTLE_STATUSES.includes(response.status)) return null;
+
+  const retrySeconds = Math.ceil(getRetryDelay(response, 0) / 1000);
+  return `Dynamics is limiting requests right now (${response.status}) while trying to ${context}. Please try again in about ${retrySeconds} seconds.`;
+};
+
+/**
+ * Build the standard headers for a Web API request
+ * @param {string} token - Access token (with or without the Bearer prefix)
+ * @param {Object} options - Extra header options
+ * @param {Array<string>} options.prefer - Values to send in the Prefer header
+ * @returns {Object} Headers object
+ */
+export const buildHeaders = (token, { prefer = [] } = {}) => {
+  if (!token) {
+    console.error("[WebApi] No token provided for API request");
+    throw new Error("[WebApi] Authentication token missing");
+  }
+
+  // Ensure token has Bearer prefix
+  const formattedToken = token.startsWith('Bearer ') ? token : `Bearer ${token}`;
+
+  const headers = {
+    "Authorization": formattedToken,
+    "Accept": "application/json",
+    "OData-MaxVersion": "4.0",
+    "OData-Version": "4.0",
+    "Content-Type": "application/json"
+  };
+
+  if (prefer.length > 0) {
+    headers["Prefer"] = prefer.join(',');
+  }
+
+  return headers;
+};
+
+/**
+ * Read the error body of a failed response as text
+ * @param {Response} response - Fetch response object
+ * @returns {Promise<string>} Error details
+ */
+export const readErrorText = async (response) => {
+  try {
+    const errorData = await response.clone().json();
+    return JSON.stringify(errorData);
+  } catch (e) {
+    return await response.text();
+  }
+};
+
+/**
+ * Fetch a single page of a collection query
+ * @param {string} url - Full query URL, or the nextLink cursor returned by a previous page
+ * @param {string} token - Access token
+ * @param {Object} options - Request options
+ * @param {number|null} options.maxPageSize - Page size sent as odata.maxpagesize; null to leave paging to the query (fetchXml)
+ * @param {Array<string>} options.prefer - Additional Prefer header values
+ * @param {string} options.context - Description of the request for error messages
+ * @returns {Promise<{value: Array, nextLink: string|null, data: Object}>} Page records and continuation cursor
+ */
+export const fetchPage = async (url, token, {
+  maxPageSize = DEFAULT_MAX_PAGE_SIZE,
+  prefer = [],
+  context = "fetch data"
+} = {}) => {
+  const response = await webApiFetch(url, {
+    method: 'GET',
+    headers: buildHeaders(token, {
+      prefer: [...(maxPageSize ? [`odata.maxpagesize=${maxPageSize}`] : []), ...prefer]
+    })
+  }, { context });
+
+  if (response.status === 401) {
+    console.error(`[WebApi] Authentication failed (401) during ${context}`);
+    throw new Error("[WebApi] Authentication failed. Please log in again.");
+  }
+
+  const throttleMessage = getThrottleErrorMessage(response, context);
+  if (throttleMessage) {
+    console.error(`[WebApi] ${throttleMessage}`);
+    throw new Error(`[WebApi] ${throttleMessage}`);
+  }
+
+  if (!response.ok) {
+    const errorText = await readErrorText(response);
+    console.error(`[WebApi] API error during ${context}: ${response.status} - ${errorText}`);
+    throw new Error(`[WebApi] Failed to ${context}: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+
+  return {
+    value: data.value || [],
+    nextLink: data['@odata.nextLink'] || null,
+    data
+  };
+};
+
+/**
+ * Fetch every page of a collection query and report how paging ended
+ *
+ * Stops at the safety ceiling and logs a warning rather than throwing, so
+ * callers still get the records that were loaded.
+ *
+ * @param {string} url - Full query URL (must not use $top, which disables paging)
+ * @param {string} token - Access token
+ * @param {Object} options - Request options
+ * @param {number} options.maxPageSize - Page size sent as odata.maxpagesize
+ * @param {number} options.maxPages - Maximum number of pages to follow
+ * @param {number} options.maxRecords - Maximum number of records to collect
+ * @param {Array<string>} options.prefer - Additional Prefer header values
+ * @param {string} options.context - Description of the request for error messages
+ * @returns {Promise<{records: Array, deltaLink: string|null, truncated: boolean}>} Records, the change-tracking delta link if one was returned, and whether the ceiling was hit
+ */
+export const fetchPagedCollection = async (url, token, {
+  maxPageSize = DEFAULT_MAX_PAGE_SIZE,
+  maxPages = MAX_PAGES,
+  maxRecords = MAX_RECORDS,
+  prefer = [],
+  context = "fetch data"
+} = {}) => {
+  const records = [];
+  let cursor = url;
+  let pageCount = 0;
+  let deltaLink = null;
+  let truncated = false;
+
+  while (cursor) {
+    if (pageCount >= maxPages || records.length >= maxRecords) {
+      console.warn(`[WebApi] Stopped paging during ${context} after ${pageCount} pages and ${records.length} records (safety ceiling reached)`);
+      truncated = true;
+      break;
+    }
+
+    const page = await fetchPage(cursor, token, { maxPageSize, prefer, context });
+    records.push(...page.value);
+    cursor = page.nextLink;
+    deltaLink = page.data['@odata.deltaLink'] || null;
+    pageCount++;
+  }
+
+  return {
+    records: records.length > maxRecords ? records.slice(0, maxRecords) : records,
+    deltaLink: truncated ? null : deltaLink,
+    truncated
+  };
+};
+
+/**
+ * Fetch every page of a collection query by following @odata.nextLink
+ * @param {string} url - Full query URL (must not use $top, which disables paging)
+ * @param {string} token - Access token
+ * @param {Object} options - Same options as fetchPagedCollection
+ * @returns {Promise<Array>} All records across pages
+ */
+export const fetchAllPages = async (url, token, options = {}) => {
+  const { records } = await fetchPagedCollection(url, token, options);
+  return records;
+};
+
+/**
+ * Split an array into chunks of a given size
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>} Array of chunks
+ */
+export const chunkArray = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Values folded into one In() filter; keeps query URLs well under the length limit
+export const IN_FILTER_CHUNK_SIZE = 50;
+
+/**
+ * Build a $filter expression matching any of the given values
+ *
+ * Uses the Microsoft.Dynamics.CRM.In query function, which keeps the URL far
+ * shorter than a chain of "or" clauses. Callers should chunk large value lists
+ * by IN_FILTER_CHUNK_SIZE.
+ *
+ * @param {string} propertyName - Attribute logical name (e.g. _regardingobjectid_value)
+ * @param {Array<string>} values - Values to match
+ * @returns {string} Filter expression
+ */
+export const buildInFilter = (propertyName, values) => {
+  const propertyValues = values.map(value => `'${value}'`).join(',');
+  return `Microsoft.Dynamics.CRM.In(PropertyName='${propertyName}',PropertyValues=[${propertyValues}])`;
+};
+
+/**
+ * Fetch every page of a FetchXML query
+ *
+ * FetchXML doesn't return @odata.nextLink. Instead each page carries a
+ * morerecords flag and a paging cookie, which goes back into the next
+ * request's <fetch> element along with the page number.
+ *
+ * @param {string} entitySetUrl - Entity set URL (e.g. .../opportunities)
+ * @param {string} fetchXml - FetchXML query
+ * @param {string} token - Access token
+ * @param {Object} options - Request options
+ * @param {number} options.pageSize - Records per page, set as the fetch count
+ * @param {number} options.maxPages - Maximum number of pages to follow
+ * @param {Array<string>} options.prefer - Additional Prefer header values
+ * @param {string} options.context - Description of the request for error messages
+ * @returns {Promise<Array>} All records across pages
+ */
+export const fetchAllFetchXmlPages = async (entitySetUrl, fetchXml, token, {
+  pageSize = DEFAULT_MAX_PAGE_SIZE,
+  maxPages = MAX_PAGES,
+  prefer = [],
+  context = "fetch data"
+} = {}) => {
+  const query = new DOMParser().parseFromString(fetchXml, 'application/xml');
+  const fetchElement = query.documentElement;
+
+  if (fetchElement.nodeName !== 'fetch' || query.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`[WebApi] Failed to ${context}: invalid FetchXML`);
+  }
+
+  // A top attribute can't be combined with paging, so such queries are a single page
+  const canPage = !fetchElement.hasAttribute('top');
+  if (canPage) {
+    fetchElement.setAttribute('count', String(pageSize));
+  }
+
+  const records = [];
+  for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+    if (canPage) {
+      fetchElement.setAttribute('page', String(pageNumber));
+    }
+
+    const url = `${entitySetUrl}?fetchXml=${encodeURIComponent(new XMLSerializer().serializeToString(query))}`;
+    const { value, data } = await fetchPage(url, token, {
+      maxPageSize: null,
+      prefer: [FETCHXML_PAGING_ANNOTATIONS, ...prefer],
+      context
+    });
+    records.push(...value);
+
+    if (!canPage || !data['@Microsoft.Dynamics.CRM.morerecords']) {
+      return records;
+    }
+
+    const pagingCookie = readPagingCookie(data['@Microsoft.Dynamics.CRM.fetchxmlpagingcookie']);
+    if (pagingCookie) {
+      fetchElement.setAttribute('paging-cookie', pagingCookie);
+    } else {
+      fetchElement.removeAttribute('paging-cookie');
+    }
+  }
+
+  console.warn(`[WebApi] Stopped paging during ${context} after ${maxPages} pages and ${records.length} records (safety ceiling reached)`);
+  return records;
+};
+
+/**
+ * Pull the paging cookie out of the fetchxmlpagingcookie annotation
+ *
+ * The annotation is a <cookie> element whose pagingcookie attribute holds the
+ * real cookie, URL-encoded twice.
+ *
+ * @param {string} annotation - Annotation value
+ * @returns {string|null} Paging cookie for the next request
+ */
+const readPagingCookie = (annotation) => {
+  if (!annotation) return null;
+
+  const cookie = new DOMParser().parseFromString(annotation, 'application/xml').documentElement;
+  const encoded = cookie.getAttribute('pagingcookie');
+  return encoded ? decodeURIComponent(decodeURIComponent(encoded)) : null;
+};
+
@@ -0,0 +1,105 @@
+(function() {
+
+    // Runs in the page's main world so it can read the Xrm client API, which the
+    // isolated content script can't see. Injected into every frame so that forms
+    // hosted in their own frame (dialogs, side panes) are reported too. Each
+    // frame posts its form context to the top window, where contentScript.js
+    // listens for it.
+
+    // Known Dynamics 365 host patterns, rewritten from src/utils/environment.js by the build
+    // <dynamics-host-patterns>
+    const DYNAMICS_HOST_PATTERNS = [
+        /^[a-z0-9-]+\.crm([2-9]|1\d|2[01])?\.dynamics\.com$/i, // Commercial regions and GCC
+        /^[a-z0-9-]+\.crm\.microsoftdynamics\.us$/i, // GCC High
+        /^[a-z0-9-]+\.crm\.appsplatform\.us$/i, // DoD
+        /^[a-z0-9-]+\.crm\.dynamics\.cn$/i, // China (operated by 21Vianet)
+    ];
+    // </dynamics-host-patterns>
+
+    // Stay out of frames that aren't a Dynamics instance (ads, embedded portals, other
+    // Dynamics apps). Custom domains are allowed by the service worker, which checks
+    // them against the user's list before injecting this script.
+    const host = window.location.hostname.toLowerCase();
+    const isDynamicsHost = window.location.protocol === 'https:' &&
+        DYNAMICS_HOST_PATTERNS.some(pattern => pattern.test(host));
+    if (!isDynamicsHost && window.__lensAllowedXrmBridgeHost !== host) return;
+
+    if (window.__lensXrmBridge) return;
+    window.__lensXrmBridge = true;
+
+    const DEBUG = false;
+    const MESSAGE_SOURCE = 'lens-xrm-bridge';
+    const POLL_INTERVAL_MS = 1000;
+    // Unchanged contexts are posted again now and then, in case the content script loaded after the first post
+    const RESEND_INTERVAL_MS = 5000;
+
+    // Logging function to help with debugging
+    function log(message, ...args) {
+        if (DEBUG) console.log(`[Lens XrmBridge] ${message}`, ...args);
+    }
+
+    // Normalize an Xrm record ID ("{ABC-...}") to the lower-case form the Web API returns
+    function normalizeId(id) {
+        return id ? id.replace(/[{}]/g, '').toLowerCase() : null;
+    }
+
+    // Read the record open in this frame, or null when there is no record form
+    function readFormContext() {
+        const xrm = window.Xrm;
+        if (!xrm) return null;
+
+        try {
+            const pageInput = xrm.Utility?.getPageContext?.()?.input;
+            const entity = xrm.Page?.data?.entity;
+
+            const entityType = (pageInput?.pageType === 'entityrecord' && pageInput.entityName) ||
+                entity?.getEntityName?.() ||
+                null;
+            if (!entityType) return null;
+
+            // Only trust the form API when it shows the same record type as the page
+            const formMatches = entity?.getEntityName?.() === entityType;
+
+            return {
+                entityType: entityType.toLowerCase(),
+                id: normalizeId(pageInput?.entityId || (formMatches ? entity.getId() : null)),
+                // 1 create, 2 update, 3 read only, 4 disabled, 6 bulk edit; null when unknown
+                formType: formMatches ? (xrm.Page.ui?.getFormType?.() ?? null) : null,
+                isDirty: formMatches ? Boolean(entity.getIsDirty?.()) : false,
+                hasFocus: document.hasFocus()
+            };
+        } catch (e) {
+            // The form is still loading or being torn down
+            log("Could not read form context:", e);
+            return null;
+        }
+    }
+
+    function postContext(context) {
+        try {
+            window.top.postMessage({ source: MESSAGE_SOURCE, type: 'XRM_CONTEXT', context }, window.location.origin);
+        } catch (e) {
+            log("Could not post form context:", e);
+        }
+    }
+
+    // Post when something changed (the form can change without a page load), otherwise only to resend
+    let lastPosted;
+    let lastPostedAt = 0;
+    function reportContext() {
+        const context = readFormContext();
+        const serialized = JSON.stringify(context);
+        if (serialized === lastPosted && Date.now() - lastPostedAt < RESEND_INTERVAL_MS) return;
+
+        if (serialized !== lastPosted) log("Form context changed:", context);
+        lastPosted = serialized;
+        lastPostedAt = Date.now();
+        postContext(context);
+    }
+
+    // Let the content script drop this frame's record when the frame goes away (e.g. a dialog closes)
+    window.addEventListener('pagehide', () => postContext(null));
+
+    reportContext();
+    setInterval(reportContext, POLL_INTERVAL_MS);
+})();